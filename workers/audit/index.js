@@ -0,0 +1,277 @@
+/**
+ * Audit Service
+ * Port: 3005
+ *
+ * Append-only record of who decided what: every job claim, form
+ * submission, ESB request/response pair and set of variables sent to
+ * completeJob, with the user and timestamps. The department UIs and the
+ * scanner publish them as `audit.<type>` broker messages
+ * (ui-common/audit.js); this service consumes them through the durable
+ * subscription `audit` (from the earliest message, at least once, so
+ * entries are de-duplicated by message id) and appends them to its log.
+ *
+ * Each entry carries the SHA-256 of the previous entry and of itself, so
+ * an edited or removed line breaks the chain (GET /api/audit/verify).
+ *
+ * Storage (AUDIT_STORE env var):
+ *   - file   (default) - audit.jsonl under AUDIT_DIR
+ *   - memory           - lost on restart
+ *
+ * The page and API need a login with the `auditors` role (ui-common/auth.js).
+ *
+ * Endpoints:
+ *   - GET /api/audit?processInstanceKey=&sku=&jobKey=&user=&type=&from=&to=&limit= - Entries, oldest first
+ *   - GET /api/audit/export?format=csv|json&... - Same filters, as a download of every
+ *     match unless `limit` is given (X-Audit-Total / X-Audit-Truncated headers)
+ *   - GET /api/audit/verify - Check the hash chain
+ *   - GET /health
+ *
+ * Usage: node audit/index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const crypto = require('crypto');
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const { subscribe } = require('../broker/client');
+const { createAuth } = require('../ui-common/auth');
+
+const PORT = process.env.AUDIT_PORT || 3005;
+const AUDIT_DIR = process.env.AUDIT_DIR || path.join(__dirname, '..', '.data', 'audit');
+const DEFAULT_LIMIT = 1000;
+const GENESIS_HASH = '0'.repeat(64);
+
+const CSV_COLUMNS = ['seq', 'at', 'recordedAt', 'type', 'source', 'user', 'processInstanceKey', 'jobKey', 'taskType', 'skus', 'summary', 'details', 'hash'];
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Hash of an entry, chained to the one before it
+function entryHash({ hash, ...entry }) {
+  return sha256(`${entry.prevHash}${JSON.stringify(entry)}`);
+}
+
+/**
+ * Append-only audit log
+ * @param {object} [options]
+ * @param {string} [options.driver] - 'file' or 'memory' (defaults to AUDIT_STORE or 'file')
+ * @param {string} [options.dir] - Data directory of the file driver
+ * @returns {object} - { append, query, verify, size }
+ */
+function createAuditLog({ driver = process.env.AUDIT_STORE || 'file', dir = AUDIT_DIR } = {}) {
+  if (driver !== 'file' && driver !== 'memory') {
+    throw new Error(`Unknown audit store driver: ${driver}`);
+  }
+  const file = path.join(dir, 'audit.jsonl');
+  const entries = driver === 'file' && fs.existsSync(file)
+    ? fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    : [];
+  const seen = new Set(entries.map(entry => entry.id));
+
+  return {
+    /**
+     * Append a broker message
+     * @param {object} message - `audit.<type>` message
+     * @returns {object|null} - The entry, or null for a message already recorded
+     */
+    append(message) {
+      if (seen.has(message.id)) {
+        return null;
+      }
+      const { type, at, user, processInstanceKey, jobKey, taskType, skus, details } = message.payload || {};
+      const previous = entries[entries.length - 1];
+      const entry = {
+        seq: previous ? previous.seq + 1 : 1,
+        id: message.id,
+        recordedAt: new Date().toISOString(),
+        at: at || message.publishedAt,
+        type: type || message.topic.replace(/^audit\./, ''),
+        source: message.source,
+        user: user || null,
+        processInstanceKey: processInstanceKey || null,
+        jobKey: jobKey || null,
+        taskType: taskType || null,
+        skus: skus || [],
+        summary: message.summary,
+        details: details || {},
+        prevHash: previous ? previous.hash : GENESIS_HASH
+      };
+      entry.hash = entryHash(entry);
+
+      if (driver === 'file') {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+      }
+      entries.push(entry);
+      seen.add(entry.id);
+      return entry;
+    },
+
+    /**
+     * Entries matching every given filter, oldest first
+     * @param {object} [filters] - { processInstanceKey, jobKey, sku, user, type, from, to, limit }
+     *   with `limit` null for every match
+     * @returns {object} - { total: number of matches, entries: the most recent `limit` of them }
+     */
+    query({ processInstanceKey, jobKey, sku, user, type, from, to, limit = DEFAULT_LIMIT } = {}) {
+      const types = type ? String(type).split(',') : null;
+      const fromTime = from ? Date.parse(from) : null;
+      const toTime = to ? Date.parse(to) : null;
+      const matches = entries.filter(entry =>
+        (!processInstanceKey || entry.processInstanceKey === String(processInstanceKey))
+        && (!jobKey || entry.jobKey === String(jobKey))
+        && (!sku || entry.skus.includes(String(sku).trim().toUpperCase()))
+        && (!user || entry.user === user)
+        && (!types || types.includes(entry.type))
+        && (fromTime === null || Date.parse(entry.at) >= fromTime)
+        && (toTime === null || Date.parse(entry.at) <= toTime));
+      return {
+        total: matches.length,
+        entries: limit === null ? matches : matches.slice(-Math.max(parseInt(limit) || DEFAULT_LIMIT, 1))
+      };
+    },
+
+    /**
+     * Walk the hash chain
+     * @returns {object} - { valid, entries, brokenAt } with brokenAt the first bad seq
+     */
+    verify() {
+      let prevHash = GENESIS_HASH;
+      for (const entry of entries) {
+        if (entry.prevHash !== prevHash || entry.hash !== entryHash(entry)) {
+          return { valid: false, entries: entries.length, brokenAt: entry.seq };
+        }
+        prevHash = entry.hash;
+      }
+      return { valid: true, entries: entries.length, brokenAt: null };
+    },
+
+    size: () => entries.length
+  };
+}
+
+/**
+ * Entries as CSV, nested values as JSON, formula-like text prefixed with '
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+function toCsv(entries) {
+  const cell = (value) => {
+    let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Text a spreadsheet would run as a formula is exported as plain text
+    // (numbers such as a negative amount are left as they are)
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => cell(column === 'skus' ? entry.skus.join(' ') : entry[column])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
+
+/**
+ * Start the audit service on AUDIT_PORT
+ * @param {object} [options] - createAuditLog() options
+ * @returns {object} - { app, io, log }
+ */
+function startAuditService(options = {}) {
+  const log = createAuditLog(options);
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server);
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
+  app.use('/common', express.static(path.join(__dirname, '../ui-common/public')));
+
+  // Auditors only; /health stays open for monitoring
+  createAuth({
+    title: 'Audit Trail',
+    icon: '🧾',
+    roles: ['auditors'],
+    baseUrl: `http://localhost:${PORT}`,
+    openPaths: ['/health']
+  }).install(app, io);
+
+  app.get('/', (req, res) => {
+    res.render('index', { filters: req.query });
+  });
+
+  app.get('/api/audit', (req, res) => {
+    const { total, entries } = log.query(req.query);
+    res.json({ success: true, count: entries.length, total, entries });
+  });
+
+  // Every match unless a limit is asked for; the headers say when it cut some
+  app.get('/api/audit/export', (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const { total, entries } = log.query({ ...req.query, limit: req.query.limit || null });
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    console.log(`🧾 ${req.user.username} exported ${entries.length} of ${total} audit entries as ${format}`);
+    res.set({ 'X-Audit-Total': String(total), 'X-Audit-Truncated': String(entries.length < total) });
+    res.attachment(filename);
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsv(entries));
+    }
+    res.send(JSON.stringify(entries, null, 2));
+  });
+
+  app.get('/api/audit/verify', (req, res) => {
+    res.json(log.verify());
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', service: 'audit', port: PORT, entries: log.size() });
+  });
+
+  const subscription = subscribe({
+    name: 'audit',
+    topics: ['audit.#'],
+    start: 'earliest',
+    onMessage: async (message) => {
+      const entry = log.append(message);
+      if (entry) {
+        io.emit('audit-entry', entry);
+      }
+    }
+  });
+  if (!subscription) {
+    console.warn('⚠️  BROKER_URL is not set - nothing will be recorded');
+  }
+
+  const storage = (options.driver || process.env.AUDIT_STORE || 'file') === 'file' ? (options.dir || AUDIT_DIR) : 'memory';
+  server.listen(PORT, () => {
+    console.log('');
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           🧾 Audit Service                                   ║');
+    console.log('╠══════════════════════════════════════════════════════════════╣');
+    console.log(`║  Server running on http://localhost:${PORT}                    ║`);
+    console.log(`║  Storage: ${storage.slice(-50).padEnd(51)}║`);
+    console.log(`║  Entries: ${String(log.size()).padEnd(51)}║`);
+    console.log('╚══════════════════════════════════════════════════════════════╝');
+    console.log('');
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n\n🛑 Shutting down the audit service...');
+    subscription?.stop();
+    server.close();
+    process.exit(0);
+  });
+
+  return { app, io, log };
+}
+
+module.exports = {
+  createAuditLog,
+  toCsv,
+  startAuditService
+};
+
+if (require.main === module) {
+  startAuditService();
+}
@@ -0,0 +1,135 @@
+/**
+ * Message Broker Client
+ * Publishing (ESBs) and durable subscriptions (department UIs, other
+ * systems) against the broker at BROKER_URL. Without BROKER_URL publishing
+ * is a no-op and nothing is subscribed.
+ *
+ * Publishing never fails the caller: a message the broker can't take yet
+ * waits in an in-process outbox and is retried, in order, every
+ * BROKER_RETRY_MS. Subscribers ack each message once their handler
+ * resolves; a handler that throws gets the message again on the next poll.
+ */
+
+const axios = require('axios');
+
+const BROKER_RETRY_MS = parseInt(process.env.BROKER_RETRY_MS) || 5000;
+const POLL_WAIT_MS = 20000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a publisher
+ * @param {string} source - Reported as the message source (e.g. 'ESB2')
+ * @returns {object} - { publish(topic, payload, summary), pending() }
+ */
+function createPublisher(source) {
+  const brokerUrl = process.env.BROKER_URL;
+  const outbox = [];
+  let timer = null;
+
+  async function send(message) {
+    await axios.post(`${brokerUrl}/api/topics/${encodeURIComponent(message.topic)}`, message.body, { timeout: 5000 });
+  }
+
+  async function flush() {
+    timer = null;
+    while (outbox.length > 0) {
+      try {
+        await send(outbox[0]);
+        outbox.shift();
+      } catch (error) {
+        console.error(`[Broker] ${outbox.length} message(s) waiting in the outbox: ${error.message}`);
+        timer = setTimeout(flush, BROKER_RETRY_MS);
+        timer.unref();
+        return;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Publish a message (fire and forget)
+     * @param {string} topic - e.g. 'purchase-order.issued'
+     * @param {object} payload - Message body
+     * @param {string} [summary] - One line for humans
+     */
+    publish(topic, payload, summary = null) {
+      if (!brokerUrl) {
+        return;
+      }
+      outbox.push({ topic, body: { payload, source, summary } });
+      // Keep publishing order: only the head of the outbox is ever in flight
+      if (outbox.length === 1 && !timer) {
+        flush();
+      }
+    },
+
+    pending: () => outbox.length
+  };
+}
+
+/**
+ * Consume a durable subscription until stopped
+ * @param {object} options
+ * @param {string} options.name - Subscription name, shared by every instance of the consumer
+ * @param {Array<string>} options.topics - Topics or patterns ('*' one segment, '#' the rest)
+ * @param {string} [options.start] - Where a new subscription starts: 'latest' (default) or 'earliest'
+ * @param {Function} options.onMessage - async (message) => void; throw to get the message again
+ * @returns {object|null} - { stop } or null when no broker is configured
+ */
+function subscribe({ name, topics, start = 'latest', onMessage }) {
+  const brokerUrl = process.env.BROKER_URL;
+  if (!brokerUrl) {
+    return null;
+  }
+  const base = `${brokerUrl}/api/subscriptions/${encodeURIComponent(name)}`;
+  let stopped = false;
+  let controller = null;
+
+  async function consume() {
+    let subscribed = false;
+    while (!stopped) {
+      controller = new AbortController();
+      try {
+        if (!subscribed) {
+          await axios.put(base, { topics, start }, { timeout: 5000, signal: controller.signal });
+          subscribed = true;
+          console.log(`📨 Subscribed to ${topics.join(', ')} as ${name}`);
+        }
+        const { data } = await axios.get(`${base}/messages`, {
+          params: { waitMs: POLL_WAIT_MS },
+          timeout: POLL_WAIT_MS + 5000,
+          signal: controller.signal
+        });
+        for (const message of data.messages) {
+          await onMessage(message);
+          await axios.post(`${base}/ack`, { topic: message.topic, offset: message.offset }, { timeout: 5000 });
+        }
+      } catch (error) {
+        if (stopped) {
+          return;
+        }
+        // A broker restart may have lost a memory-backed subscription
+        if (error.response?.status === 404) {
+          subscribed = false;
+        }
+        console.error(`[Broker] ${name}: ${error.message}`);
+        await sleep(BROKER_RETRY_MS);
+      }
+    }
+  }
+
+  consume();
+
+  return {
+    stop() {
+      stopped = true;
+      controller?.abort();
+    }
+  };
+}
+
+module.exports = {
+  createPublisher,
+  subscribe
+};
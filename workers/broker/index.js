@@ -0,0 +1,389 @@
+/**
+ * Message Broker
+ * Port: 3003
+ *
+ * Publish/subscribe channel between the ESBs, the department UIs and any
+ * other system. Every topic is an append-only log: messages keep their
+ * offset, so subscribers can be replayed from any point.
+ *
+ * Subscriptions are durable and named: the broker remembers, per topic,
+ * the next offset each subscription has to read. Messages are delivered at
+ * least once - they are handed out again until the subscriber acks them.
+ *
+ * Topics look like `purchase-order.issued`; subscription patterns may use
+ * `*` (one segment) and `#` (the rest, e.g. `stock-levels.#`).
+ *
+ * Storage (BROKER_STORE env var):
+ *   - file   (default) - one JSONL log per topic plus subscriptions.json under BROKER_DATA_DIR
+ *   - memory           - lost on restart
+ *
+ * Endpoints:
+ *   - POST   /api/topics/:topic - Publish { payload, source, summary }
+ *   - GET    /api/topics - Topics with their message count
+ *   - GET    /api/topics/:topic/messages?from=&limit= - Read a topic from an offset
+ *   - PUT    /api/subscriptions/:name - Create or update { topics[], start: 'latest' | 'earliest' }
+ *   - GET    /api/subscriptions - Subscriptions with their lag
+ *   - GET    /api/subscriptions/:name/messages?max=&waitMs= - Unacked messages (long poll)
+ *   - POST   /api/subscriptions/:name/ack - Acknowledge { topic, offset }
+ *   - POST   /api/subscriptions/:name/seek - Replay { from: 'earliest' | 'latest' | ISO date, topic? }
+ *   - DELETE /api/subscriptions/:name - Drop a subscription
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const express = require('express');
+const cors = require('cors');
+
+const PORT = process.env.BROKER_PORT || 3003;
+const BROKER_DATA_DIR = process.env.BROKER_DATA_DIR || path.join(__dirname, '..', '.data', 'broker');
+const MAX_WAIT_MS = 30000;
+
+const TOPIC_PATTERN = /^[a-z0-9][a-z0-9_-]*(\.[a-z0-9][a-z0-9_-]*)*$/i;
+
+/**
+ * Whether a topic matches a subscription pattern
+ * @param {string} pattern - e.g. 'purchase-order.*' or 'stock-levels.#'
+ * @param {string} topic - e.g. 'purchase-order.issued'
+ * @returns {boolean}
+ */
+function topicMatches(pattern, topic) {
+  const wanted = pattern.split('.');
+  const actual = topic.split('.');
+  for (let i = 0; i < wanted.length; i++) {
+    if (wanted[i] === '#') {
+      return true;
+    }
+    if (i >= actual.length || (wanted[i] !== '*' && wanted[i] !== actual[i])) {
+      return false;
+    }
+  }
+  return wanted.length === actual.length;
+}
+
+/**
+ * Persistence of topic logs and subscriptions
+ * @param {string} driver - 'file' or 'memory'
+ * @param {string} dir - Data directory of the file driver
+ * @returns {object} - { load, append, saveSubscriptions }
+ */
+function createBrokerStore(driver, dir) {
+  if (driver === 'memory') {
+    return {
+      load: () => ({ topics: {}, subscriptions: {} }),
+      append: () => {},
+      saveSubscriptions: () => {}
+    };
+  }
+  if (driver !== 'file') {
+    throw new Error(`Unknown broker store driver: ${driver}`);
+  }
+
+  const topicsDir = path.join(dir, 'topics');
+  const subscriptionsFile = path.join(dir, 'subscriptions.json');
+
+  return {
+    load() {
+      const topics = {};
+      if (fs.existsSync(topicsDir)) {
+        for (const file of fs.readdirSync(topicsDir).filter(name => name.endsWith('.jsonl'))) {
+          const lines = fs.readFileSync(path.join(topicsDir, file), 'utf8').split('\n').filter(line => line.trim());
+          topics[path.basename(file, '.jsonl')] = lines.map(line => JSON.parse(line));
+        }
+      }
+      const subscriptions = fs.existsSync(subscriptionsFile) ? JSON.parse(fs.readFileSync(subscriptionsFile, 'utf8')) : {};
+      return { topics, subscriptions };
+    },
+
+    append(message) {
+      fs.mkdirSync(topicsDir, { recursive: true });
+      fs.appendFileSync(path.join(topicsDir, `${message.topic}.jsonl`), `${JSON.stringify(message)}\n`);
+    },
+
+    saveSubscriptions(subscriptions) {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpPath = `${subscriptionsFile}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(subscriptions, null, 2));
+      fs.renameSync(tmpPath, subscriptionsFile);
+    }
+  };
+}
+
+/**
+ * Topic logs and durable subscriptions
+ * @param {object} [options]
+ * @param {string} [options.driver] - 'file' or 'memory' (defaults to BROKER_STORE or 'file')
+ * @param {string} [options.dir] - Data directory for the file driver
+ * @returns {object} - Broker API
+ */
+function createBroker({ driver = process.env.BROKER_STORE || 'file', dir = BROKER_DATA_DIR } = {}) {
+  const store = createBrokerStore(driver, dir);
+  const { topics, subscriptions } = store.load();
+  const published = new EventEmitter();
+  published.setMaxListeners(0);
+
+  // Broker-wide sequence: orders messages across topics
+  let sequence = Object.values(topics).flat().reduce((max, message) => Math.max(max, message.seq), 0);
+
+  function requireSubscription(name) {
+    const subscription = subscriptions[name];
+    if (!subscription) {
+      throw Object.assign(new Error(`No subscription named ${name}`), { status: 404 });
+    }
+    return subscription;
+  }
+
+  const matchingTopics = (subscription) =>
+    Object.keys(topics).filter(topic => subscription.topics.some(pattern => topicMatches(pattern, topic)));
+
+  // Next offset to deliver: the acked position, else the first message
+  // published after the subscription started
+  function cursor(subscription, topic) {
+    if (subscription.offsets[topic] !== undefined) {
+      return subscription.offsets[topic];
+    }
+    const first = topics[topic].findIndex(message => message.seq > subscription.startSeq);
+    return first === -1 ? topics[topic].length : first;
+  }
+
+  function pending(subscription, max) {
+    return matchingTopics(subscription)
+      .flatMap(topic => topics[topic].slice(cursor(subscription, topic)))
+      .sort((a, b) => a.seq - b.seq)
+      .slice(0, max);
+  }
+
+  return {
+    /**
+     * Append a message to a topic
+     * @returns {object} - The stored message
+     */
+    publish(topic, { payload = null, source = null, summary = null } = {}) {
+      if (!TOPIC_PATTERN.test(topic)) {
+        throw Object.assign(new Error(`Invalid topic name: ${topic}`), { status: 400 });
+      }
+      topics[topic] = topics[topic] || [];
+      const message = {
+        id: crypto.randomUUID(),
+        topic,
+        offset: topics[topic].length,
+        seq: ++sequence,
+        publishedAt: new Date().toISOString(),
+        source,
+        summary,
+        payload
+      };
+      store.append(message);
+      topics[topic].push(message);
+      published.emit('message', message);
+      return message;
+    },
+
+    listTopics: () => Object.entries(topics).map(([topic, messages]) => ({
+      topic,
+      messages: messages.length,
+      lastPublishedAt: messages.length > 0 ? messages[messages.length - 1].publishedAt : null
+    })),
+
+    read: (topic, from = 0, limit = 100) => (topics[topic] || []).slice(from, from + limit),
+
+    /**
+     * Create a subscription, or change its topics (its offsets are kept)
+     * @param {string} name - Durable subscription name (e.g. 'ui-finance')
+     * @param {object} options - { topics: [...patterns], start: 'latest' | 'earliest' }
+     */
+    subscribe(name, { topics: patterns, start = 'latest' }) {
+      const existing = subscriptions[name];
+      subscriptions[name] = {
+        name,
+        topics: patterns,
+        startSeq: existing ? existing.startSeq : start === 'earliest' ? 0 : sequence,
+        offsets: existing ? existing.offsets : {},
+        createdAt: existing ? existing.createdAt : new Date().toISOString()
+      };
+      store.saveSubscriptions(subscriptions);
+      return subscriptions[name];
+    },
+
+    unsubscribe(name) {
+      const deleted = delete subscriptions[name];
+      store.saveSubscriptions(subscriptions);
+      return deleted;
+    },
+
+    listSubscriptions: () => Object.values(subscriptions).map(subscription => ({
+      name: subscription.name,
+      topics: subscription.topics,
+      createdAt: subscription.createdAt,
+      lag: matchingTopics(subscription).reduce((sum, topic) => sum + topics[topic].length - cursor(subscription, topic), 0)
+    })),
+
+    /**
+     * Unacked messages of a subscription, waiting up to waitMs for one
+     * @returns {Promise<Array<object>>}
+     */
+    fetch(name, { max = 20, waitMs = 0 } = {}) {
+      const subscription = requireSubscription(name);
+      const ready = pending(subscription, max);
+      if (ready.length > 0 || waitMs <= 0) {
+        return Promise.resolve(ready);
+      }
+      return new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          published.off('message', onMessage);
+          resolve(subscriptions[name] ? pending(subscriptions[name], max) : []);
+        };
+        const onMessage = (message) => {
+          if (subscription.topics.some(pattern => topicMatches(pattern, message.topic))) {
+            done();
+          }
+        };
+        const timer = setTimeout(done, Math.min(waitMs, MAX_WAIT_MS));
+        published.on('message', onMessage);
+      });
+    },
+
+    // Everything up to and including `offset` has been handled
+    ack(name, topic, offset) {
+      const subscription = requireSubscription(name);
+      if (!topics[topic] || !Number.isInteger(offset) || offset < 0 || offset >= topics[topic].length) {
+        throw Object.assign(new Error(`No message ${topic}@${offset}`), { status: 400 });
+      }
+      subscription.offsets[topic] = Math.max(cursor(subscription, topic), offset + 1);
+      store.saveSubscriptions(subscriptions);
+      return subscription.offsets[topic];
+    },
+
+    /**
+     * Move a subscription back (replay) or forward
+     * @param {string} name - Subscription
+     * @param {object} options - { from: 'earliest' | 'latest' | ISO date, topic? (all matching topics by default) }
+     * @returns {object} - New offsets per topic
+     */
+    seek(name, { from, topic }) {
+      const subscription = requireSubscription(name);
+      const since = from === 'earliest' || from === 'latest' ? null : Date.parse(from);
+      if (since !== null && Number.isNaN(since)) {
+        throw Object.assign(new Error(`from must be 'earliest', 'latest' or a date, got ${from}`), { status: 400 });
+      }
+      const targets = topic ? [topic] : matchingTopics(subscription);
+      for (const target of targets.filter(t => topics[t])) {
+        const log = topics[target];
+        if (from === 'earliest') {
+          subscription.offsets[target] = 0;
+        } else if (from === 'latest') {
+          subscription.offsets[target] = log.length;
+        } else {
+          const index = log.findIndex(message => Date.parse(message.publishedAt) >= since);
+          subscription.offsets[target] = index === -1 ? log.length : index;
+        }
+      }
+      store.saveSubscriptions(subscriptions);
+      return Object.fromEntries(targets.filter(t => topics[t]).map(t => [t, subscription.offsets[t]]));
+    }
+  };
+}
+
+/**
+ * Express app serving a broker
+ * @param {object} broker - From createBroker()
+ * @returns {object} - Express app
+ */
+function createBrokerApp(broker) {
+  const app = express();
+  app.use(cors());
+  app.use(express.json({ limit: '1mb' }));
+
+  // Broker errors carry their HTTP status
+  const handle = (fn, status = 200) => async (req, res) => {
+    try {
+      res.status(status).json(await fn(req));
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  };
+
+  app.post('/api/topics/:topic', handle(req => {
+    const message = broker.publish(req.params.topic, req.body);
+    console.log(`📨 ${message.topic}@${message.offset}${message.source ? ` from ${message.source}` : ''}${message.summary ? `: ${message.summary}` : ''}`);
+    return { success: true, id: message.id, topic: message.topic, offset: message.offset };
+  }, 201));
+
+  app.get('/api/topics', handle(() => ({ success: true, topics: broker.listTopics() })));
+
+  app.get('/api/topics/:topic/messages', handle(req => ({
+    success: true,
+    messages: broker.read(req.params.topic, parseInt(req.query.from) || 0, parseInt(req.query.limit) || 100)
+  })));
+
+  app.put('/api/subscriptions/:name', handle(req => {
+    const { topics, start } = req.body;
+    if (!Array.isArray(topics) || topics.length === 0 || !topics.every(t => typeof t === 'string')) {
+      throw Object.assign(new Error('topics[] is required'), { status: 400 });
+    }
+    const subscription = broker.subscribe(req.params.name, { topics, start });
+    return { success: true, name: subscription.name, topics: subscription.topics };
+  }));
+
+  app.get('/api/subscriptions', handle(() => ({ success: true, subscriptions: broker.listSubscriptions() })));
+
+  app.get('/api/subscriptions/:name/messages', handle(async req => ({
+    success: true,
+    messages: await broker.fetch(req.params.name, {
+      max: parseInt(req.query.max) || 20,
+      waitMs: parseInt(req.query.waitMs) || 0
+    })
+  })));
+
+  app.post('/api/subscriptions/:name/ack', handle(req => ({
+    success: true,
+    next: broker.ack(req.params.name, req.body.topic, req.body.offset)
+  })));
+
+  app.post('/api/subscriptions/:name/seek', handle(req => {
+    const offsets = broker.seek(req.params.name, req.body);
+    console.log(`⏪ ${req.params.name} seeks to ${req.body.from}:`, JSON.stringify(offsets));
+    return { success: true, offsets };
+  }));
+
+  app.delete('/api/subscriptions/:name', handle(req => ({ success: broker.unsubscribe(req.params.name) })));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', service: 'broker', port: PORT });
+  });
+
+  return app;
+}
+
+/**
+ * Start the broker on BROKER_PORT
+ * @returns {object} - The broker
+ */
+function startBroker() {
+  const broker = createBroker();
+  const storage = (process.env.BROKER_STORE || 'file') === 'file' ? BROKER_DATA_DIR : 'memory';
+  createBrokerApp(broker).listen(PORT, () => {
+    console.log('');
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           📨 Message Broker                                  ║');
+    console.log('╠══════════════════════════════════════════════════════════════╣');
+    console.log(`║  Server running on http://localhost:${PORT}                    ║`);
+    console.log(`║  Storage: ${storage.slice(-50).padEnd(51)}║`);
+    console.log('╚══════════════════════════════════════════════════════════════╝');
+    console.log('');
+  });
+  return broker;
+}
+
+module.exports = {
+  topicMatches,
+  createBroker,
+  createBrokerApp,
+  startBroker
+};
+
+if (require.main === module) {
+  startBroker();
+}
@@ -0,0 +1,149 @@
+/**
+ * ESB Contract Validation
+ * Shared by the ESBs (server-side enforcement) and the UI ESB client
+ * (client-side checks before and after each call).
+ *
+ * Requests are checked in strict mode unless ESB_VALIDATION=lenient, in
+ * which case the fields listed under a contract's `strict` key may be
+ * omitted and the ESB fills in its demo defaults.
+ */
+
+const Ajv = require('ajv');
+const schemas = require('./schemas');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators, keyed by endpoint then direction (+ mode for requests)
+const validators = {};
+
+/**
+ * Current request validation mode
+ * @returns {string} - 'strict' (default) or 'lenient'
+ */
+function validationMode() {
+  return process.env.ESB_VALIDATION === 'lenient' ? 'lenient' : 'strict';
+}
+
+/**
+ * Request schema with the contract's `strict` fields made required
+ * @param {object} contract - Endpoint contract
+ * @returns {object} - JSON Schema
+ */
+function strictRequestSchema(contract) {
+  const required = new Set([...contract.request.required, ...(contract.strict || [])]);
+  return { ...contract.request, required: Array.from(required) };
+}
+
+class ContractError extends Error {
+  /**
+   * @param {string} endpoint - The ESB endpoint (e.g. '/api/check-delivery')
+   * @param {string} direction - 'request' or 'response'
+   * @param {Array<{field: string, message: string}>} errors - Per-field violations
+   */
+  constructor(endpoint, direction, errors) {
+    super(`${direction === 'request' ? 'Request' : 'Response'} does not match the ${endpoint} contract: ` +
+      errors.map(e => `${e.field} ${e.message}`).join(', '));
+    this.name = 'ContractError';
+    this.endpoint = endpoint;
+    this.direction = direction;
+    this.errors = errors;
+  }
+}
+
+function getValidator(endpoint, direction, mode) {
+  const contract = schemas[endpoint];
+  if (!contract) {
+    return null;
+  }
+  const key = direction === 'request' ? `request:${mode}` : direction;
+  validators[endpoint] = validators[endpoint] || {};
+  if (!validators[endpoint][key]) {
+    const schema = key === 'request:strict' ? strictRequestSchema(contract) : contract[direction];
+    validators[endpoint][key] = ajv.compile(schema);
+  }
+  return validators[endpoint][key];
+}
+
+/**
+ * Turn Ajv errors into a flat per-field list
+ * @param {Array} errors - Ajv error objects
+ * @returns {Array<{field: string, message: string}>}
+ */
+function formatErrors(errors) {
+  return errors.map(error => {
+    const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    if (error.keyword === 'required') {
+      return { field: path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty, message: 'is required' };
+    }
+    if (error.keyword === 'additionalProperties') {
+      return { field: error.params.additionalProperty, message: 'is not part of the contract' };
+    }
+    return { field: path || '(body)', message: error.message };
+  });
+}
+
+/**
+ * Validate data against an endpoint contract
+ * @param {string} endpoint - The ESB endpoint
+ * @param {string} direction - 'request' or 'response'
+ * @param {object} data - Data as sent over the wire
+ * @param {string} [mode] - 'strict' or 'lenient' (defaults to ESB_VALIDATION)
+ * @returns {Array<{field: string, message: string}>} - Empty when valid or when no contract exists
+ */
+function validate(endpoint, direction, data, mode = validationMode()) {
+  const validator = getValidator(endpoint, direction, mode);
+  if (!validator || validator(data)) {
+    return [];
+  }
+  return formatErrors(validator.errors);
+}
+
+/**
+ * Send the 400 CONTRACT_VIOLATION response
+ * @param {object} res - Express response
+ * @param {object} details - { endpoint, mode, errors, esbName }
+ */
+function rejectRequest(res, { endpoint, mode, errors, esbName }) {
+  console.log(`  Contract violation (${mode}):`, JSON.stringify(errors));
+  res.status(400).json({
+    success: false,
+    error: 'CONTRACT_VIOLATION',
+    message: `Request body does not match the ${endpoint} contract`,
+    endpoint,
+    mode,
+    errors,
+    esb: esbName
+  });
+}
+
+/**
+ * Express middleware rejecting POST bodies that break their endpoint contract
+ * @param {string} esbName - Name reported in error responses (e.g. 'ESB1')
+ * @returns {Function} - Express middleware
+ */
+function enforceContracts(esbName) {
+  return (req, res, next) => {
+    if (req.method !== 'POST' || !schemas[req.path]) {
+      return next();
+    }
+
+    const mode = validationMode();
+    const errors = validate(req.path, 'request', req.body || {}, mode);
+    if (errors.length === 0) {
+      return next();
+    }
+
+    rejectRequest(res, { endpoint: req.path, mode, errors, esbName });
+  };
+}
+
+module.exports = {
+  schemas,
+  validate,
+  validationMode,
+  strictRequestSchema,
+  formatErrors,
+  enforceContracts,
+  rejectRequest,
+  ContractError
+};
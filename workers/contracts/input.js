@@ -0,0 +1,61 @@
+/**
+ * ESB Request Input Reader
+ *
+ * Reads request fields with an explicit demo default. The default only
+ * applies when the field is missing or unparseable - which strict mode
+ * already rejects for required fields - and never when the value is 0.
+ * Every default that was applied is recorded so it can be reported back
+ * instead of passing for real input.
+ */
+
+/**
+ * @param {object} body - The request body
+ * @returns {object} - { number, integer, text, defaultsApplied }
+ */
+function readInput(body = {}) {
+  const defaultsApplied = [];
+
+  function fallback(field, demoDefault) {
+    if (demoDefault !== undefined) {
+      defaultsApplied.push(field);
+    }
+    return demoDefault;
+  }
+
+  return {
+    number(field, demoDefault) {
+      const value = parseFloat(body[field]);
+      return Number.isNaN(value) ? fallback(field, demoDefault) : value;
+    },
+
+    integer(field, demoDefault) {
+      const value = parseInt(body[field]);
+      return Number.isNaN(value) ? fallback(field, demoDefault) : value;
+    },
+
+    text(field, demoDefault) {
+      const value = body[field];
+      return typeof value === 'string' && value.trim() !== '' ? value : fallback(field, demoDefault);
+    },
+
+    defaultsApplied
+  };
+}
+
+/**
+ * Fields to merge into a `transformed` payload when demo defaults were used
+ * @param {object} input - Reader returned by readInput
+ * @returns {object} - { defaultsApplied: [...] } or {}
+ */
+function defaultsReport(input) {
+  if (input.defaultsApplied.length === 0) {
+    return {};
+  }
+  console.log('  ⚠️  Demo defaults applied for:', input.defaultsApplied.join(', '));
+  return { defaultsApplied: input.defaultsApplied };
+}
+
+module.exports = {
+  readInput,
+  defaultsReport
+};
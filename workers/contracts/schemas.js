@@ -0,0 +1,407 @@
+/**
+ * ESB Endpoint Contracts
+ * JSON Schema for the request body and response of every ESB endpoint.
+ *
+ * Request schemas list exactly the fields the ESB reads, so a UI sending
+ * a field under the wrong name is rejected instead of silently ignored.
+ * Response schemas list the `transformed` fields the UIs rely on.
+ *
+ * `strict` lists the fields that are only optional in lenient (demo) mode,
+ * where the ESB falls back to a demo default when they are missing.
+ */
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const count = { type: 'integer', minimum: 0 };
+const boolean = { type: 'boolean' };
+const stringList = {
+  anyOf: [
+    { type: 'string' },
+    { type: 'array', items: { type: 'string' } }
+  ]
+};
+
+function request(properties, required = []) {
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false
+  };
+}
+
+// Inputs of the promotion profitability model (esb1/profitability.js)
+function promotionModel(extra = {}) {
+  return {
+    productIds: stringList,
+    discount: { type: 'number', minimum: 0, maximum: 100 },
+    durationDays: { type: 'integer', minimum: 1 },
+    expectedUplift: { type: 'number', minimum: -100 },
+    cannibalization: { type: 'number', minimum: 0, maximum: 100 },
+    riskLevel: { enum: ['low', 'medium', 'high'] },
+    ...extra
+  };
+}
+
+function response(properties) {
+  return {
+    type: 'object',
+    required: ['success', 'transformed'],
+    properties: {
+      success: { const: true },
+      transformed: {
+        type: 'object',
+        properties,
+        required: Object.keys(properties)
+      }
+    }
+  };
+}
+
+module.exports = {
+  // ==========================================================================
+  // ESB1 - Data Analysis & Finance
+  // ==========================================================================
+
+  '/api/identify-products': {
+    esb: 'esb1',
+    request: request({
+      productIds: stringList,
+      reason: string,
+      urgency: { enum: ['high', 'medium', 'low'] },
+      category: string
+    }, ['productIds']),
+    strict: ['reason', 'urgency'],
+    response: response({
+      normalizedIds: { type: 'array', items: string },
+      productDetails: { type: 'array' },
+      analysisScore: number,
+      priority: string
+    })
+  },
+
+  '/api/identify-products/preview': {
+    esb: 'esb1',
+    request: request({
+      productIds: stringList,
+      reason: string,
+      urgency: { enum: ['high', 'medium', 'low'] },
+      category: string
+    }, ['productIds']),
+    strict: ['reason', 'urgency'],
+    response: response({
+      analysisScore: number,
+      priority: string,
+      breakdown: { type: 'array' },
+      rulesVersion: string
+    })
+  },
+
+  // Percentages are 0-100: discount off the regular price, expected sales
+  // uplift during the promotion, share of that uplift taken from other products
+  '/api/evaluate-profitability': {
+    esb: 'esb1',
+    request: request(promotionModel({ approved: boolean }), ['approved']),
+    strict: ['productIds', 'discount', 'expectedUplift', 'cannibalization', 'riskLevel'],
+    response: response({
+      products: { type: 'array' },
+      projectedRevenue: number,
+      grossMarginBefore: number,
+      grossMarginAfter: number,
+      breakEvenUplift: { type: ['number', 'null'] },
+      riskCategory: string,
+      recommendation: string,
+      financialScore: number
+    })
+  },
+
+  '/api/evaluate-profitability/preview': {
+    esb: 'esb1',
+    request: request(promotionModel(), ['productIds']),
+    strict: ['discount', 'expectedUplift', 'cannibalization'],
+    response: response({
+      products: { type: 'array' },
+      projectedRevenue: number,
+      grossMarginBefore: number,
+      grossMarginAfter: number,
+      breakEvenUplift: { type: ['number', 'null'] },
+      riskCategory: string
+    })
+  },
+
+  '/api/compute-replenishment': {
+    esb: 'esb1',
+    request: request({
+      productId: string,
+      productName: string,
+      currentStock: count,
+      avgDailySales: { type: 'number', exclusiveMinimum: 0 },
+      leadTimeDays: count,
+      safetyStockDays: count,
+      forecastMethod: { enum: ['fixed-buffer', 'moving-average', 'exponential-smoothing', 'seasonal'] },
+      historyDays: { type: 'integer', minimum: 7 },
+      serviceLevel: { type: 'number', minimum: 0.5, maximum: 0.9999 },
+      unitCost: { type: 'number', minimum: 0 },
+      orderingCost: { type: 'number', minimum: 0 },
+      holdingCostRate: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+    }, ['productId']),
+    // safetyStockDays is only required by the fixed-buffer method, and
+    // leadTimeDays when no supplier sells the product (checked by ESB1)
+    strict: [],
+    response: response({
+      currentStock: integer,
+      avgDailySales: number,
+      reorderPoint: integer,
+      recommendedQuantity: integer,
+      forecastMethod: string,
+      forecast: { type: 'object', required: ['method', 'inputs'] },
+      urgencyLevel: string
+    })
+  },
+
+  '/api/rank-suppliers': {
+    esb: 'esb1',
+    request: request({
+      productId: string,
+      quantity: { type: 'integer', minimum: 1 }
+    }, ['productId']),
+    strict: ['quantity'],
+    response: response({
+      productId: string,
+      suppliers: { type: 'array' },
+      recommendedSupplier: { type: ['object', 'null'] }
+    })
+  },
+
+  // The order is checked against (and, approved, reserved on) ESB1's budget
+  // ledger; `budget` only caps it further
+  '/api/analyze-replenishment': {
+    esb: 'esb1',
+    request: request({
+      productId: string,
+      category: string,
+      department: string,
+      unitCost: { type: 'number', minimum: 0 },
+      budget: { type: 'number', minimum: 0 },
+      moq: count,
+      orderQuantity: { type: 'integer', minimum: 1 },
+      paymentTerms: string,
+      reservationId: string,
+      approved: boolean
+    }, ['orderQuantity']),
+    strict: ['productId'],
+    response: response({
+      unitCost: number,
+      totalOrderCost: number,
+      budgetAvailable: number,
+      withinBudget: boolean,
+      reservationId: { type: ['string', 'null'] },
+      financialScore: string
+    })
+  },
+
+  '/api/analyze-replenishment/preview': {
+    esb: 'esb1',
+    request: request({
+      productId: string,
+      category: string,
+      department: string,
+      unitCost: { type: 'number', minimum: 0 },
+      budget: { type: 'number', minimum: 0 },
+      orderQuantity: { type: 'integer', minimum: 1 },
+      reservationId: string
+    }, ['orderQuantity']),
+    strict: ['productId'],
+    response: response({
+      unitCost: number,
+      totalOrderCost: number,
+      budgetAvailable: number,
+      withinBudget: boolean
+    })
+  },
+
+  // ==========================================================================
+  // ESB2 - Commercial, Marketing & IT (Promotion)
+  // ==========================================================================
+
+  '/api/propose-promotion': {
+    esb: 'esb2',
+    request: request({
+      discount: { type: 'integer', minimum: 1, maximum: 100 },
+      promoText: string,
+      durationDays: { type: 'integer', minimum: 1 }
+    }),
+    strict: ['discount', 'durationDays'],
+    response: response({
+      promotionCode: string,
+      discountPercentage: number,
+      durationDays: integer
+    })
+  },
+
+  '/api/prepare-instore': {
+    esb: 'esb2',
+    request: request({
+      storeIds: stringList,
+      labelsReady: boolean
+    }, ['storeIds']),
+    response: response({
+      validatedStores: { type: 'array' },
+      storeCount: integer
+    })
+  },
+
+  '/api/update-physical-prices': {
+    esb: 'esb2',
+    request: request({
+      labelsUpdated: count,
+      allStoresCompleted: boolean,
+      storeCount: { type: 'integer', minimum: 1 }
+    }),
+    strict: ['labelsUpdated', 'storeCount'],
+    response: response({
+      completionRate: string,
+      completionStatus: string
+    })
+  },
+
+  '/api/prepare-materials': {
+    esb: 'esb2',
+    request: request({
+      flyerQty: count,
+      digitalChannels: stringList,
+      posterQty: count,
+      headline: string
+    }),
+    strict: ['flyerQty', 'posterQty'],
+    response: response({
+      campaignId: string,
+      estimatedReach: { type: 'object' }
+    })
+  },
+
+  '/api/update-prices': {
+    esb: 'esb2',
+    request: request({
+      posUpdated: boolean,
+      erpUpdated: boolean,
+      ecomUpdated: boolean,
+      inventoryUpdated: boolean,
+      terminalCount: count
+    }),
+    strict: ['terminalCount'],
+    response: response({
+      batchId: string,
+      systemStatuses: { type: 'array' }
+    })
+  },
+
+  // ==========================================================================
+  // ESB2 - Stock Management (Merchandising, Logistics, IT)
+  // ==========================================================================
+
+  '/api/create-replenishment': {
+    esb: 'esb2',
+    request: request({
+      productId: string,
+      productName: string,
+      orderQuantity: { type: 'integer', minimum: 1 },
+      priority: string,
+      notes: string
+    }, ['productId']),
+    strict: ['orderQuantity', 'priority'],
+    response: response({
+      requestId: string,
+      status: string
+    })
+  },
+
+  '/api/verify-stock': {
+    esb: 'esb2',
+    request: request({
+      productId: string,
+      physicalCount: count,
+      currentStock: count,
+      location: string,
+      verified: boolean
+    }, ['physicalCount']),
+    strict: ['currentStock', 'verified'],
+    response: response({
+      stockVerified: boolean,
+      discrepancy: integer
+    })
+  },
+
+  '/api/process-replenishment': {
+    esb: 'esb2',
+    request: request({
+      productId: string,
+      supplier: string,
+      supplierId: string,
+      orderQuantity: { type: 'integer', minimum: 1 },
+      totalCost: { type: 'number', minimum: 0 },
+      shippingMethod: { enum: ['standard', 'express'] },
+      estimatedDelivery: string,
+      budgetReservationId: string
+    }, ['orderQuantity', 'supplierId']),
+    strict: ['shippingMethod'],
+    response: response({
+      purchaseOrderNumber: string,
+      trackingNumber: string,
+      estimatedDeliveryDate: string
+    })
+  },
+
+  '/api/check-delivery': {
+    esb: 'esb2',
+    request: request({
+      purchaseOrderNumber: string,
+      receivedQty: count,
+      damagedQty: count,
+      qualityScore: { type: 'number', minimum: 0, maximum: 10 },
+      conforming: boolean
+    }, ['receivedQty', 'conforming']),
+    strict: ['purchaseOrderNumber', 'damagedQty'],
+    response: response({
+      deliveryConforming: boolean,
+      quantityAccepted: integer
+    })
+  },
+
+  '/api/handle-return': {
+    esb: 'esb2',
+    request: request({
+      purchaseOrderNumber: string,
+      returnReason: string,
+      refundRequested: boolean,
+      replacementRequested: boolean,
+      quantityReturned: count,
+      notes: string
+    }, ['quantityReturned']),
+    strict: ['purchaseOrderNumber', 'returnReason'],
+    response: response({
+      rmaNumber: string,
+      returnStatus: string
+    })
+  },
+
+  '/api/update-stock-systems': {
+    esb: 'esb2',
+    request: request({
+      purchaseOrderNumber: string,
+      productId: string,
+      erpUpdated: boolean,
+      wmsUpdated: boolean,
+      posUpdated: boolean,
+      previousStock: count,
+      quantityAdded: count,
+      newStockLevel: count
+    }),
+    strict: ['previousStock', 'quantityAdded', 'newStockLevel'],
+    response: response({
+      systemUpdateStatus: string,
+      stockLevels: { type: 'object' }
+    })
+  }
+};
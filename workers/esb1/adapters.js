@@ -0,0 +1,208 @@
+/**
+ * ESB1 Backend Adapters
+ * The finance backends ESB1 pipelines (pipelines.json) route to. Adapters
+ * receive the pipeline context ({ body, values, enriched, results }) and
+ * return the fields they contribute to `transformed`.
+ */
+
+const { getCatalog } = require('./catalog');
+const { getSuppliers } = require('./suppliers');
+const { BudgetError, getBudgetLedger, periodOf } = require('./budgets');
+const { ProfitabilityError, projectPromotion } = require('./profitability');
+
+// Gross margin (%) after the discount below which a promotion is high risk,
+// and above which it can be low risk
+const MIN_MARGIN = 10;
+const SAFE_MARGIN = 20;
+// Low risk also needs the expected uplift this far above break-even
+const UPLIFT_HEADROOM = 1.25;
+
+/**
+ * Unit cost of a replenishment order: the one sent, else the catalog cost,
+ * else the best-ranked supplier's price
+ * @param {object} values - Pipeline values (unitCost, productId, orderQuantity)
+ * @returns {object} - { unitCost, unitCostSource: 'request' | 'catalog' | 'supplier' }
+ * @throws {BudgetError} 422 NO_UNIT_COST when nobody prices the product
+ */
+function priceOrder(values) {
+  if (values.unitCost !== undefined) {
+    return { unitCost: values.unitCost, unitCostSource: 'request' };
+  }
+  const product = values.productId && getCatalog().getProduct(values.productId);
+  if (product?.unitCost !== undefined) {
+    return { unitCost: product.unitCost, unitCostSource: 'catalog' };
+  }
+  const [best] = values.productId
+    ? getSuppliers().rank({ sku: values.productId, quantity: values.orderQuantity }).suppliers
+    : [];
+  if (best?.unitPrice !== undefined) {
+    return { unitCost: best.unitPrice, unitCostSource: 'supplier' };
+  }
+  throw new BudgetError(422, 'NO_UNIT_COST',
+    `No unit cost for ${values.productId || 'the order'} - send unitCost, or add the product to the catalog or a supplier's prices`);
+}
+
+/**
+ * A replenishment order priced and checked against its budget line
+ * @param {object} values - Pipeline values (productId, category, department, unitCost, orderQuantity, budget, reservationId)
+ * @returns {object} - { order: the ledger order, review: cost and budget fields of the response }
+ */
+function reviewOrder(values) {
+  const { unitCost, unitCostSource } = priceOrder(values);
+  const totalCost = Math.round(unitCost * values.orderQuantity * 100) / 100;
+  const order = {
+    // Replenishment orders are Logistics spend unless another department is named
+    department: values.department || 'logistics',
+    category: values.category || getCatalog().getProduct(values.productId)?.category,
+    reservationId: values.reservationId
+  };
+  const budget = getBudgetLedger().check(order);
+  const available = budget ? budget.available : 0;
+  // An allocation typed in by Finance caps the order too
+  const withinBudget = totalCost <= available && (values.budget === undefined || totalCost <= values.budget);
+
+  return {
+    order,
+    review: {
+      unitCost,
+      unitCostSource,
+      totalOrderCost: totalCost,
+      budgetLine: budget ? budget.budgetLine : null,
+      budgetPeriod: budget ? budget.period : periodOf(),
+      budgetAmount: budget ? budget.amount : 0,
+      budgetAvailable: available,
+      budgetRemaining: Math.round((available - totalCost) * 100) / 100,
+      withinBudget,
+      financialScore: withinBudget ? 'FAVORABLE' : 'UNFAVORABLE'
+    }
+  };
+}
+
+/**
+ * Project the promotion over its target products priced from the catalog
+ * @param {object} values - Pipeline values (productIds, discount, expectedUplift, cannibalization, durationDays, riskLevel)
+ * @returns {object} - Projection (profitability.js) with the risk category
+ */
+function evaluatePromotion(values) {
+  const catalog = getCatalog();
+  const products = [];
+  const unknownProducts = [];
+  for (const id of new Set(values.productIds.map(productId => productId.toUpperCase()))) {
+    const product = catalog.getProduct(id);
+    if (product) {
+      products.push(product);
+    } else {
+      unknownProducts.push(id);
+    }
+  }
+  if (products.length === 0) {
+    throw new ProfitabilityError(422, 'NO_PRICING_DATA',
+      `No target product is in the catalog (${unknownProducts.join(', ') || 'none given'}) - cost and price are needed`);
+  }
+
+  const assumptions = {
+    discount: values.discount,
+    expectedUplift: values.expectedUplift,
+    cannibalization: values.cannibalization,
+    durationDays: values.durationDays
+  };
+  const projection = projectPromotion(products, assumptions);
+
+  const losesProfit = projection.profitImpact < 0;
+  const headroom = projection.breakEvenUplift !== null && values.expectedUplift >= projection.breakEvenUplift * UPLIFT_HEADROOM;
+  let riskCategory;
+  if (values.riskLevel === 'high' || projection.grossMarginAfter < MIN_MARGIN || losesProfit) {
+    riskCategory = 'HIGH_RISK';
+  } else if (values.riskLevel === 'low' && projection.grossMarginAfter > SAFE_MARGIN && headroom) {
+    riskCategory = 'LOW_RISK';
+  } else {
+    riskCategory = 'MODERATE_RISK';
+  }
+
+  return { assumptions, ...projection, unknownProducts, riskCategory };
+}
+
+const adapters = {
+  // Projected revenue, margins and break-even uplift of a promotion, without a decision
+  'profitability-model': ({ values }) => ({
+    ...evaluatePromotion(values),
+    evaluatedAt: new Date().toISOString()
+  }),
+
+  // Profitability model, risk category and recommendation of a promotion
+  profitability: ({ values }) => {
+    const { approved } = values;
+    const evaluation = evaluatePromotion(values);
+    const { riskCategory } = evaluation;
+
+    let recommendation;
+    if (approved) {
+      if (riskCategory === 'LOW_RISK') {
+        recommendation = 'PROCEED_IMMEDIATELY';
+      } else if (riskCategory === 'MODERATE_RISK') {
+        recommendation = 'PROCEED_WITH_MONITORING';
+      } else {
+        recommendation = 'PROCEED_WITH_CAUTION';
+      }
+    } else {
+      recommendation = 'PROMOTION_REJECTED';
+    }
+
+    return {
+      ...evaluation,
+      recommendation,
+      approvalStatus: approved ? 'APPROVED' : 'REJECTED',
+      evaluatedAt: new Date().toISOString()
+    };
+  },
+
+  // Order cost against the budget ledger, without a decision
+  'budget-model': ({ values }) => ({
+    ...reviewOrder(values).review,
+    analyzedAt: new Date().toISOString()
+  }),
+
+  // Order cost against the budget ledger (budgets.js): approving reserves
+  // it, rejecting gives back an earlier reservation of the same order.
+  // An allocation Finance typed in caps the approval like the ledger does.
+  'budget-check': ({ values }) => {
+    const ledger = getBudgetLedger();
+    const { order, review } = reviewOrder(values);
+
+    let reservation = null;
+    if (values.approved && values.budget !== undefined && review.totalOrderCost > values.budget) {
+      throw new BudgetError(422, 'BUDGET_CAP_EXCEEDED',
+        `${review.totalOrderCost} exceeds the ${values.budget} allocated by Finance for this order`);
+    }
+    if (values.approved) {
+      reservation = ledger.reserve({ ...order, productId: values.productId, quantity: values.orderQuantity, amount: review.totalOrderCost });
+    } else if (values.reservationId) {
+      reservation = ledger.release(values.reservationId, { reason: 'rejected by Finance' });
+    }
+
+    return {
+      ...review,
+      reservationId: reservation ? reservation.reservationId : null,
+      budgetDecision: values.approved ? 'RESERVED' : reservation ? 'RELEASED' : 'REJECTED',
+      recommendation: values.approved ? 'PROCEED_WITH_ORDER' : 'ORDER_REJECTED',
+      analyzedAt: new Date().toISOString()
+    };
+  },
+
+  // Suppliers of a SKU ranked for the quantity (suppliers.js)
+  'supplier-ranking': ({ values }) => {
+    const { suppliers, excluded } = getSuppliers().rank({ sku: values.productId, quantity: values.quantity });
+    return {
+      productId: values.productId,
+      quantity: values.quantity,
+      recommendedSupplier: suppliers[0] || null,
+      suppliers,
+      excluded,
+      rankedAt: new Date().toISOString()
+    };
+  }
+};
+
+module.exports = {
+  adapters
+};
@@ -0,0 +1,439 @@
+/**
+ * Budget Ledger
+ * Replenishment budgets per department, product category and month, and
+ * the spend Finance approvals reserve against them.
+ *
+ * Budgets are read from budgets.csv next to the product catalog
+ * (CATALOG_DIR, defaults to esb1/data):
+ *
+ *   department,category,period,amount
+ *
+ * `period` is a month (2026-12) or `*` for every month, `category` may be
+ * `*` for the categories without a line of their own. The most specific
+ * line applies: an own category first, then an own month.
+ *
+ * A reservation follows the order it pays for:
+ *
+ *   reserved ──► committed ──► released
+ *       │                         ▲
+ *       └─────────────────────────┘
+ *
+ * Finance approving /api/analyze-replenishment reserves the order cost,
+ * ESB2 issuing the purchase order commits it at the order's actual cost.
+ * A rejection or POST .../release gives back what is left, goods returned
+ * without a replacement give back their share of the order.
+ *
+ * Reservations are kept (BUDGET_STORE env var):
+ *   - file   (default) - budget-ledger.json under BUDGET_STORE_DIR, re-read
+ *                        when another ESB1 instance on the host changed it
+ *   - memory           - lost on restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./catalog');
+
+const CATALOG_DIR = process.env.CATALOG_DIR || path.join(__dirname, 'data');
+const BUDGET_STORE_DIR = process.env.BUDGET_STORE_DIR || path.join(__dirname, '..', '.data');
+const ANY = '*';
+
+const money = (value) => Math.round(value * 100) / 100;
+const normalize = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : undefined);
+
+/**
+ * What an order drawing on a reservation costs: its own total, else the
+ * reserved unit cost times its quantity, else what was reserved
+ * @param {object} reservation - { amount, quantity }
+ * @param {object} order - { totalCost, orderQuantity }
+ * @returns {number}
+ */
+function orderCost(reservation, { totalCost, orderQuantity }) {
+  if (typeof totalCost === 'number') {
+    return money(totalCost);
+  }
+  return reservation.quantity && orderQuantity ? money(reservation.amount / reservation.quantity * orderQuantity) : reservation.amount;
+}
+
+/**
+ * Raised for an unknown reservation, a missing or exhausted budget, or a
+ * change the reservation's status doesn't allow
+ */
+class BudgetError extends Error {
+  /**
+   * @param {number} status - HTTP status (404, 409 or 422)
+   * @param {string} code - e.g. 'BUDGET_EXCEEDED'
+   * @param {string} message
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'BudgetError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Budget month of a date
+ * @param {Date} [date]
+ * @returns {string} - e.g. '2026-10'
+ */
+function periodOf(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function readBudgets(dir) {
+  const filePath = path.join(dir, 'budgets.csv');
+  if (!fs.existsSync(filePath)) {
+    console.log(`⚠️  ${filePath} not found - no budgets loaded`);
+    return [];
+  }
+  return parseCsv(fs.readFileSync(filePath, 'utf8')).map(row => ({
+    department: normalize(row.department),
+    category: normalize(row.category) || ANY,
+    period: (row.period || '').trim() || ANY,
+    amount: parseFloat(row.amount)
+  }));
+}
+
+/**
+ * In-memory driver
+ * @returns {object} - { load, save }
+ */
+function createMemoryDriver() {
+  return {
+    load: (reservations) => reservations,
+    save: () => {}
+  };
+}
+
+/**
+ * File driver - rewrites the whole JSON file on every change
+ * @param {string} filePath - Where the reservations are persisted
+ * @returns {object} - { load, save }
+ */
+function createFileDriver(filePath) {
+  let loadedMtime = 0;
+
+  return {
+    // Current reservations, re-read if the file changed since the last read or write
+    load(reservations) {
+      let mtime;
+      try {
+        mtime = fs.statSync(filePath).mtimeMs;
+      } catch (error) {
+        return reservations;
+      }
+      if (mtime === loadedMtime) {
+        return reservations;
+      }
+      try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        loadedMtime = mtime;
+        return new Map(saved.map(reservation => [reservation.reservationId, reservation]));
+      } catch (error) {
+        console.error(`[Budgets] Could not read ${filePath}:`, error.message);
+        return reservations;
+      }
+    },
+    save(reservations) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Array.from(reservations.values()), null, 2));
+      fs.renameSync(tmpPath, filePath);
+      loadedMtime = fs.statSync(filePath).mtimeMs;
+    }
+  };
+}
+
+/**
+ * Load a budget ledger
+ * @param {object} [options]
+ * @param {string} [options.dir] - Directory holding budgets.csv
+ * @param {string} [options.driver] - Reservation store, 'file' or 'memory' (defaults to BUDGET_STORE or 'file')
+ * @param {string} [options.storeDir] - Directory of the file store
+ * @returns {object} - Budget ledger API
+ */
+function createBudgetLedger(options = {}) {
+  const dir = options.dir || CATALOG_DIR;
+  const driverName = options.driver || process.env.BUDGET_STORE || 'file';
+  let driver;
+  if (driverName === 'memory') {
+    driver = createMemoryDriver();
+  } else if (driverName === 'file') {
+    driver = createFileDriver(path.join(options.storeDir || BUDGET_STORE_DIR, 'budget-ledger.json'));
+  } else {
+    throw new Error(`Unknown budget store driver: ${driverName}`);
+  }
+
+  const budgets = readBudgets(dir);
+  let reservations = new Map();
+  const current = () => (reservations = driver.load(reservations));
+
+  // Most specific budget line of a department, category and month
+  function lineFor(department, category, period) {
+    const specificity = (line) => (line.category !== ANY ? 2 : 0) + (line.period !== ANY ? 1 : 0);
+    const line = budgets
+      .filter(candidate => candidate.department === department)
+      .filter(candidate => candidate.category === category || candidate.category === ANY)
+      .filter(candidate => candidate.period === period || candidate.period === ANY)
+      .sort((a, b) => specificity(b) - specificity(a))[0];
+    return line ? { budgetLine: `${department}/${line.category}`, department, category: line.category, period, amount: line.amount } : null;
+  }
+
+  // What a budget line has reserved, committed and released so far
+  function usage(line, excluding) {
+    const totals = { reserved: 0, committed: 0, released: 0 };
+    for (const reservation of current().values()) {
+      if (reservation.budgetLine !== line.budgetLine || reservation.period !== line.period || reservation.reservationId === excluding) {
+        continue;
+      }
+      totals.released += reservation.released;
+      if (reservation.status !== 'released') {
+        totals[reservation.status] += reservation.amount - reservation.released;
+      }
+    }
+    return {
+      ...line,
+      reserved: money(totals.reserved),
+      committed: money(totals.committed),
+      released: money(totals.released),
+      available: money(line.amount - totals.reserved - totals.committed)
+    };
+  }
+
+  function find(reservationId) {
+    const reservation = current().get(reservationId);
+    if (!reservation) {
+      throw new BudgetError(404, 'BUDGET_RESERVATION_NOT_FOUND', `Budget reservation ${reservationId} not found`);
+    }
+    return reservation;
+  }
+
+  function assertStatus(reservation, allowed, action) {
+    if (!allowed.includes(reservation.status)) {
+      throw new BudgetError(409, 'INVALID_RESERVATION_STATE',
+        `Budget reservation ${reservation.reservationId} is ${reservation.status} and can't be ${action}`);
+    }
+  }
+
+  function save(reservation, status, event) {
+    const at = new Date().toISOString();
+    reservation.status = status;
+    reservation.updatedAt = at;
+    reservation.history.push({ status, at, ...event });
+    reservations.set(reservation.reservationId, reservation);
+    driver.save(reservations);
+    return reservation;
+  }
+
+  /**
+   * Budget left for an order
+   * @param {object} order - { department, category, reservationId } - its own reservation doesn't count
+   * @param {string} [period] - Budget month (defaults to the current one)
+   * @returns {object|null} - Budget line with reserved, committed, released and available; null without a budget
+   */
+  function check({ department, category, reservationId }, period = periodOf()) {
+    const line = lineFor(normalize(department), normalize(category) || ANY, period);
+    return line ? usage(line, reservationId) : null;
+  }
+
+  /**
+   * Give back (part of) what a reservation holds
+   * @param {string} reservationId
+   * @param {object} [release] - { amount (defaults to all that is left), reason, reference }
+   * @returns {object} - The updated reservation
+   */
+  function release(reservationId, { amount, reason, reference } = {}) {
+    const reservation = find(reservationId);
+    // The same return redelivered by the broker is only released once
+    if (reference && reservation.releases.some(previous => previous.reference === reference)) {
+      return reservation;
+    }
+    assertStatus(reservation, ['reserved', 'committed'], 'released');
+    const outstanding = reservation.amount - reservation.released;
+    const value = money(Math.min(amount ?? outstanding, outstanding));
+    reservation.released = money(reservation.released + value);
+    reservation.releases.push({ amount: value, reason, ...(reference && { reference }), at: new Date().toISOString() });
+    const status = reservation.released >= reservation.amount ? 'released' : reservation.status;
+    return save(reservation, status, { released: value, ...(reason && { reason }) });
+  }
+
+  return {
+    check,
+    release,
+
+    /**
+     * Reserve the cost of an approved order; an existing reservation of
+     * the same order is replaced by the new amount
+     * @param {object} order - { reservationId, department, category, productId, quantity, amount }
+     * @returns {object} - The reservation
+     */
+    reserve({ reservationId, department, category, productId, quantity, amount }) {
+      const existing = reservationId ? find(reservationId) : null;
+      if (existing) {
+        assertStatus(existing, ['reserved'], 're-reserved');
+      }
+      const period = existing ? existing.period : periodOf();
+      const budget = check({ department, category, reservationId }, period);
+      if (!budget) {
+        throw new BudgetError(422, 'NO_BUDGET', `No ${department} budget for ${category || 'uncategorised'} products in ${period}`);
+      }
+      if (amount > budget.available) {
+        throw new BudgetError(422, 'BUDGET_EXCEEDED',
+          `${money(amount)} exceeds the ${budget.available} left on the ${budget.budgetLine} budget for ${period}`);
+      }
+
+      const at = new Date().toISOString();
+      const values = {
+        department: budget.department,
+        category: normalize(category) || ANY,
+        budgetLine: budget.budgetLine,
+        period,
+        productId,
+        quantity,
+        amount: money(amount)
+      };
+      if (existing) {
+        return save(Object.assign(existing, values), 'reserved', { amount: values.amount });
+      }
+
+      // BR-<timestamp>, bumped when two approvals land in the same millisecond
+      let number = Date.now();
+      while (current().has(`BR-${number}`)) {
+        number++;
+      }
+      return save({
+        reservationId: `BR-${number}`,
+        ...values,
+        released: 0,
+        status: 'reserved',
+        purchaseOrderNumber: null,
+        releases: [],
+        history: [],
+        reservedAt: at
+      }, 'reserved', { amount: values.amount });
+    },
+
+    /**
+     * The order was placed: hold its actual cost, never more than Finance
+     * approved (an order without a cost is priced at the reserved unit cost)
+     * @param {string} reservationId
+     * @param {object} order - { purchaseOrderNumber, totalCost, orderQuantity }
+     * @returns {object} - The updated reservation
+     * @throws {BudgetError} 422 RESERVATION_EXCEEDED for an order costing more than the reservation
+     */
+    commit(reservationId, { purchaseOrderNumber, totalCost, orderQuantity }) {
+      const reservation = find(reservationId);
+      if (reservation.status === 'committed' && reservation.purchaseOrderNumber === purchaseOrderNumber) {
+        return reservation;
+      }
+      assertStatus(reservation, ['reserved'], 'committed');
+      const cost = orderCost(reservation, { totalCost, orderQuantity });
+      if (cost > reservation.amount) {
+        throw new BudgetError(422, 'RESERVATION_EXCEEDED',
+          `${purchaseOrderNumber} costs ${cost}, more than the ${reservation.amount} Finance approved on ${reservationId}`);
+      }
+      reservation.purchaseOrderNumber = purchaseOrderNumber;
+      reservation.amount = cost;
+      if (orderQuantity) {
+        reservation.quantity = orderQuantity;
+      }
+      return save(reservation, 'committed', { purchaseOrderNumber, amount: reservation.amount });
+    },
+
+    get: (reservationId) => current().get(reservationId),
+
+    /**
+     * @param {object} [filter] - { status, department, category, period }
+     * @returns {Array<object>} - Newest first
+     */
+    list({ status, department, category, period } = {}) {
+      return Array.from(current().values())
+        .filter(reservation => !status || reservation.status === status)
+        .filter(reservation => !department || reservation.department === normalize(department))
+        .filter(reservation => !category || reservation.category === normalize(category))
+        .filter(reservation => !period || reservation.period === period)
+        .sort((a, b) => b.reservedAt.localeCompare(a.reservedAt));
+    },
+
+    /**
+     * Every budget line of a month with what is committed and available
+     * @param {object} [filter] - { period (defaults to the current month), department }
+     * @returns {Array<object>}
+     */
+    summary({ period = periodOf(), department } = {}) {
+      const lines = new Map();
+      for (const budget of budgets) {
+        if (department && budget.department !== normalize(department)) {
+          continue;
+        }
+        const line = lineFor(budget.department, budget.category, period);
+        if (line && !lines.has(line.budgetLine)) {
+          lines.set(line.budgetLine, usage(line));
+        }
+      }
+      return Array.from(lines.values());
+    },
+
+    /**
+     * Follow the order a reservation pays for (broker messages from ESB2)
+     *   - purchase-order.issued - commit the reservation at the order's cost
+     *   - goods.returned        - release the returned share, unless a replacement was requested
+     * @param {object} message - Broker message
+     * @returns {object|null} - { action, reservation, amount } when the ledger changed
+     */
+    recordEvent(message) {
+      const event = message.payload || {};
+      if (!event.budgetReservationId) {
+        return null;
+      }
+      try {
+        if (message.topic === 'purchase-order.issued') {
+          const wasReserved = find(event.budgetReservationId).status === 'reserved';
+          const reservation = this.commit(event.budgetReservationId, event);
+          return wasReserved ? { action: 'committed', reservation, amount: reservation.amount } : null;
+        }
+        if (message.topic === 'goods.returned' && !event.replacementRequested) {
+          const reservation = find(event.budgetReservationId);
+          const unitCost = reservation.quantity ? reservation.amount / reservation.quantity : 0;
+          const before = reservation.released;
+          const updated = release(event.budgetReservationId, {
+            amount: unitCost * event.quantityReturned,
+            reason: `${event.quantityReturned} returned on ${event.purchaseOrderNumber}`,
+            reference: event.rmaNumber
+          });
+          return updated.released > before ? { action: 'released', reservation: updated, amount: money(updated.released - before) } : null;
+        }
+      } catch (error) {
+        if (!(error instanceof BudgetError)) {
+          throw error;
+        }
+        console.log(`⚠️  ${message.topic} ${event.purchaseOrderNumber || ''}: ${error.message}`);
+      }
+      return null;
+    },
+
+    source: dir
+  };
+}
+
+let ledger = null;
+
+/**
+ * The budget ledger ESB1 serves, loaded on first use
+ * @returns {object} - Budget ledger API
+ */
+function getBudgetLedger() {
+  if (!ledger) {
+    ledger = createBudgetLedger();
+    console.log(`💵 Budgets loaded from ${ledger.source} (${ledger.summary().length} lines this month)`);
+  }
+  return ledger;
+}
+
+module.exports = {
+  BudgetError,
+  periodOf,
+  createBudgetLedger,
+  getBudgetLedger
+};
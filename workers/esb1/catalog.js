@@ -0,0 +1,213 @@
+/**
+ * Product Catalog
+ * In-memory catalog seeded from the CSV files in CATALOG_DIR
+ * (defaults to esb1/data):
+ *
+ *   products.csv - sku,name,category,unitCost,price
+ *   stock.csv    - sku,location,quantity,expiryDate   (one row per lot)
+ *   sales.csv    - sku,date,quantity                  (units sold per day)
+ *
+ * expiryDate is an ISO date, '+N' for N days after the catalog is loaded
+ * (keeps the demo seed fresh), or empty for non-perishables. Sales
+ * averages use the most recent days present in sales.csv.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_DIR = process.env.CATALOG_DIR || path.join(__dirname, 'data');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SALES_WINDOW = 28;
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV content (comma separated, optional "quoted" fields)
+ * @returns {Array<object>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  return records.map(record => Object.fromEntries(header.map((name, i) => [name.trim(), (record[i] || '').trim()])));
+}
+
+function readCsv(dir, file) {
+  return parseCsv(fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+function parseExpiry(value, loadedAt) {
+  if (!value) {
+    return null;
+  }
+  if (value.startsWith('+')) {
+    return new Date(loadedAt + parseInt(value.slice(1)) * DAY_MS).toISOString().split('T')[0];
+  }
+  return value;
+}
+
+/**
+ * Load a catalog from a directory of CSV files
+ * @param {string} dir - Directory holding products.csv, stock.csv and sales.csv
+ * @returns {object} - Catalog API
+ */
+function createCatalog(dir = CATALOG_DIR) {
+  const loadedAt = Date.now();
+  const products = new Map();
+
+  for (const row of readCsv(dir, 'products.csv')) {
+    products.set(row.sku.toUpperCase(), {
+      sku: row.sku.toUpperCase(),
+      name: row.name,
+      category: row.category.toLowerCase(),
+      unitCost: parseFloat(row.unitCost),
+      price: parseFloat(row.price),
+      lots: [],
+      sales: []
+    });
+  }
+
+  for (const row of readCsv(dir, 'stock.csv')) {
+    const product = products.get(row.sku.toUpperCase());
+    if (product) {
+      product.lots.push({
+        location: row.location,
+        quantity: parseInt(row.quantity),
+        expiryDate: parseExpiry(row.expiryDate, loadedAt)
+      });
+    }
+  }
+
+  for (const row of readCsv(dir, 'sales.csv')) {
+    const product = products.get(row.sku.toUpperCase());
+    if (product) {
+      product.sales.push({ date: row.date, quantity: parseInt(row.quantity) });
+    }
+  }
+  for (const product of products.values()) {
+    product.sales.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  function find(sku) {
+    return typeof sku === 'string' ? products.get(sku.trim().toUpperCase()) : undefined;
+  }
+
+  function stockOf(product) {
+    const byLocation = {};
+    for (const lot of product.lots) {
+      byLocation[lot.location] = (byLocation[lot.location] || 0) + lot.quantity;
+    }
+    return {
+      total: product.lots.reduce((sum, lot) => sum + lot.quantity, 0),
+      byLocation
+    };
+  }
+
+  function salesHistory(sku, days) {
+    const product = find(sku);
+    if (!product) {
+      return [];
+    }
+    return days ? product.sales.slice(-days) : product.sales.slice();
+  }
+
+  function averageDailySales(sku, days = DEFAULT_SALES_WINDOW) {
+    const history = salesHistory(sku, days);
+    if (history.length === 0) {
+      return null;
+    }
+    const total = history.reduce((sum, day) => sum + day.quantity, 0);
+    return Math.round((total / history.length) * 100) / 100;
+  }
+
+  /**
+   * Product details with stock and sales figures
+   * @param {string} sku - Product SKU (case-insensitive)
+   * @returns {object|null}
+   */
+  function getProduct(sku) {
+    const product = find(sku);
+    if (!product) {
+      return null;
+    }
+    const stock = stockOf(product);
+    return {
+      sku: product.sku,
+      name: product.name,
+      category: product.category,
+      unitCost: product.unitCost,
+      price: product.price,
+      currentStock: stock.total,
+      stockByLocation: stock.byLocation,
+      lots: product.lots.map(lot => ({ ...lot })),
+      avgDailySales: averageDailySales(product.sku),
+      salesWindowDays: Math.min(DEFAULT_SALES_WINDOW, product.sales.length)
+    };
+  }
+
+  return {
+    getProduct,
+    listProducts: ({ category } = {}) => Array.from(products.values())
+      .filter(product => !category || product.category === category.toLowerCase())
+      .map(product => getProduct(product.sku)),
+    salesHistory,
+    averageDailySales,
+    source: dir,
+    loadedAt: new Date(loadedAt).toISOString()
+  };
+}
+
+let catalog = null;
+
+/**
+ * The catalog ESB1 serves, loaded on first use
+ * @returns {object} - Catalog API
+ */
+function getCatalog() {
+  if (!catalog) {
+    catalog = createCatalog();
+    console.log(`📦 Product catalog loaded from ${catalog.source} (${catalog.listProducts().length} products)`);
+  }
+  return catalog;
+}
+
+module.exports = {
+  parseCsv,
+  createCatalog,
+  getCatalog
+};
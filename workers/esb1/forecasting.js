@@ -0,0 +1,243 @@
+/**
+ * Demand Forecasting for /api/compute-replenishment
+ *
+ * Methods (request field `forecastMethod`, default FORECAST_METHOD):
+ *
+ *   fixed-buffer           - entered/catalog average; safety stock in days and
+ *                            a 14-day buffer on top of the reorder point
+ *   moving-average         - mean of the last `window` days of sales
+ *   exponential-smoothing  - smoothed level with factor `alpha`
+ *   seasonal               - recent level times weekday indices, summed over
+ *                            the lead time
+ *
+ * The history-based methods size safety stock from the demand deviation and
+ * a service level (z * sigma * sqrt(leadTime)) and order the economic order
+ * quantity sqrt(2 * annualDemand * orderingCost / holdingCost) once stock is
+ * at or below the reorder point.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUFFER_DAYS = 14;
+
+const FORECAST_DEFAULTS = {
+  method: process.env.FORECAST_METHOD || 'fixed-buffer',
+  historyDays: 84,
+  serviceLevel: parseFloat(process.env.FORECAST_SERVICE_LEVEL) || 0.95,
+  orderingCost: parseFloat(process.env.FORECAST_ORDERING_COST) || 50,
+  holdingCostRate: parseFloat(process.env.FORECAST_HOLDING_COST_RATE) || 0.25
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) {
+    return 0;
+  }
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+// ============================================================================
+// Strategies: (history, options) -> { dailyDemand, leadTimeDemand, demandStdDev, parameters }
+// history is [{ date, quantity }] oldest first
+// ============================================================================
+
+function movingAverage(history, { leadTimeDays, window = 28 }) {
+  const recent = history.slice(-window).map(day => day.quantity);
+  const dailyDemand = mean(recent);
+  return {
+    dailyDemand,
+    leadTimeDemand: dailyDemand * leadTimeDays,
+    demandStdDev: standardDeviation(recent),
+    parameters: { window: recent.length }
+  };
+}
+
+function exponentialSmoothing(history, { leadTimeDays, alpha = 0.3 }) {
+  let level = history[0].quantity;
+  const errors = [];
+  for (const day of history.slice(1)) {
+    errors.push(day.quantity - level);
+    level = alpha * day.quantity + (1 - alpha) * level;
+  }
+  // One-step forecast errors (RMSE) stand in for the demand deviation
+  const rmse = Math.sqrt(mean(errors.map(error => error ** 2)));
+  return {
+    dailyDemand: level,
+    leadTimeDemand: level * leadTimeDays,
+    demandStdDev: rmse,
+    parameters: { alpha }
+  };
+}
+
+function seasonal(history, { leadTimeDays, window = 28 }) {
+  const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+  const overall = mean(history.map(day => day.quantity));
+
+  const indices = Array.from({ length: 7 }, (_, d) => {
+    const days = history.filter(day => weekday(day.date) === d).map(day => day.quantity);
+    return overall > 0 && days.length > 0 ? mean(days) / overall : 1;
+  });
+
+  // Deseasonalized level over the recent window
+  const recent = history.slice(-window);
+  const level = mean(recent.map(day => day.quantity / (indices[weekday(day.date)] || 1)));
+
+  const lastDate = new Date(`${history[history.length - 1].date}T00:00:00Z`).getTime();
+  let leadTimeDemand = 0;
+  for (let i = 1; i <= leadTimeDays; i++) {
+    leadTimeDemand += level * indices[new Date(lastDate + i * DAY_MS).getUTCDay()];
+  }
+
+  const residuals = history.map(day => day.quantity - overall * indices[weekday(day.date)]);
+  return {
+    dailyDemand: leadTimeDays > 0 ? leadTimeDemand / leadTimeDays : level,
+    leadTimeDemand,
+    demandStdDev: standardDeviation(residuals),
+    parameters: {
+      window: recent.length,
+      seasonLength: 7,
+      weekdayIndices: Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map((name, d) => [name, round(indices[d])]))
+    }
+  };
+}
+
+const FORECAST_METHODS = {
+  'moving-average': { forecast: movingAverage, minHistoryDays: 7, label: 'Moving Average' },
+  'exponential-smoothing': { forecast: exponentialSmoothing, minHistoryDays: 7, label: 'Exponential Smoothing' },
+  seasonal: { forecast: seasonal, minHistoryDays: 14, label: 'Weekly Seasonal' }
+};
+
+/**
+ * Standard normal quantile (Acklam's approximation, |error| < 1.2e-9)
+ * @param {number} p - Probability in (0, 1), e.g. a 0.95 service level
+ * @returns {number} - z such that P(Z <= z) = p
+ */
+function zScore(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -zScore(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Economic order quantity
+ * @param {object} costs - { annualDemand, orderingCost, holdingCost } (holding per unit per year)
+ * @returns {number|null} - Units per order, or null when it can't be computed
+ */
+function economicOrderQuantity({ annualDemand, orderingCost, holdingCost }) {
+  if (!(annualDemand > 0) || !(holdingCost > 0)) {
+    return null;
+  }
+  return Math.ceil(Math.sqrt((2 * annualDemand * orderingCost) / holdingCost));
+}
+
+/**
+ * Reorder point and order quantity for one product
+ * @param {object} params
+ * @param {string} params.method - 'fixed-buffer' or a FORECAST_METHODS key
+ * @param {Array<object>} [params.history] - Daily sales [{ date, quantity }] (history methods)
+ * @param {number} params.currentStock
+ * @param {number} [params.avgDailySales] - Average used by fixed-buffer
+ * @param {number} params.leadTimeDays
+ * @param {number} [params.safetyStockDays] - Safety stock of fixed-buffer
+ * @param {number} [params.unitCost] - Needed for the EOQ
+ * @param {number} params.serviceLevel
+ * @param {number} params.orderingCost
+ * @param {number} params.holdingCostRate - Yearly holding cost as a share of unit cost
+ * @returns {object} - { reorderPoint, recommendedQuantity, avgDailySales, calculationMethod, forecast }
+ */
+function planReplenishment(params) {
+  const { method, currentStock, leadTimeDays } = params;
+
+  if (method === 'fixed-buffer') {
+    const dailySales = params.avgDailySales;
+    const reorderPoint = dailySales * (leadTimeDays + params.safetyStockDays);
+    return {
+      reorderPoint: Math.ceil(reorderPoint),
+      recommendedQuantity: Math.max(0, Math.ceil(reorderPoint - currentStock + (dailySales * BUFFER_DAYS))),
+      avgDailySales: dailySales,
+      calculationMethod: 'Safety Stock + Lead Time + 2-Week Buffer',
+      forecast: {
+        method,
+        inputs: { avgDailySales: dailySales, leadTimeDays, safetyStockDays: params.safetyStockDays, bufferDays: BUFFER_DAYS },
+        reorderPointFormula: 'avgDailySales * (leadTimeDays + safetyStockDays)',
+        orderPolicy: 'buffer'
+      }
+    };
+  }
+
+  const strategy = FORECAST_METHODS[method];
+  const demand = strategy.forecast(params.history, { leadTimeDays, ...params.parameters });
+  const z = zScore(params.serviceLevel);
+  const safetyStock = z * demand.demandStdDev * Math.sqrt(leadTimeDays);
+  const reorderPoint = Math.ceil(demand.leadTimeDemand + safetyStock);
+
+  const annualDemand = demand.dailyDemand * 365;
+  const holdingCost = params.unitCost > 0 ? params.unitCost * params.holdingCostRate : null;
+  const eoq = economicOrderQuantity({ annualDemand, orderingCost: params.orderingCost, holdingCost });
+
+  // Order once stock reaches the reorder point: an EOQ batch, or enough to
+  // get back above it plus two weeks when there's no unit cost for the EOQ
+  let recommendedQuantity = 0;
+  if (currentStock <= reorderPoint) {
+    recommendedQuantity = eoq !== null
+      ? Math.max(eoq, reorderPoint - currentStock)
+      : Math.ceil(reorderPoint - currentStock + demand.dailyDemand * BUFFER_DAYS);
+  }
+
+  return {
+    reorderPoint,
+    recommendedQuantity,
+    avgDailySales: round(demand.dailyDemand),
+    calculationMethod: `${strategy.label} + ${round(params.serviceLevel * 100, 1)}% Service Level${eoq !== null ? ' + EOQ' : ''}`,
+    forecast: {
+      method,
+      inputs: {
+        historyDays: params.history.length,
+        historyFrom: params.history[0].date,
+        historyTo: params.history[params.history.length - 1].date,
+        leadTimeDays,
+        serviceLevel: params.serviceLevel,
+        unitCost: params.unitCost ?? null,
+        orderingCost: params.orderingCost,
+        holdingCostRate: params.holdingCostRate
+      },
+      parameters: demand.parameters,
+      dailyDemand: round(demand.dailyDemand),
+      demandStdDev: round(demand.demandStdDev),
+      leadTimeDemand: round(demand.leadTimeDemand),
+      zScore: round(z, 3),
+      safetyStock: Math.ceil(safetyStock),
+      reorderPointFormula: 'leadTimeDemand + zScore * demandStdDev * sqrt(leadTimeDays)',
+      annualDemand: Math.round(annualDemand),
+      economicOrderQuantity: eoq,
+      orderPolicy: eoq !== null ? 'eoq' : 'buffer'
+    }
+  };
+}
+
+module.exports = {
+  FORECAST_DEFAULTS,
+  FORECAST_METHODS,
+  zScore,
+  economicOrderQuantity,
+  planReplenishment
+};
@@ -4,79 +4,168 @@
  * 
  * Endpoints:
  *   - POST /api/identify-products - Transform product data with analysis scoring
- *   - POST /api/evaluate-profitability - Calculate margin impact and risk categorization
+ *   - POST /api/identify-products/preview - Score breakdown per rule, without enrichment
+ *   - GET  /api/scoring-rules - Active scoring rules (see scoring-rules.json)
+ *   - GET  /api/products, /api/products/:sku - Product catalog (see catalog.js)
+ *   - GET  /api/suppliers, /api/suppliers/:supplierId - Supplier directory (see suppliers.js)
+ *   - GET  /api/budgets - Budget lines with committed and available spend (see budgets.js)
+ *   - GET  /api/budgets/reservations, /api/budgets/reservations/:reservationId
+ *   - POST /api/budgets/reservations/:reservationId/release - Give back a reservation
+ *   - POST /api/compute-replenishment - Reorder point and order quantity (see forecasting.js)
+ *
+ * Pipelines (pipelines.json / ESB1_PIPELINES_FILE, adapters in adapters.js):
+ *   - POST /api/evaluate-profitability - Projected revenue, margins and break-even uplift (see profitability.js)
+ *   - POST /api/evaluate-profitability/preview - The same projection without a decision
+ *   - POST /api/analyze-replenishment - Order cost against the budget ledger, reserved when approved
+ *   - POST /api/analyze-replenishment/preview - The same check without reserving
+ *   - POST /api/rank-suppliers - Suppliers of a SKU ranked on price, lead time and reliability
  */
 
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
 const express = require('express');
 const cors = require('cors');
+const { registerService } = require('../registry/client');
+const { createPublisher, subscribe } = require('../broker/client');
+const { idempotency } = require('../idempotency');
+const { enforceContracts, rejectRequest, validationMode } = require('../contracts');
+const { readInput, defaultsReport } = require('../contracts/input');
+const { getRules, scoreProducts } = require('./scoring');
+const { getCatalog } = require('./catalog');
+const { getSuppliers } = require('./suppliers');
+const { BudgetError, getBudgetLedger, periodOf } = require('./budgets');
+const { FORECAST_DEFAULTS, FORECAST_METHODS, planReplenishment } = require('./forecasting');
+const { mountPipelines } = require('../mediation');
+const adapters = require('./adapters');
 
 const app = express();
 const PORT = process.env.ESB1_PORT || 3001;
+const PIPELINES_FILE = process.env.ESB1_PIPELINES_FILE || path.join(__dirname, 'pipelines.json');
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Logging middleware
+// Logging middleware (method and path; the bodies are in the audit trail)
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] ${req.method} ${req.path}`);
-  if (req.body && Object.keys(req.body).length > 0) {
-    console.log('  Request Body:', JSON.stringify(req.body, null, 2));
-  }
   next();
 });
 
+// Repeated Idempotency-Key headers get the first response back (see idempotency/)
+app.use(idempotency({ esbName: 'ESB1' }));
+
+const publisher = createPublisher('ESB1');
+
+// Routes declared in pipelines.json, backed by adapters.js; each pipeline
+// checks its contract in its validate stage
+const pipelineRoutes = mountPipelines(app, {
+  file: PIPELINES_FILE,
+  esbName: 'ESB1',
+  components: adapters,
+  publisher
+});
+
+// Contract validation for the hand-written routes below (see contracts/schemas.js)
+app.use(enforceContracts('ESB1'));
+
+/**
+ * Parse product IDs (handle comma-separated string or array)
+ * @param {string|Array} productIds - As received
+ * @returns {Array<string>} - Trimmed, non-empty IDs
+ */
+function parseProductIds(productIds) {
+  if (typeof productIds === 'string') {
+    return productIds.split(',').map(p => p.trim()).filter(p => p);
+  }
+  return Array.isArray(productIds) ? productIds : [];
+}
+
+/**
+ * Score a request against the active scoring rules.
+ * Unknown reasons use the rules' default; a missing reason or urgency is a demo default.
+ * @param {object} req - Express request
+ * @returns {object} - { input, products, score }
+ */
+function scoreRequest(req) {
+  const input = readInput(req.body);
+  const products = parseProductIds(req.body.productIds);
+  const category = input.text('category') || sharedCategory(products);
+  const score = scoreProducts({
+    products,
+    reason: input.text('reason', 'unspecified'),
+    urgency: input.text('urgency', 'unspecified'),
+    category
+  });
+  return { input, products, category, score };
+}
+
+/**
+ * Catalog category shared by every listed product, if any
+ * @param {Array<string>} products - Product IDs
+ * @returns {string|undefined}
+ */
+function sharedCategory(products) {
+  const categories = new Set(products.map(id => getCatalog().getProduct(id)?.category));
+  return categories.size === 1 ? Array.from(categories)[0] : undefined;
+}
+
 /**
  * POST /api/identify-products
  * 
  * Transforms product identification data:
  * - Uppercase product IDs
- * - Calculate analysis score based on urgency and reason
+ * - Calculate analysis score from the scoring rules (urgency, reason, category)
  * - Add enrichment timestamp
  */
 app.post('/api/identify-products', (req, res) => {
-  const { productIds, reason, urgency } = req.body;
-
-  // Parse product IDs (handle comma-separated string or array)
-  let products = [];
-  if (typeof productIds === 'string') {
-    products = productIds.split(',').map(p => p.trim()).filter(p => p);
-  } else if (Array.isArray(productIds)) {
-    products = productIds;
-  }
+  const { reason, urgency } = req.body;
+  const { input, products, category, score } = scoreRequest(req);
 
   // Normalize IDs to uppercase
   const normalizedIds = products.map(id => id.toUpperCase());
 
-  // Calculate analysis score based on urgency and reason
-  const urgencyScores = { high: 30, medium: 20, low: 10 };
-  const reasonScores = {
-    expiring: 40,
-    low_sales: 30,
-    overstock: 25,
-    seasonal: 20
-  };
-
-  const urgencyScore = urgencyScores[urgency?.toLowerCase()] || 15;
-  const reasonScore = reasonScores[reason?.toLowerCase()] || 15;
-  const analysisScore = urgencyScore + reasonScore + (products.length * 2);
+  // Enrich from the product catalog
+  const productDetails = normalizedIds.map(id => {
+    const product = getCatalog().getProduct(id);
+    if (!product) {
+      return { id, found: false };
+    }
+    return {
+      id,
+      found: true,
+      name: product.name,
+      category: product.category,
+      price: product.price,
+      unitCost: product.unitCost,
+      currentStock: product.currentStock,
+      avgDailySales: product.avgDailySales
+    };
+  });
 
   const response = {
     success: true,
     original: {
       productIds: products,
       reason,
-      urgency
+      urgency,
+      category
     },
     transformed: {
       normalizedIds,
-      analysisScore: Math.min(analysisScore, 100),
+      productDetails,
+      unknownProducts: productDetails.filter(p => !p.found).map(p => p.id),
+      analysisScore: score.analysisScore,
       productCount: normalizedIds.length,
-      priority: analysisScore > 60 ? 'high' : analysisScore > 40 ? 'medium' : 'low',
+      priority: score.priority,
+      scoringRulesVersion: score.rulesVersion,
       enrichedAt: new Date().toISOString(),
       esb: 'ESB1',
-      endpoint: 'identify-products'
+      endpoint: 'identify-products',
+      ...defaultsReport(input)
     }
   };
 
@@ -85,65 +174,21 @@ app.post('/api/identify-products', (req, res) => {
 });
 
 /**
- * POST /api/evaluate-profitability
+ * POST /api/identify-products/preview
  * 
- * Transforms profitability evaluation data:
- * - Calculate margin impact percentage
- * - Classify risk category
- * - Generate recommendation based on approval
- */
-app.post('/api/evaluate-profitability', (req, res) => {
-  const { margin, revenueImpact, riskLevel, approved } = req.body;
-
-  // Parse numeric values
-  const marginValue = parseFloat(margin) || 0;
-  const revenueValue = parseFloat(String(revenueImpact).replace('%', '').replace('+', '')) || 0;
-
-  // Calculate margin impact
-  const marginImpact = ((marginValue - 35) / 35 * 100).toFixed(2);
-
-  // Classify risk category
-  let riskCategory;
-  const risk = riskLevel?.toLowerCase() || 'medium';
-  if (risk === 'high' || marginValue < 10) {
-    riskCategory = 'HIGH_RISK';
-  } else if (risk === 'low' && marginValue > 20) {
-    riskCategory = 'LOW_RISK';
-  } else {
-    riskCategory = 'MODERATE_RISK';
-  }
-
-  // Generate recommendation
-  let recommendation;
-  if (approved) {
-    if (riskCategory === 'LOW_RISK') {
-      recommendation = 'PROCEED_IMMEDIATELY';
-    } else if (riskCategory === 'MODERATE_RISK') {
-      recommendation = 'PROCEED_WITH_MONITORING';
-    } else {
-      recommendation = 'PROCEED_WITH_CAUTION';
-    }
-  } else {
-    recommendation = 'PROMOTION_REJECTED';
-  }
+ * Same input as identify-products; returns which rule contributed what
+ * so analysts can check a rules change before relying on it.
+ */
+app.post('/api/identify-products/preview', (req, res) => {
+  const { input, score } = scoreRequest(req);
 
   const response = {
     success: true,
-    original: {
-      margin,
-      revenueImpact,
-      riskLevel,
-      approved
-    },
     transformed: {
-      marginImpact: `${marginImpact}%`,
-      riskCategory,
-      recommendation,
-      financialScore: Math.round((marginValue + revenueValue) / 2),
-      approvalStatus: approved ? 'APPROVED' : 'REJECTED',
-      evaluatedAt: new Date().toISOString(),
+      ...score,
       esb: 'ESB1',
-      endpoint: 'evaluate-profitability'
+      endpoint: 'identify-products/preview',
+      ...defaultsReport(input)
     }
   };
 
@@ -151,37 +196,150 @@ app.post('/api/evaluate-profitability', (req, res) => {
   res.json(response);
 });
 
+/**
+ * GET /api/scoring-rules
+ * 
+ * Active scoring rules as loaded from the rules file
+ */
+app.get('/api/scoring-rules', (req, res) => {
+  res.json({ success: true, rules: getRules() });
+});
+
 /**
  * POST /api/compute-replenishment
  * 
  * Transforms replenishment quantity calculation:
- * - Calculate reorder point based on lead time and safety stock
- * - Generate recommended order quantity
+ * - Pull current stock and average daily sales from the catalog when not given
+ * - Take the lead time from the best-ranked supplier when not given, and
+ *   raise the quantity to that supplier's minimum order
+ * - Forecast demand with the requested method (see forecasting.js)
+ * - Calculate reorder point and recommended order quantity
  */
 app.post('/api/compute-replenishment', (req, res) => {
   const { productId, productName, currentStock, avgDailySales, leadTimeDays, safetyStockDays } = req.body;
 
-  const dailySales = parseFloat(avgDailySales) || 10;
-  const leadTime = parseInt(leadTimeDays) || 7;
-  const safetyDays = parseInt(safetyStockDays) || 5;
-  const current = parseInt(currentStock) || 0;
+  const input = readInput(req.body);
+  const catalog = getCatalog();
+  const product = catalog.getProduct(productId);
+  const dataSources = {};
+  const missing = [];
+  const strict = validationMode() === 'strict';
+
+  // Request values win, then the catalog (or supplier directory), then (lenient mode only) demo defaults
+  function resolve(field, read, known, demoDefault) {
+    const requested = read(field);
+    if (requested !== undefined) {
+      dataSources[field] = 'request';
+      return requested;
+    }
+    if (known.value !== undefined && known.value !== null) {
+      dataSources[field] = known.source;
+      return known.value;
+    }
+    if (strict) {
+      missing.push({ field, message: `is required (${known.missing})` });
+      return undefined;
+    }
+    dataSources[field] = 'default';
+    return read(field, demoDefault);
+  }
+
+  // History-based methods need enough sales; lenient mode falls back to fixed-buffer
+  let method = input.text('forecastMethod') || FORECAST_DEFAULTS.method;
+  let fallbackFrom;
+  const history = product ? catalog.salesHistory(product.sku, input.integer('historyDays') || FORECAST_DEFAULTS.historyDays) : [];
+  if (method !== 'fixed-buffer' && history.length < FORECAST_METHODS[method].minHistoryDays) {
+    const problem = `${method} needs ${FORECAST_METHODS[method].minHistoryDays} days of sales history (${productId} has ${history.length})`;
+    if (strict) {
+      missing.push({ field: 'forecastMethod', message: problem });
+    } else {
+      console.log(`  ⚠️  ${problem} - using fixed-buffer`);
+      fallbackFrom = method;
+      method = 'fixed-buffer';
+    }
+  }
+
+  const fromCatalog = (value) => ({ source: 'catalog', value, missing: `${productId} has no catalog data` });
+
+  // The best-ranked supplier of the product sets the lead time unless the request does
+  const supplier = product ? getSuppliers().rank({ sku: product.sku }).suppliers[0] : undefined;
+  const leadTime = resolve('leadTimeDays', input.integer,
+    { source: 'supplier', value: supplier?.leadTimeDays, missing: `no supplier sells ${productId}` }, 7);
+
+  const current = resolve('currentStock', input.integer, fromCatalog(product?.currentStock), 0);
+  let dailySales;
+  let safetyDays;
+  if (method === 'fixed-buffer') {
+    dailySales = resolve('avgDailySales', input.number, fromCatalog(product?.avgDailySales), 10);
+    safetyDays = strict ? input.integer('safetyStockDays') : input.integer('safetyStockDays', 5);
+    if (safetyDays === undefined) {
+      missing.push({ field: 'safetyStockDays', message: 'is required by the fixed-buffer method' });
+    }
+  } else {
+    dataSources.avgDailySales = 'forecast';
+  }
+  if (missing.length > 0) {
+    return rejectRequest(res, { endpoint: req.path, mode: 'strict', errors: missing, esbName: 'ESB1' });
+  }
 
-  const reorderPoint = dailySales * (leadTime + safetyDays);
-  const recommendedQty = Math.max(0, Math.ceil(reorderPoint - current + (dailySales * 14)));
+  const unitCost = input.number('unitCost') ?? product?.unitCost;
+
+  const plan = planReplenishment({
+    method,
+    history,
+    currentStock: current,
+    avgDailySales: dailySales,
+    leadTimeDays: leadTime,
+    safetyStockDays: safetyDays,
+    unitCost,
+    serviceLevel: input.number('serviceLevel') ?? FORECAST_DEFAULTS.serviceLevel,
+    orderingCost: input.number('orderingCost') ?? FORECAST_DEFAULTS.orderingCost,
+    holdingCostRate: input.number('holdingCostRate') ?? FORECAST_DEFAULTS.holdingCostRate
+  });
+  if (fallbackFrom) {
+    plan.forecast.fallbackFrom = fallbackFrom;
+  }
+
+  // Order at least what the recommended supplier accepts
+  const belowMinimum = supplier && plan.recommendedQuantity > 0 && plan.recommendedQuantity < supplier.minOrderQuantity;
+  if (belowMinimum) {
+    plan.recommendedQuantity = supplier.minOrderQuantity;
+  }
 
   const response = {
     success: true,
     original: { productId, productName, currentStock, avgDailySales, leadTimeDays, safetyStockDays },
     transformed: {
-      productId: productId || 'SKU-UNKNOWN',
-      reorderPoint: Math.ceil(reorderPoint),
-      recommendedQuantity: recommendedQty,
-      calculationMethod: 'Safety Stock + Lead Time + 2-Week Buffer',
-      projectedDaysOfStock: current > 0 ? Math.ceil(current / dailySales) : 0,
-      urgencyLevel: current < reorderPoint ? 'high' : current < reorderPoint * 1.5 ? 'medium' : 'low',
+      productId: product ? product.sku : input.text('productId'),
+      productName: input.text('productName') || product?.name,
+      category: product?.category,
+      unitCost,
+      currentStock: current,
+      avgDailySales: plan.avgDailySales,
+      dataSources,
+      reorderPoint: plan.reorderPoint,
+      recommendedQuantity: plan.recommendedQuantity,
+      minimumOrderApplied: Boolean(belowMinimum),
+      leadTimeDays: leadTime,
+      recommendedSupplier: supplier
+        ? {
+          supplierId: supplier.supplierId,
+          name: supplier.name,
+          leadTimeDays: supplier.leadTimeDays,
+          minOrderQuantity: supplier.minOrderQuantity,
+          unitPrice: supplier.unitPrice,
+          reliability: supplier.reliability
+        }
+        : null,
+      calculationMethod: plan.calculationMethod,
+      forecastMethod: method,
+      forecast: plan.forecast,
+      projectedDaysOfStock: current > 0 && plan.avgDailySales > 0 ? Math.ceil(current / plan.avgDailySales) : 0,
+      urgencyLevel: current < plan.reorderPoint ? 'high' : current < plan.reorderPoint * 1.5 ? 'medium' : 'low',
       calculatedAt: new Date().toISOString(),
       esb: 'ESB1',
-      endpoint: 'compute-replenishment'
+      endpoint: 'compute-replenishment',
+      ...defaultsReport(input)
     }
   };
 
@@ -189,37 +347,150 @@ app.post('/api/compute-replenishment', (req, res) => {
   res.json(response);
 });
 
+// ============================================================================
+// PRODUCT CATALOG
+// ============================================================================
+
 /**
- * POST /api/analyze-replenishment
+ * GET /api/products?category=dairy
  * 
- * Transforms financial analysis of replenishment request
+ * Catalog products with current stock and average daily sales
  */
-app.post('/api/analyze-replenishment', (req, res) => {
-  const { unitCost, budget, moq, orderQuantity, paymentTerms, approved } = req.body;
+app.get('/api/products', (req, res) => {
+  const products = getCatalog().listProducts({ category: req.query.category });
+  res.json({ success: true, count: products.length, products });
+});
 
-  const cost = parseFloat(unitCost) || 10;
-  const qty = parseInt(orderQuantity) || 100;
-  const totalCost = cost * qty;
-  const availableBudget = parseFloat(budget) || 10000;
-  const withinBudget = totalCost <= availableBudget;
+/**
+ * GET /api/products/:sku?days=28
+ * 
+ * One product with its stock lots and the last `days` days of sales
+ */
+app.get('/api/products/:sku', (req, res) => {
+  const catalog = getCatalog();
+  const product = catalog.getProduct(req.params.sku);
+  if (!product) {
+    return res.status(404).json({ success: false, error: 'PRODUCT_NOT_FOUND', sku: req.params.sku });
+  }
+  const days = parseInt(req.query.days) || undefined;
+  res.json({ success: true, product: { ...product, salesHistory: catalog.salesHistory(product.sku, days) } });
+});
 
-  const response = {
-    success: true,
-    original: { unitCost, budget, moq, orderQuantity, paymentTerms, approved },
-    transformed: {
-      totalOrderCost: totalCost,
-      budgetRemaining: availableBudget - totalCost,
-      withinBudget,
-      financialScore: withinBudget ? 'FAVORABLE' : 'UNFAVORABLE',
-      recommendation: approved ? 'PROCEED_WITH_ORDER' : 'ORDER_REJECTED',
-      analyzedAt: new Date().toISOString(),
-      esb: 'ESB1',
-      endpoint: 'analyze-replenishment'
+// ============================================================================
+// SUPPLIER DIRECTORY
+// ============================================================================
+
+/**
+ * GET /api/suppliers?sku=SKU-001
+ * 
+ * Suppliers with lead time, minimum order, prices and current reliability
+ */
+app.get('/api/suppliers', (req, res) => {
+  const sku = typeof req.query.sku === 'string' ? req.query.sku.toUpperCase() : null;
+  const suppliers = getSuppliers().list().filter(supplier => !sku || supplier.skus.includes(sku));
+  res.json({ success: true, count: suppliers.length, suppliers });
+});
+
+/**
+ * GET /api/suppliers/:supplierId
+ */
+app.get('/api/suppliers/:supplierId', (req, res) => {
+  const supplier = getSuppliers().get(req.params.supplierId);
+  if (!supplier) {
+    return res.status(404).json({ success: false, error: 'SUPPLIER_NOT_FOUND', supplierId: req.params.supplierId });
+  }
+  res.json({ success: true, supplier });
+});
+
+// Delivery checks published by ESB2 rate the suppliers (BROKER_URL)
+subscribe({
+  name: 'esb1-supplier-reliability',
+  topics: ['delivery.checked'],
+  start: 'earliest',
+  onMessage: async (message) => {
+    getSuppliers().recordDeliveryCheck(message);
+  }
+});
+
+// ============================================================================
+// BUDGET LEDGER
+// ============================================================================
+
+/**
+ * Run a budget ledger operation, answering its BudgetError as JSON
+ * @param {Function} operation - (req) => response fields
+ * @returns {Function} - Express handler
+ */
+function budgetRoute(operation) {
+  return (req, res) => {
+    try {
+      res.json({ success: true, ...operation(req) });
+    } catch (error) {
+      if (!(error instanceof BudgetError)) {
+        throw error;
+      }
+      res.status(error.status).json({ success: false, error: error.code, message: error.message, esb: 'ESB1' });
     }
   };
+}
 
-  console.log('  Response:', JSON.stringify(response.transformed, null, 2));
-  res.json(response);
+/**
+ * GET /api/budgets?period=2026-10&department=logistics
+ * 
+ * Budget lines of a month (default: this one) with reserved, committed and available spend
+ */
+app.get('/api/budgets', budgetRoute(req => {
+  const period = /^\d{4}-\d{2}$/.test(req.query.period) ? req.query.period : periodOf();
+  const budgets = getBudgetLedger().summary({ period, department: req.query.department });
+  return { period, count: budgets.length, budgets };
+}));
+
+/**
+ * GET /api/budgets/reservations?status=committed&department=&category=&period=
+ */
+app.get('/api/budgets/reservations', budgetRoute(req => {
+  const { status, department, category, period } = req.query;
+  const reservations = getBudgetLedger().list({ status, department, category, period });
+  return { count: reservations.length, reservations };
+}));
+
+/**
+ * GET /api/budgets/reservations/:reservationId
+ */
+app.get('/api/budgets/reservations/:reservationId', budgetRoute(req => {
+  const reservation = getBudgetLedger().get(req.params.reservationId);
+  if (!reservation) {
+    throw new BudgetError(404, 'BUDGET_RESERVATION_NOT_FOUND', `Budget reservation ${req.params.reservationId} not found`);
+  }
+  return { reservation };
+}));
+
+/**
+ * POST /api/budgets/reservations/:reservationId/release
+ * 
+ * Give back what a reservation still holds (order cancelled, written off, ...)
+ */
+app.post('/api/budgets/reservations/:reservationId/release', budgetRoute(req => {
+  const reservation = getBudgetLedger().release(req.params.reservationId, {
+    reason: typeof req.body.reason === 'string' ? req.body.reason : 'released manually'
+  });
+  publisher.publish('budget.released', reservation, `${reservation.reservationId} released on ${reservation.budgetLine}`);
+  return { reservation };
+}));
+
+// Purchase orders and returns published by ESB2 move the reservations (BROKER_URL)
+subscribe({
+  name: 'esb1-budget-ledger',
+  topics: ['purchase-order.issued', 'goods.returned'],
+  start: 'earliest',
+  onMessage: async (message) => {
+    const change = getBudgetLedger().recordEvent(message);
+    if (change) {
+      console.log(`💵 ${change.reservation.reservationId} ${change.action}: ${change.amount} on ${change.reservation.budgetLine}`);
+      publisher.publish(`budget.${change.action}`, change.reservation,
+        `${change.amount} ${change.action} on ${change.reservation.budgetLine} (${change.reservation.purchaseOrderNumber})`);
+    }
+  }
 });
 
 // Health check endpoint
@@ -237,10 +508,23 @@ app.listen(PORT, () => {
   console.log('║                                                              ║');
   console.log('║  Endpoints:                                                  ║');
   console.log('║    POST /api/identify-products                               ║');
-  console.log('║    POST /api/evaluate-profitability                          ║');
+  console.log('║    POST /api/identify-products/preview                       ║');
+  console.log('║    GET  /api/scoring-rules                                   ║');
+  console.log('║    GET  /api/products, /api/products/:sku                    ║');
+  console.log('║    GET  /api/suppliers, /api/suppliers/:supplierId           ║');
+  console.log('║    GET  /api/budgets, /api/budgets/reservations[/:id]        ║');
+  console.log('║    POST /api/budgets/reservations/:id/release                ║');
   console.log('║    POST /api/compute-replenishment      [STOCK]              ║');
-  console.log('║    POST /api/analyze-replenishment      [STOCK]              ║');
   console.log('║    GET  /health                                              ║');
+  console.log('║                                                              ║');
+  console.log('║  Pipelines:                                                  ║');
+  for (const route of pipelineRoutes) {
+    console.log(`║    ${route.padEnd(58)}║`);
+  }
   console.log('╚══════════════════════════════════════════════════════════════╝');
   console.log('');
 });
+
+// Announce the routes above to the service registry (REGISTRY_URL)
+registerService(app, { name: 'ESB1', version: require('./package.json').version, port: PORT });
+
@@ -0,0 +1,145 @@
+/**
+ * Promotion Profitability for /api/evaluate-profitability
+ *
+ * Projects a price promotion per target product from its catalog cost,
+ * price and average daily sales over the promotion's duration:
+ *
+ *   baseline units  = avgDailySales × durationDays
+ *   promo units     = baseline units × (1 + uplift)
+ *   cannibalized    = (promo units − baseline units) × cannibalization
+ *                     (extra units that would otherwise have been bought at
+ *                     full price, lost at the product's regular unit margin)
+ *   gross profit    = promo units × (promo price − cost) − cannibalized × (price − cost)
+ *
+ * The break-even uplift is the uplift at which that gross profit equals the
+ * baseline one: (m − m') / (m' − c × m), with m and m' the unit margins
+ * before and after the discount and c the cannibalization. A promotion
+ * below cost, or whose cannibalization eats the whole promo margin, never
+ * breaks even (null).
+ */
+
+// Score between 0 and 100: 50 when the promotion leaves gross profit unchanged
+const NEUTRAL_SCORE = 50;
+
+/**
+ * Raised when none of the target products can be priced from the catalog
+ */
+class ProfitabilityError extends Error {
+  /**
+   * @param {number} status - HTTP status (422)
+   * @param {string} code - e.g. 'NO_PRICING_DATA'
+   * @param {string} message
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ProfitabilityError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const percentOf = (part, whole) => (whole > 0 ? round(part / whole * 100) : 0);
+
+/**
+ * Uplift (fraction) at which a promotion's gross profit equals the baseline
+ * @param {number} lostMargin - Σ baseline units × (m − m')
+ * @param {number} netPromoMargin - Σ baseline units × (m' − c × m)
+ * @returns {number|null}
+ */
+function breakEven(lostMargin, netPromoMargin) {
+  if (lostMargin <= 0) {
+    return 0;
+  }
+  return netPromoMargin > 0 ? lostMargin / netPromoMargin : null;
+}
+
+/**
+ * Project one product through the promotion
+ * @param {object} product - Catalog product (sku, name, category, unitCost, price, avgDailySales)
+ * @param {object} promotion - { discount, expectedUplift, cannibalization, durationDays }, percentages as 0-100
+ * @returns {object} - Units, revenue, margins and profit before and with the promotion
+ */
+function projectProduct(product, { discount, expectedUplift, cannibalization, durationDays }) {
+  const uplift = expectedUplift / 100;
+  const share = cannibalization / 100;
+  const promoPrice = product.price * (1 - discount / 100);
+  const unitMargin = product.price - product.unitCost;
+  const promoUnitMargin = promoPrice - product.unitCost;
+
+  const baselineUnits = product.avgDailySales * durationDays;
+  const projectedUnits = baselineUnits * (1 + uplift);
+  const cannibalizedUnits = Math.max(0, projectedUnits - baselineUnits) * share;
+
+  const baselineGrossProfit = baselineUnits * unitMargin;
+  const projectedGrossProfit = projectedUnits * promoUnitMargin - cannibalizedUnits * unitMargin;
+  const breakEvenUplift = breakEven(unitMargin - promoUnitMargin, promoUnitMargin - share * unitMargin);
+
+  return {
+    sku: product.sku,
+    name: product.name,
+    category: product.category,
+    unitCost: product.unitCost,
+    regularPrice: product.price,
+    promoPrice: round(promoPrice),
+    baselineUnits: round(baselineUnits, 1),
+    projectedUnits: round(projectedUnits, 1),
+    cannibalizedUnits: round(cannibalizedUnits, 1),
+    baselineRevenue: round(baselineUnits * product.price),
+    projectedRevenue: round(projectedUnits * promoPrice),
+    grossMarginBefore: percentOf(unitMargin, product.price),
+    grossMarginAfter: percentOf(promoUnitMargin, promoPrice),
+    baselineGrossProfit: round(baselineGrossProfit),
+    projectedGrossProfit: round(projectedGrossProfit),
+    profitImpact: round(projectedGrossProfit - baselineGrossProfit),
+    breakEvenUplift: breakEvenUplift === null ? null : round(breakEvenUplift * 100, 1),
+    // Kept for the totals: the break-even terms weighted by baseline volume
+    terms: {
+      lostMargin: baselineUnits * (unitMargin - promoUnitMargin),
+      netPromoMargin: baselineUnits * (promoUnitMargin - share * unitMargin),
+      promoMargin: projectedUnits * promoUnitMargin
+    }
+  };
+}
+
+/**
+ * Project a promotion over its target products
+ * @param {Array<object>} products - Catalog products
+ * @param {object} promotion - { discount, expectedUplift, cannibalization, durationDays }, percentages as 0-100
+ * @returns {object} - Per-product projections and the totals over all of them
+ */
+function projectPromotion(products, promotion) {
+  const projections = products.map(product => projectProduct(product, promotion));
+  const sum = (read) => projections.reduce((total, projection) => total + read(projection), 0);
+
+  const baselineRevenue = sum(p => p.baselineRevenue);
+  const projectedRevenue = sum(p => p.projectedRevenue);
+  const baselineGrossProfit = sum(p => p.baselineGrossProfit);
+  const projectedGrossProfit = sum(p => p.projectedGrossProfit);
+  const grossMarginBefore = percentOf(baselineGrossProfit, baselineRevenue);
+  const grossMarginAfter = percentOf(sum(p => p.terms.promoMargin), projectedRevenue);
+  const breakEvenUplift = breakEven(sum(p => p.terms.lostMargin), sum(p => p.terms.netPromoMargin));
+  const profitImpact = projectedGrossProfit - baselineGrossProfit;
+  const relativeImpact = baselineGrossProfit > 0 ? Math.max(-1, Math.min(1, profitImpact / baselineGrossProfit)) : 0;
+
+  return {
+    products: projections.map(({ terms, ...projection }) => projection),
+    baselineRevenue: round(baselineRevenue),
+    projectedRevenue: round(projectedRevenue),
+    revenueImpact: percentOf(projectedRevenue - baselineRevenue, baselineRevenue),
+    grossMarginBefore,
+    grossMarginAfter,
+    marginImpact: round(grossMarginAfter - grossMarginBefore),
+    baselineGrossProfit: round(baselineGrossProfit),
+    projectedGrossProfit: round(projectedGrossProfit),
+    profitImpact: round(profitImpact),
+    breakEvenUplift: breakEvenUplift === null ? null : round(breakEvenUplift * 100, 1),
+    financialScore: Math.round(NEUTRAL_SCORE + NEUTRAL_SCORE * relativeImpact)
+  };
+}
+
+module.exports = {
+  ProfitabilityError,
+  projectProduct,
+  projectPromotion
+};
@@ -0,0 +1,146 @@
+/**
+ * Promotion Scoring Rules
+ * Loads the weights used by /api/identify-products from a JSON rules file
+ * (SCORING_RULES_FILE, defaults to esb1/scoring-rules.json) and reloads it
+ * whenever the file changes, so analysts can retune scores without a deploy.
+ *
+ * score = (urgency + reason + perProductBonus * products) * categoryMultiplier
+ * capped at maxScore; priority is 'high' above thresholds.high, 'medium'
+ * above thresholds.medium, 'low' otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const RULES_FILE = process.env.SCORING_RULES_FILE || path.join(__dirname, 'scoring-rules.json');
+const WATCH_INTERVAL = 1000;
+
+const weightTable = {
+  type: 'object',
+  required: ['default'],
+  additionalProperties: { type: 'number', minimum: 0 }
+};
+
+const rulesSchema = {
+  type: 'object',
+  required: ['version', 'urgency', 'reasons', 'perProductBonus', 'categoryMultipliers', 'thresholds', 'maxScore'],
+  properties: {
+    version: { type: 'string' },
+    description: { type: 'string' },
+    urgency: weightTable,
+    reasons: weightTable,
+    perProductBonus: { type: 'number', minimum: 0 },
+    categoryMultipliers: weightTable,
+    thresholds: {
+      type: 'object',
+      required: ['high', 'medium'],
+      properties: {
+        high: { type: 'number' },
+        medium: { type: 'number' }
+      }
+    },
+    maxScore: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+const validateRules = new Ajv({ allErrors: true }).compile(rulesSchema);
+
+let current = null;
+
+/**
+ * Read and validate a rules file
+ * @param {string} file - Path to the JSON rules file
+ * @returns {object} - Rules, with the file path and load time attached
+ */
+function loadRules(file = RULES_FILE) {
+  const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!validateRules(rules)) {
+    const problems = validateRules.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join(', ');
+    throw new Error(`Invalid scoring rules in ${file}: ${problems}`);
+  }
+  if (rules.thresholds.medium > rules.thresholds.high) {
+    throw new Error(`Invalid scoring rules in ${file}: thresholds.medium is above thresholds.high`);
+  }
+  return { ...rules, file, loadedAt: new Date().toISOString() };
+}
+
+/**
+ * Current rules, loaded on first use and kept in sync with the file.
+ * A broken edit is reported and the previous rules stay active.
+ * @returns {object} - Active rules
+ */
+function getRules() {
+  if (!current) {
+    current = loadRules();
+    fs.watchFile(RULES_FILE, { interval: WATCH_INTERVAL, persistent: false }, () => {
+      try {
+        current = loadRules();
+        console.log(`🔄 Scoring rules reloaded (version ${current.version})`);
+      } catch (error) {
+        console.error(`⚠️  ${error.message} - keeping version ${current.version}`);
+      }
+    });
+  }
+  return current;
+}
+
+function lookup(table, key) {
+  const normalized = typeof key === 'string' ? key.toLowerCase() : key;
+  if (normalized !== undefined && Object.prototype.hasOwnProperty.call(table, normalized) && normalized !== 'default') {
+    return { value: table[normalized], matched: true };
+  }
+  return { value: table.default, matched: false };
+}
+
+/**
+ * Score a promotion candidate list
+ * @param {object} input - { products: string[], reason, urgency, category }
+ * @param {object} rules - Rules (defaults to the active rules)
+ * @returns {object} - { analysisScore, priority, breakdown, rulesVersion }
+ */
+function scoreProducts({ products, reason, urgency, category }, rules = getRules()) {
+  const urgencyRule = lookup(rules.urgency, urgency);
+  const reasonRule = lookup(rules.reasons, reason);
+  const categoryRule = lookup(rules.categoryMultipliers, category);
+  const productPoints = products.length * rules.perProductBonus;
+
+  const baseScore = urgencyRule.value + reasonRule.value + productPoints;
+  const rawScore = baseScore * categoryRule.value;
+  const analysisScore = Math.round(Math.min(rawScore, rules.maxScore));
+
+  const priority = rawScore > rules.thresholds.high ? 'high'
+    : rawScore > rules.thresholds.medium ? 'medium'
+      : 'low';
+
+  const breakdown = [
+    { rule: 'urgency', input: urgency ?? null, matched: urgencyRule.matched, points: urgencyRule.value },
+    { rule: 'reason', input: reason ?? null, matched: reasonRule.matched, points: reasonRule.value },
+    { rule: 'perProductBonus', input: products.length, matched: true, points: productPoints },
+    {
+      rule: 'categoryMultiplier',
+      input: category ?? null,
+      matched: categoryRule.matched,
+      multiplier: categoryRule.value,
+      points: Math.round((rawScore - baseScore) * 100) / 100
+    }
+  ];
+  if (rawScore > rules.maxScore) {
+    breakdown.push({ rule: 'maxScore', input: rawScore, matched: true, points: rules.maxScore - rawScore });
+  }
+
+  return {
+    analysisScore,
+    rawScore: Math.round(rawScore * 100) / 100,
+    priority,
+    thresholds: rules.thresholds,
+    breakdown,
+    rulesVersion: rules.version
+  };
+}
+
+module.exports = {
+  loadRules,
+  getRules,
+  scoreProducts
+};
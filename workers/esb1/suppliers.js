@@ -0,0 +1,236 @@
+/**
+ * Supplier Directory
+ * Suppliers seeded from the CSV files next to the product catalog
+ * (CATALOG_DIR, defaults to esb1/data):
+ *
+ *   suppliers.csv       - supplierId,name,leadTimeDays,minOrderQuantity,reliability
+ *   supplier-prices.csv - supplierId,sku,unitPrice   (one row per SKU a supplier sells)
+ *
+ * `reliability` (0-1) is the seed score. Every delivery check ESB2
+ * publishes on `delivery.checked` for one of the supplier's purchase
+ * orders moves it: 70% share of the goods accepted, 30% delivered by the
+ * estimated date. The seed counts as SEED_WEIGHT checks.
+ *
+ * Delivery checks are kept (SUPPLIER_STORE env var):
+ *   - file   (default) - supplier-performance.json under SUPPLIER_STORE_DIR
+ *   - memory           - lost on restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./catalog');
+
+const CATALOG_DIR = process.env.CATALOG_DIR || path.join(__dirname, 'data');
+const SUPPLIER_STORE_DIR = process.env.SUPPLIER_STORE_DIR || path.join(__dirname, '..', '.data');
+
+const SEED_WEIGHT = 5;
+
+// Share of the ranking score of each criterion
+const RANKING_WEIGHTS = {
+  price: 0.4,
+  leadTime: 0.3,
+  reliability: 0.3
+};
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function readCsv(dir, file) {
+  const filePath = path.join(dir, file);
+  if (!fs.existsSync(filePath)) {
+    console.log(`⚠️  ${filePath} not found - no suppliers loaded from it`);
+    return [];
+  }
+  return parseCsv(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Where delivery checks are kept
+ * @param {string} driver - 'file' or 'memory'
+ * @param {string} dir - Directory of the file driver
+ * @returns {object} - { load, save }
+ */
+function createPerformanceStore(driver, dir) {
+  if (driver === 'memory') {
+    return { load: () => [], save: () => {} };
+  }
+  if (driver !== 'file') {
+    throw new Error(`Unknown supplier store driver: ${driver}`);
+  }
+  const filePath = path.join(dir, 'supplier-performance.json');
+  return {
+    load() {
+      try {
+        return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+      } catch (error) {
+        console.error(`[Suppliers] Could not read ${filePath}:`, error.message);
+        return [];
+      }
+    },
+    save(checks) {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(checks, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    }
+  };
+}
+
+/**
+ * Score of one delivery check (0-1)
+ * @param {object} delivery - delivery.checked payload
+ * @returns {number}
+ */
+function deliveryScore({ quantityReceived, quantityAccepted, estimatedDeliveryDate, inspectedAt }) {
+  const accepted = quantityReceived > 0 ? quantityAccepted / quantityReceived : 0;
+  const onTime = !estimatedDeliveryDate || inspectedAt.split('T')[0] <= estimatedDeliveryDate;
+  return 0.7 * accepted + 0.3 * (onTime ? 1 : 0);
+}
+
+/**
+ * Load a supplier directory
+ * @param {object} [options]
+ * @param {string} [options.dir] - Directory holding suppliers.csv and supplier-prices.csv
+ * @param {string} [options.driver] - Delivery check store, 'file' or 'memory' (defaults to SUPPLIER_STORE or 'file')
+ * @param {string} [options.storeDir] - Directory of the file store
+ * @returns {object} - Supplier directory API
+ */
+function createSupplierDirectory(options = {}) {
+  const dir = options.dir || CATALOG_DIR;
+  const store = createPerformanceStore(options.driver || process.env.SUPPLIER_STORE || 'file', options.storeDir || SUPPLIER_STORE_DIR);
+  const suppliers = new Map();
+
+  for (const row of readCsv(dir, 'suppliers.csv')) {
+    suppliers.set(row.supplierId.toUpperCase(), {
+      supplierId: row.supplierId.toUpperCase(),
+      name: row.name,
+      leadTimeDays: parseInt(row.leadTimeDays),
+      minOrderQuantity: parseInt(row.minOrderQuantity) || 1,
+      seedReliability: parseFloat(row.reliability),
+      prices: {}
+    });
+  }
+  for (const row of readCsv(dir, 'supplier-prices.csv')) {
+    const supplier = suppliers.get(row.supplierId.toUpperCase());
+    if (supplier) {
+      supplier.prices[row.sku.toUpperCase()] = parseFloat(row.unitPrice);
+    }
+  }
+
+  const checks = store.load();
+  const recorded = new Set(checks.map(check => check.messageId));
+
+  function performance(supplierId) {
+    const own = checks.filter(check => check.supplierId === supplierId);
+    const seed = suppliers.get(supplierId).seedReliability;
+    const total = own.reduce((sum, check) => sum + check.score, seed * SEED_WEIGHT);
+    return { reliability: round(total / (SEED_WEIGHT + own.length)), deliveryChecks: own.length };
+  }
+
+  function describe(supplier) {
+    const { seedReliability, prices, ...rest } = supplier;
+    return { ...rest, ...performance(supplier.supplierId), seedReliability, skus: Object.keys(prices), unitPrices: { ...prices } };
+  }
+
+  return {
+    list: () => Array.from(suppliers.values()).map(describe),
+
+    get(supplierId) {
+      const supplier = typeof supplierId === 'string' ? suppliers.get(supplierId.trim().toUpperCase()) : undefined;
+      return supplier ? describe(supplier) : null;
+    },
+
+    /**
+     * Suppliers able to deliver a SKU, best first
+     * Price, lead time and reliability are each scored against the best
+     * eligible supplier and weighted by RANKING_WEIGHTS.
+     * @param {object} request
+     * @param {string} request.sku - Product SKU (case-insensitive)
+     * @param {number} [request.quantity] - Units to order; suppliers whose minimum order is higher are excluded
+     * @returns {object} - { suppliers: [ranked], excluded: [{ supplierId, name, reason }] }
+     */
+    rank({ sku, quantity }) {
+      const wanted = String(sku).trim().toUpperCase();
+      const candidates = [];
+      const excluded = [];
+
+      for (const supplier of suppliers.values()) {
+        const unitPrice = supplier.prices[wanted];
+        if (unitPrice === undefined) {
+          continue;
+        }
+        if (quantity && quantity < supplier.minOrderQuantity) {
+          excluded.push({ supplierId: supplier.supplierId, name: supplier.name, reason: `minimum order ${supplier.minOrderQuantity} > ${quantity}` });
+          continue;
+        }
+        candidates.push({
+          supplierId: supplier.supplierId,
+          name: supplier.name,
+          unitPrice,
+          leadTimeDays: supplier.leadTimeDays,
+          minOrderQuantity: supplier.minOrderQuantity,
+          ...performance(supplier.supplierId),
+          ...(quantity && { totalCost: round(unitPrice * quantity, 2) })
+        });
+      }
+
+      const bestPrice = Math.min(...candidates.map(c => c.unitPrice));
+      const bestLeadTime = Math.max(1, Math.min(...candidates.map(c => c.leadTimeDays)));
+      const ranked = candidates
+        .map(candidate => {
+          const scores = {
+            price: round(bestPrice / candidate.unitPrice),
+            leadTime: round(bestLeadTime / Math.max(1, candidate.leadTimeDays)),
+            reliability: candidate.reliability
+          };
+          const score = Object.entries(RANKING_WEIGHTS).reduce((sum, [criterion, weight]) => sum + weight * scores[criterion], 0);
+          return { ...candidate, scores, score: round(score) };
+        })
+        .sort((a, b) => b.score - a.score)
+        .map((candidate, i) => ({ rank: i + 1, ...candidate }));
+
+      return { suppliers: ranked, excluded };
+    },
+
+    /**
+     * Count a delivery check towards its supplier's reliability
+     * Redelivered broker messages (same id) are only counted once.
+     * @param {object} message - Broker message of topic delivery.checked
+     * @returns {boolean} - Whether the check was counted
+     */
+    recordDeliveryCheck(message) {
+      const delivery = message.payload || {};
+      const supplierId = typeof delivery.supplierId === 'string' ? delivery.supplierId.toUpperCase() : null;
+      if (recorded.has(message.id) || !suppliers.has(supplierId)) {
+        return false;
+      }
+      const score = round(deliveryScore(delivery));
+      checks.push({ messageId: message.id, supplierId, purchaseOrderNumber: delivery.purchaseOrderNumber, score, checkedAt: delivery.inspectedAt });
+      recorded.add(message.id);
+      store.save(checks);
+      console.log(`📊 ${supplierId} delivery check ${delivery.purchaseOrderNumber}: ${score} (reliability now ${performance(supplierId).reliability})`);
+      return true;
+    },
+
+    source: dir
+  };
+}
+
+let directory = null;
+
+/**
+ * The supplier directory ESB1 serves, loaded on first use
+ * @returns {object} - Supplier directory API
+ */
+function getSuppliers() {
+  if (!directory) {
+    directory = createSupplierDirectory();
+    console.log(`🏭 Supplier directory loaded from ${directory.source} (${directory.list().length} suppliers)`);
+  }
+  return directory;
+}
+
+module.exports = {
+  RANKING_WEIGHTS,
+  createSupplierDirectory,
+  getSuppliers
+};
@@ -0,0 +1,365 @@
+/**
+ * ESB2 Backend Adapters
+ * The backend systems ESB2 pipelines (pipelines.json) route to, plus the
+ * enrichers and aggregators they use. Adapters receive the pipeline context
+ * ({ body, values, enriched, results }) and their step options, and return
+ * the fields they contribute to `transformed`.
+ */
+
+const axios = require('axios');
+const { resolveEsbUrl } = require('../ui-common/esb-client');
+const { getPurchaseOrders, PurchaseOrderError } = require('./purchase-orders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reach per digital channel (people per campaign)
+const CHANNEL_REACH = {
+  email: 5000,
+  social_media: 10000,
+  website: 3000,
+  mobile_app: 2000,
+  facebook: 8000,
+  instagram: 7000,
+  twitter: 4000
+};
+const DEFAULT_CHANNEL_REACH = 1000;
+
+/**
+ * Read a record ESB1 owns (supplier directory, budget ledger), found
+ * through the service registry
+ * @param {string} route - Registered route, e.g. 'GET /api/suppliers/:supplierId'
+ * @param {string} path - Path to read
+ * @returns {Promise<object|null>} - The response body, or null for a 404
+ */
+async function fromEsb1(route, path) {
+  const esbUrl = await resolveEsbUrl(route);
+  try {
+    const { data } = await axios.get(`${esbUrl}${path}`, { timeout: 10000 });
+    return data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Refuse an order its Finance reservation doesn't cover: it must still be
+ * open and the order may not cost more than was approved (an order without
+ * a cost is priced at the reserved unit cost)
+ * @param {object} values - Pipeline values (budgetReservationId, totalCost, orderQuantity)
+ * @throws {PurchaseOrderError}
+ */
+async function checkReservation({ budgetReservationId, totalCost, orderQuantity }) {
+  const found = await fromEsb1('GET /api/budgets/reservations/:reservationId', `/api/budgets/reservations/${encodeURIComponent(budgetReservationId)}`);
+  if (!found) {
+    throw new PurchaseOrderError(422, 'BUDGET_RESERVATION_NOT_FOUND', `Budget reservation ${budgetReservationId} not found`);
+  }
+  const { reservation } = found;
+  if (reservation.status !== 'reserved') {
+    throw new PurchaseOrderError(409, 'INVALID_RESERVATION_STATE',
+      `Budget reservation ${budgetReservationId} is ${reservation.status} - Finance must approve the order again`);
+  }
+  const cost = typeof totalCost === 'number' ? Math.round(totalCost * 100) / 100
+    : reservation.quantity && orderQuantity ? Math.round(reservation.amount / reservation.quantity * orderQuantity * 100) / 100
+    : reservation.amount;
+  if (cost > reservation.amount) {
+    throw new PurchaseOrderError(422, 'RESERVATION_EXCEEDED',
+      `The order costs ${cost}, more than the ${reservation.amount} Finance approved for ${reservation.quantity} units - Finance must approve the larger order`);
+  }
+}
+
+/**
+ * The supplier an order goes to, from ESB1's directory
+ * @param {string} supplierId
+ * @returns {Promise<object>} - Supplier (name, leadTimeDays, unitPrices, ...)
+ * @throws {PurchaseOrderError} 422 UNKNOWN_SUPPLIER
+ */
+async function supplierFor(supplierId) {
+  const found = supplierId
+    ? await fromEsb1('GET /api/suppliers/:supplierId', `/api/suppliers/${encodeURIComponent(supplierId)}`)
+    : null;
+  if (!found) {
+    throw new PurchaseOrderError(422, 'UNKNOWN_SUPPLIER', `${supplierId ? `Supplier ${supplierId} is not in the supplier directory` : 'No supplier given'} - the order can't be placed`);
+  }
+  return found.supplier;
+}
+
+// Helper to generate promo code
+function generatePromoCode(discount, duration) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const randomPart = Array.from({ length: 4 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+  return `PROMO${discount}${randomPart}${duration}D`;
+}
+
+// Helper to format date to locale
+function formatDateLocale(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+const adapters = {
+  // ==========================================================================
+  // Promotion
+  // ==========================================================================
+
+  'promotion-code': ({ values }) => ({
+    promotionCode: generatePromoCode(values.discount, values.durationDays),
+    discountPercentage: values.discount,
+    promotionText: values.promoText || `${values.discount}% OFF!`
+  }),
+
+  'promotion-calendar': ({ values, enriched }) => {
+    const endDate = new Date(enriched.now.getTime() + values.durationDays * DAY_MS);
+    return {
+      formattedStartDate: formatDateLocale(enriched.now),
+      formattedEndDate: formatDateLocale(endDate),
+      startDateISO: enriched.now.toISOString(),
+      endDateISO: endDate.toISOString(),
+      durationDays: values.durationDays,
+      generatedAt: new Date().toISOString()
+    };
+  },
+
+  // Validate store IDs (must start with 'S' or be numeric)
+  'store-registry': ({ values }) => {
+    const validatedStores = values.storeIds.map(store => {
+      const normalized = store.toUpperCase();
+      const isValid = /^S\d+$/.test(normalized) || /^\d+$/.test(store);
+      return {
+        id: normalized.startsWith('S') ? normalized : `S${normalized.padStart(3, '0')}`,
+        originalId: store,
+        valid: isValid || true, // For demo, mark all as valid
+        status: values.labelsReady ? 'ready' : 'pending'
+      };
+    });
+    return {
+      validatedStores,
+      storeCount: validatedStores.length,
+      allValid: validatedStores.every(s => s.valid),
+      labelsStatus: values.labelsReady ? 'READY' : 'PENDING',
+      preparedAt: new Date().toISOString()
+    };
+  },
+
+  'price-labels': ({ values }) => {
+    const { labelsUpdated: labels, storeCount: stores } = values;
+    const completionRate = values.allStoresCompleted ? 100 : Math.min(95, Math.round((labels / (stores * 50)) * 100));
+    return {
+      updateSummary: {
+        totalLabelsUpdated: labels,
+        estimatedStores: stores,
+        averageLabelsPerStore: stores > 0 ? Math.round(labels / stores) : 0
+      },
+      completionRate: `${completionRate}%`,
+      completionStatus: completionRate === 100 ? 'COMPLETE' : completionRate > 75 ? 'NEARLY_COMPLETE' : 'IN_PROGRESS',
+      updatedAt: new Date().toISOString()
+    };
+  },
+
+  'print-materials': ({ values }) => ({
+    flyerCount: values.flyerQty,
+    posterCount: values.posterQty,
+    flyerReach: values.flyerQty * 2, // Each flyer reaches ~2 people
+    posterReach: values.posterQty * 50 // Each poster seen by ~50 people
+  }),
+
+  'digital-channels': ({ enriched }) => ({
+    channelPriority: [...enriched.channels]
+      .sort((a, b) => b.reach - a.reach)
+      .map((item, idx) => ({ ...item, priority: idx + 1 })),
+    digitalReach: enriched.channels.reduce((sum, ch) => sum + ch.reach, 0),
+    digitalChannelCount: enriched.channels.length
+  }),
+
+  // One system of a price update batch; options: { system, flag, terminals }
+  'price-sync': ({ values }, { system, flag, terminals }) => ({
+    system,
+    status: values[flag] ? 'SYNCED' : 'PENDING',
+    ...(terminals && { terminals: values[terminals] })
+  }),
+
+  // ==========================================================================
+  // Stock Management
+  // ==========================================================================
+
+  'replenishment-requests': ({ values }) => ({
+    requestId: `REQ-${Date.now()}`,
+    productId: values.productId,
+    productName: values.productName,
+    orderQuantity: values.orderQuantity,
+    priority: values.priority,
+    status: 'pending_verification',
+    createdAt: new Date().toISOString()
+  }),
+
+  'stock-count': ({ values }) => ({
+    productId: values.productId,
+    stockVerified: values.verified,
+    physicalStockCount: values.physicalCount,
+    systemStockCount: values.currentStock,
+    discrepancy: Math.abs(values.physicalCount - values.currentStock),
+    // Where it was counted, when the form says (the product is held in several places)
+    stockLocation: values.location ?? null,
+    verifiedAt: new Date().toISOString()
+  }),
+
+  // Issue and store the order (purchase-orders.js) once its Finance
+  // reservation is known to cover it. The supplier's name and lead time
+  // (hence the expected delivery date) come from ESB1's directory.
+  purchasing: async ({ values }) => {
+    const supplier = await supplierFor(values.supplierId);
+    if (values.budgetReservationId) {
+      await checkReservation(values);
+    }
+    const order = getPurchaseOrders().issue({
+      trackingNumber: `TRK-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+      productId: values.productId,
+      orderQuantity: values.orderQuantity,
+      totalCost: values.totalCost,
+      supplierId: supplier.supplierId,
+      supplierName: supplier.name,
+      shippingMethod: values.shippingMethod,
+      estimatedDeliveryDate: values.estimatedDelivery || new Date(Date.now() + supplier.leadTimeDays * DAY_MS).toISOString().split('T')[0],
+      // Finance's reservation on ESB1's budget ledger, committed when subscribers hear of the order
+      budgetReservationId: values.budgetReservationId || null
+    });
+    const { status, quantities, deliveries, returns, history, updatedAt, ...issued } = order;
+    return { ...issued, poStatus: status };
+  },
+
+  // Inspect a delivery and, given its purchase order, check it against what is outstanding
+  'goods-receipt': ({ values }) => {
+    const receipt = {
+      deliveryConforming: values.conforming,
+      quantityReceived: values.receivedQty,
+      quantityAccepted: values.receivedQty - values.damagedQty,
+      quantityDamaged: values.damagedQty,
+      qualityScore: values.qualityScore,
+      inspectedAt: new Date().toISOString()
+    };
+    if (!values.purchaseOrderNumber) {
+      return receipt;
+    }
+    const order = getPurchaseOrders().recordDelivery(values.purchaseOrderNumber, {
+      receivedQty: values.receivedQty,
+      damagedQty: values.damagedQty,
+      qualityScore: values.qualityScore,
+      conforming: values.conforming
+    });
+    return {
+      ...receipt,
+      purchaseOrderNumber: order.purchaseOrderNumber,
+      poStatus: order.status,
+      // Lets subscribers (ESB1's supplier directory) rate the supplier
+      supplierId: order.supplierId,
+      estimatedDeliveryDate: order.estimatedDeliveryDate,
+      quantityOrdered: order.quantities.ordered,
+      quantityOutstanding: order.quantities.ordered - order.quantities.received
+    };
+  },
+
+  returns: ({ values }) => {
+    const goodsReturn = {
+      rmaNumber: `RMA-${Date.now()}`,
+      returnReason: values.returnReason,
+      refundRequested: values.refundRequested,
+      replacementRequested: values.replacementRequested,
+      quantityReturned: values.quantityReturned
+    };
+    const order = values.purchaseOrderNumber
+      ? getPurchaseOrders().recordReturn(values.purchaseOrderNumber, goodsReturn)
+      : null;
+    return {
+      ...goodsReturn,
+      ...(order && {
+        purchaseOrderNumber: order.purchaseOrderNumber,
+        poStatus: order.status,
+        // Lets ESB1's budget ledger give back what the goods cost
+        budgetReservationId: order.budgetReservationId
+      }),
+      returnStatus: 'initiated',
+      processedAt: new Date().toISOString()
+    };
+  },
+
+  // Book the received stock; its purchase order is then complete
+  'stock-systems': ({ values }) => ({
+    ...(values.purchaseOrderNumber && {
+      purchaseOrderNumber: values.purchaseOrderNumber,
+      poStatus: getPurchaseOrders().close(values.purchaseOrderNumber, 'stock booked').status
+    }),
+    productId: values.productId,
+    systemUpdateStatus: 'success',
+    systemsUpdated: {
+      erp: values.erpUpdated ? 'updated' : 'pending',
+      wms: values.wmsUpdated ? 'updated' : 'pending',
+      pos: values.posUpdated ? 'synchronized' : 'pending'
+    },
+    stockLevels: {
+      previousStock: values.previousStock,
+      quantityAdded: values.quantityAdded,
+      newStockLevel: values.newStockLevel
+    },
+    syncTimestamp: new Date().toISOString()
+  })
+};
+
+const enrichers = {
+  // Reach of each requested digital channel
+  'channel-reach': ({ values }) => ({
+    channels: values.digitalChannels.map(channel => ({ channel, reach: CHANNEL_REACH[channel] || DEFAULT_CHANNEL_REACH }))
+  })
+};
+
+const aggregators = {
+  campaign: ({ values, results }) => {
+    const { print, digital } = results;
+    return {
+      channelPriority: digital.channelPriority,
+      estimatedReach: {
+        total: print.flyerReach + print.posterReach + digital.digitalReach,
+        breakdown: {
+          flyers: print.flyerReach,
+          posters: print.posterReach,
+          digital: digital.digitalReach
+        }
+      },
+      campaignId: `CAMP-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`,
+      headline: values.headline || 'Special Promotion!',
+      materialsSummary: {
+        flyerCount: print.flyerCount,
+        posterCount: print.posterCount,
+        digitalChannelCount: digital.digitalChannelCount
+      },
+      preparedAt: new Date().toISOString()
+    };
+  },
+
+  'price-sync-batch': ({ results }) => {
+    const systemStatuses = Object.values(results);
+    const updatedSystems = systemStatuses.filter(s => s.status === 'SYNCED').length;
+    return {
+      syncTimestamp: new Date().toISOString(),
+      batchId: `BATCH-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+      systemStatuses,
+      summary: {
+        totalSystems: systemStatuses.length,
+        updatedSystems,
+        pendingSystems: systemStatuses.length - updatedSystems,
+        syncPercentage: `${Math.round((updatedSystems / systemStatuses.length) * 100)}%`
+      }
+    };
+  }
+};
+
+module.exports = {
+  adapters,
+  enrichers,
+  aggregators
+};
@@ -0,0 +1,274 @@
+/**
+ * Purchase Orders
+ * The orders ESB2 issues (/api/process-replenishment), remembered so that
+ * delivery checks and returns can be matched against them.
+ *
+ *   issued ──► shipped ──► received ─────────────► returned ──► closed
+ *      │                      ▲                      ▲
+ *      └──────────────► partially-received ──────────┘
+ *
+ * A delivery check moves an order to received once the accepted quantity
+ * covers the ordered one, to partially-received otherwise (more deliveries
+ * may follow). A return can only send back what was received. Booking the
+ * stock (/api/update-stock-systems) or POST .../close ends the order.
+ *
+ * Drivers (PURCHASE_ORDER_STORE env var):
+ *   - file   (default) - purchase-orders.json under PURCHASE_ORDER_STORE_DIR, re-read
+ *                        when another ESB2 instance on the host changed it
+ *   - memory           - lost on restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PURCHASE_ORDER_STORE_DIR = process.env.PURCHASE_ORDER_STORE_DIR || path.join(__dirname, '..', '.data');
+
+const TRANSITIONS = {
+  issued: ['shipped', 'received', 'partially-received', 'closed'],
+  shipped: ['received', 'partially-received', 'closed'],
+  'partially-received': ['partially-received', 'received', 'returned', 'closed'],
+  received: ['returned', 'closed'],
+  returned: ['returned', 'closed'],
+  closed: []
+};
+
+/**
+ * Raised for an unknown order, a transition the state machine forbids or
+ * quantities the order can't account for
+ */
+class PurchaseOrderError extends Error {
+  /**
+   * @param {number} status - HTTP status (404, 409 or 422)
+   * @param {string} code - e.g. 'PURCHASE_ORDER_NOT_FOUND'
+   * @param {string} message
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'PurchaseOrderError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * In-memory driver
+ * @returns {object} - { load, save }
+ */
+function createMemoryDriver() {
+  return {
+    load: (orders) => orders,
+    save: () => {}
+  };
+}
+
+/**
+ * File driver - rewrites the whole JSON file on every change
+ * @param {string} filePath - Where the orders are persisted
+ * @returns {object} - { load, save }
+ */
+function createFileDriver(filePath) {
+  let loadedMtime = 0;
+
+  return {
+    // Current orders, re-read if the file changed since the last read or write
+    load(orders) {
+      let mtime;
+      try {
+        mtime = fs.statSync(filePath).mtimeMs;
+      } catch (error) {
+        return orders;
+      }
+      if (mtime === loadedMtime) {
+        return orders;
+      }
+      try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        loadedMtime = mtime;
+        return new Map(saved.map(order => [order.purchaseOrderNumber, order]));
+      } catch (error) {
+        console.error(`[Purchase Orders] Could not read ${filePath}:`, error.message);
+        return orders;
+      }
+    },
+    save(orders) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Array.from(orders.values()), null, 2));
+      fs.renameSync(tmpPath, filePath);
+      loadedMtime = fs.statSync(filePath).mtimeMs;
+    }
+  };
+}
+
+/**
+ * Create the purchase order store
+ * @param {object} [options]
+ * @param {string} [options.driver] - 'file' or 'memory' (defaults to PURCHASE_ORDER_STORE or 'file')
+ * @param {string} [options.dir] - Directory for the file driver
+ * @returns {object} - Purchase order API
+ */
+function createPurchaseOrderStore(options = {}) {
+  const driverName = options.driver || process.env.PURCHASE_ORDER_STORE || 'file';
+  let driver;
+  if (driverName === 'memory') {
+    driver = createMemoryDriver();
+  } else if (driverName === 'file') {
+    driver = createFileDriver(path.join(options.dir || PURCHASE_ORDER_STORE_DIR, 'purchase-orders.json'));
+  } else {
+    throw new Error(`Unknown purchase order store driver: ${driverName}`);
+  }
+
+  let orders = new Map();
+  const current = () => (orders = driver.load(orders));
+
+  function find(purchaseOrderNumber) {
+    const order = current().get(purchaseOrderNumber);
+    if (!order) {
+      throw new PurchaseOrderError(404, 'PURCHASE_ORDER_NOT_FOUND', `Purchase order ${purchaseOrderNumber} not found`);
+    }
+    return order;
+  }
+
+  function assertTransition(order, status) {
+    if (!TRANSITIONS[order.status].includes(status)) {
+      throw new PurchaseOrderError(409, 'INVALID_PO_TRANSITION',
+        `Purchase order ${order.purchaseOrderNumber} is ${order.status} and can't become ${status}`);
+    }
+  }
+
+  // Move an order to its next status and persist it
+  function transition(order, status, event) {
+    assertTransition(order, status);
+    const at = new Date().toISOString();
+    order.status = status;
+    order.updatedAt = at;
+    order.history.push({ status, at, ...event });
+    driver.save(orders);
+    return order;
+  }
+
+  return {
+    /**
+     * Issue a new order
+     * @param {object} values - productId, supplierId, supplierName, orderQuantity, totalCost,
+     *                          shippingMethod, estimatedDeliveryDate, trackingNumber, budgetReservationId
+     * @returns {object} - The stored order
+     */
+    issue(values) {
+      current();
+      // PO-<timestamp>, bumped when two orders land in the same millisecond
+      let number = Date.now();
+      while (orders.has(`PO-${number}`)) {
+        number++;
+      }
+      const issuedAt = new Date().toISOString();
+      const order = {
+        purchaseOrderNumber: `PO-${number}`,
+        ...values,
+        status: 'issued',
+        quantities: { ordered: values.orderQuantity, received: 0, accepted: 0, damaged: 0, returned: 0 },
+        deliveries: [],
+        returns: [],
+        history: [{ status: 'issued', at: issuedAt }],
+        issuedAt,
+        updatedAt: issuedAt
+      };
+      orders.set(order.purchaseOrderNumber, order);
+      driver.save(orders);
+      return order;
+    },
+
+    get: (purchaseOrderNumber) => current().get(purchaseOrderNumber),
+
+    /**
+     * @param {object} [filter] - { sku, supplier, status }
+     * @returns {Array<object>} - Newest first
+     */
+    list({ sku, supplier, status } = {}) {
+      return Array.from(current().values())
+        .filter(order => !sku || String(order.productId).toUpperCase() === sku.toUpperCase())
+        .filter(order => !supplier || order.supplierId === supplier || order.supplierName === supplier)
+        .filter(order => !status || order.status === status)
+        .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+    },
+
+    // Supplier dispatched the goods
+    ship(purchaseOrderNumber, { trackingNumber, carrier } = {}) {
+      const order = find(purchaseOrderNumber);
+      assertTransition(order, 'shipped');
+      if (trackingNumber) {
+        order.trackingNumber = trackingNumber;
+      }
+      return transition(order, 'shipped', { ...(carrier && { carrier }), trackingNumber: order.trackingNumber });
+    },
+
+    /**
+     * Record a checked delivery
+     * @param {string} purchaseOrderNumber
+     * @param {object} delivery - { receivedQty, damagedQty, qualityScore, conforming }
+     * @returns {object} - The updated order
+     */
+    recordDelivery(purchaseOrderNumber, { receivedQty, damagedQty, qualityScore, conforming }) {
+      const order = find(purchaseOrderNumber);
+      const { quantities } = order;
+      const outstanding = quantities.ordered - quantities.received;
+      if (receivedQty > outstanding) {
+        throw new PurchaseOrderError(422, 'QUANTITY_MISMATCH',
+          `${receivedQty} received but only ${outstanding} of ${quantities.ordered} are outstanding on ${purchaseOrderNumber}`);
+      }
+      if (damagedQty > receivedQty) {
+        throw new PurchaseOrderError(422, 'QUANTITY_MISMATCH', `${damagedQty} damaged out of ${receivedQty} received`);
+      }
+      const accepted = receivedQty - damagedQty;
+      const status = quantities.accepted + accepted >= quantities.ordered ? 'received' : 'partially-received';
+      assertTransition(order, status);
+      quantities.received += receivedQty;
+      quantities.accepted += accepted;
+      quantities.damaged += damagedQty;
+      order.deliveries.push({ receivedQty, damagedQty, acceptedQty: accepted, qualityScore, conforming, checkedAt: new Date().toISOString() });
+      return transition(order, status, { receivedQty, acceptedQty: accepted });
+    },
+
+    /**
+     * Record goods sent back to the supplier
+     * @param {string} purchaseOrderNumber
+     * @param {object} goodsReturn - { rmaNumber, quantityReturned, returnReason, replacementRequested }
+     * @returns {object} - The updated order
+     */
+    recordReturn(purchaseOrderNumber, goodsReturn) {
+      const order = find(purchaseOrderNumber);
+      const { quantities } = order;
+      const returnable = quantities.received - quantities.returned;
+      if (goodsReturn.quantityReturned > returnable) {
+        throw new PurchaseOrderError(422, 'QUANTITY_MISMATCH',
+          `${goodsReturn.quantityReturned} returned but only ${returnable} received and not yet returned on ${purchaseOrderNumber}`);
+      }
+      assertTransition(order, 'returned');
+      quantities.returned += goodsReturn.quantityReturned;
+      order.returns.push({ ...goodsReturn, returnedAt: new Date().toISOString() });
+      return transition(order, 'returned', { rmaNumber: goodsReturn.rmaNumber, quantityReturned: goodsReturn.quantityReturned });
+    },
+
+    close: (purchaseOrderNumber, reason) => transition(find(purchaseOrderNumber), 'closed', reason ? { reason } : {})
+  };
+}
+
+let store = null;
+
+/**
+ * The purchase orders ESB2 serves, loaded on first use
+ * @returns {object} - Purchase order API
+ */
+function getPurchaseOrders() {
+  if (!store) {
+    store = createPurchaseOrderStore();
+  }
+  return store;
+}
+
+module.exports = {
+  TRANSITIONS,
+  PurchaseOrderError,
+  createPurchaseOrderStore,
+  getPurchaseOrders
+};
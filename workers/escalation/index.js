@@ -0,0 +1,176 @@
+/**
+ * Escalation Desk (manager UI)
+ * Port: 4008
+ *
+ * Works the `escalate-overdue-task` jobs started by the SLA timer boundary
+ * events of both workflows: each job names the overdue job type in its
+ * `overdueTaskType` header. The desk looks up that type's escalation in
+ * ui-common/task-slas.json, publishes `task.overdue` for the department UI
+ * holding the task (which notifies, reassigns or auto-decides it) and
+ * completes the job.
+ *
+ * The page and API need a login with the `managers` role (ui-common/auth.js).
+ * The managers' page lists the overdue tasks with the outcome each
+ * department reported (`task.escalated`) and the tasks that entered their
+ * warning window (`task.sla-warning`).
+ *
+ * Endpoints:
+ *   - GET /api/escalations - Overdue tasks, newest first
+ *   - GET /api/sla-warnings - Tasks in their warning window, newest first
+ *   - GET /api/slas - SLA per job type
+ *   - GET /health
+ *
+ * Usage: node escalation/index.js (runs inside start:local with ZEEBE_ENGINE=local)
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const { createZeebeClient, zeebeEngine } = require('../ui-common/zeebe-client');
+const { createPublisher, subscribe } = require('../broker/client');
+const { getSlas, slaFor } = require('../ui-common/task-slas');
+const { createAuth } = require('../ui-common/auth');
+
+const PORT = process.env.ESCALATION_PORT || 4008;
+const RECENT = 100;
+
+/**
+ * Start the escalation desk
+ * @param {object} [options]
+ * @param {object} [options.zeebe] - Zeebe client the escalation worker runs on
+ * @returns {object} - { app, io, escalations, warnings }
+ */
+function startEscalationDesk({ zeebe = createZeebeClient() } = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server);
+  const publisher = createPublisher('escalation-desk');
+
+  const escalations = [];
+  const warnings = [];
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
+  app.use('/common', express.static(path.join(__dirname, '../ui-common/public')));
+
+  // Managers only; /health stays open for monitoring
+  createAuth({
+    title: 'Escalation Desk',
+    icon: '🚨',
+    roles: ['managers'],
+    baseUrl: `http://localhost:${PORT}`,
+    openPaths: ['/health']
+  }).install(app, io);
+
+  app.get('/', (req, res) => {
+    res.render('index', { slas: getSlas() });
+  });
+
+  app.get('/api/escalations', (req, res) => {
+    res.json(escalations);
+  });
+
+  app.get('/api/sla-warnings', (req, res) => {
+    res.json(warnings);
+  });
+
+  app.get('/api/slas', (req, res) => {
+    const { version, tasks } = getSlas();
+    res.json({ version, tasks });
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', service: 'escalation-desk', port: PORT, open: escalations.filter(e => !e.outcome).length });
+  });
+
+  // One job per SLA timer that fired
+  const worker = zeebe.createWorker({
+    taskType: 'escalate-overdue-task',
+    taskHandler: async (job) => {
+      const taskType = job.customHeaders.overdueTaskType;
+      const sla = slaFor(taskType);
+      const escalation = {
+        escalationKey: job.key,
+        processInstanceKey: job.processInstanceKey,
+        bpmnProcessId: job.bpmnProcessId,
+        taskType,
+        action: sla?.escalation || 'notify',
+        reassignTo: sla?.reassignTo || null,
+        breach: sla?.breach || null,
+        escalatedAt: new Date().toISOString(),
+        department: null,
+        outcome: null
+      };
+      escalations.unshift(escalation);
+      escalations.splice(RECENT);
+
+      console.log(`🚨 ${taskType} overdue in ${job.bpmnProcessId} #${job.processInstanceKey} → ${escalation.action}`);
+      publisher.publish('task.overdue', escalation,
+        `${taskType} overdue in ${job.bpmnProcessId} #${job.processInstanceKey} (${escalation.action})`);
+      io.emit('escalation', escalation);
+
+      return job.complete({});
+    }
+  });
+
+  // What the departments did about it, and the early warnings
+  const subscription = subscribe({
+    name: 'escalation-desk',
+    topics: ['task.escalated', 'task.sla-warning'],
+    onMessage: async ({ topic, payload }) => {
+      if (topic === 'task.sla-warning') {
+        warnings.unshift(payload);
+        warnings.splice(RECENT);
+        io.emit('sla-warning', payload);
+        return;
+      }
+      const escalation = escalations.find(candidate => candidate.taskType === payload.taskType
+        && String(candidate.processInstanceKey) === String(payload.processInstanceKey) && !candidate.outcome);
+      if (escalation) {
+        Object.assign(escalation, { department: payload.department, outcome: payload.outcome, assignedTo: payload.assignedTo });
+        io.emit('escalation-updated', escalation);
+      }
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log('');
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           🚨 Escalation Desk                                 ║');
+    console.log('╠══════════════════════════════════════════════════════════════╣');
+    console.log(`║  Server running on http://localhost:${PORT}                    ║`);
+    console.log(`║  SLAs: ${`${Object.keys(getSlas().tasks).length} job types (version ${getSlas().version})`.padEnd(54)}║`);
+    console.log('╚══════════════════════════════════════════════════════════════╝');
+    console.log('');
+  });
+
+  process.on('SIGINT', async () => {
+    console.log('\n\n🛑 Shutting down Escalation Desk...');
+    subscription?.stop();
+    await worker.close();
+    await zeebe.close();
+    server.close();
+    process.exit(0);
+  });
+
+  return { app, io, escalations, warnings };
+}
+
+module.exports = {
+  startEscalationDesk
+};
+
+if (require.main === module) {
+  // The local engine lives inside the process that runs the UIs
+  if (zeebeEngine() === 'local') {
+    console.error('❌ ZEEBE_ENGINE=local: the escalation desk already runs inside `npm run start:local`.');
+    process.exit(1);
+  }
+  startEscalationDesk();
+}
@@ -0,0 +1,241 @@
+/**
+ * Idempotency Keys for ESB POST Endpoints
+ * A POST carrying an `Idempotency-Key` header is handled once: the first
+ * successful (2xx) response is stored and every repeat of the key on the
+ * same route gets it back verbatim, with `Idempotent-Replayed: true`,
+ * instead of issuing a second purchase order, RMA or promo code.
+ *
+ *   - Repeat while the first call is still running → 409 IDEMPOTENCY_IN_PROGRESS
+ *   - Same key with a different body               → 422 IDEMPOTENCY_KEY_REUSED
+ *   - First call failed (4xx/5xx)                  → nothing stored, the key can be retried
+ *
+ * The department UIs send the Zeebe job key, so a retried or re-queued
+ * task submission reuses the first result. Responses are kept for
+ * IDEMPOTENCY_TTL_MS.
+ *
+ * Drivers (IDEMPOTENCY_STORE env var):
+ *   - file   (default) - one JSON file per key under IDEMPOTENCY_DIR, shared by
+ *                        the instances of an ESB running on the same host
+ *   - memory           - per process, lost on restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const IDEMPOTENCY_DIR = process.env.IDEMPOTENCY_DIR || path.join(__dirname, '..', '.data', 'idempotency');
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+// A call still "in progress" after this long has crashed; its key is freed
+const IN_PROGRESS_TIMEOUT_MS = 60000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Whether a record no longer holds its key
+ * @param {object} record - { state, createdAt, expiresAt }
+ * @param {number} now - Epoch milliseconds
+ * @returns {boolean}
+ */
+function isExpired(record, now) {
+  return record.state === 'in-progress'
+    ? now - record.createdAt > IN_PROGRESS_TIMEOUT_MS
+    : now > record.expiresAt;
+}
+
+/**
+ * In-memory driver
+ * @returns {object} - { claim, complete, release, sweep }
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    /**
+     * Take a key for a new call, unless a live record holds it
+     * @returns {object|null} - The live record, or null when claimed
+     */
+    claim(id, record) {
+      const existing = records.get(id);
+      if (existing && !isExpired(existing, Date.now())) {
+        return existing;
+      }
+      records.set(id, record);
+      return null;
+    },
+    complete: (id, record) => { records.set(id, record); },
+    release: (id) => { records.delete(id); },
+    sweep(now = Date.now()) {
+      for (const [id, record] of records) {
+        if (isExpired(record, now)) {
+          records.delete(id);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * File driver - claims with an exclusive create, so concurrent instances
+ * can't both take a key
+ * @param {string} dir - Directory of this ESB's records
+ * @returns {object} - { claim, complete, release, sweep }
+ */
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+
+  function read(id) {
+    try {
+      return JSON.parse(fs.readFileSync(fileOf(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function remove(id) {
+    fs.rmSync(fileOf(id), { force: true });
+  }
+
+  return {
+    claim(id, record) {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          fs.writeFileSync(fileOf(id), JSON.stringify(record), { flag: 'wx' });
+          return null;
+        } catch (error) {
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+        }
+        const existing = read(id);
+        if (existing && !isExpired(existing, Date.now())) {
+          return existing;
+        }
+        // Expired (or half-written by a crash): free the key and claim again
+        remove(id);
+      }
+      return read(id);
+    },
+    complete(id, record) {
+      const tmpPath = `${fileOf(id)}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(record));
+      fs.renameSync(tmpPath, fileOf(id));
+    },
+    release: remove,
+    sweep(now = Date.now()) {
+      for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        const id = file.slice(0, -'.json'.length);
+        const record = read(id);
+        if (record && isExpired(record, now)) {
+          remove(id);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Create the idempotency store of an ESB
+ * @param {string} name - ESB name (e.g. 'ESB2'), used as directory name
+ * @param {object} [options]
+ * @param {string} [options.driver] - 'file' or 'memory' (defaults to IDEMPOTENCY_STORE or 'file')
+ * @param {string} [options.dir] - Base directory for the file driver
+ * @returns {object} - { claim, complete, release, sweep }
+ */
+function createIdempotencyStore(name, options = {}) {
+  const driver = options.driver || process.env.IDEMPOTENCY_STORE || 'file';
+
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+  if (driver === 'file') {
+    return createFileStore(path.join(options.dir || IDEMPOTENCY_DIR, name.toLowerCase()));
+  }
+
+  throw new Error(`Unknown idempotency store driver: ${driver}`);
+}
+
+/**
+ * Express middleware replaying the stored response of a repeated
+ * Idempotency-Key. Mount after express.json() and before the routes.
+ * @param {object} options
+ * @param {string} options.esbName - Reported as `esb` in errors
+ * @param {object} [options.store] - Defaults to createIdempotencyStore(esbName)
+ * @param {number} [options.ttlMs] - How long a response is kept
+ * @returns {Function} - Express middleware
+ */
+function idempotency({ esbName, store = createIdempotencyStore(esbName), ttlMs = IDEMPOTENCY_TTL_MS }) {
+  setInterval(() => store.sweep(), SWEEP_INTERVAL_MS).unref();
+
+  return (req, res, next) => {
+    const key = req.get(HEADER);
+    if (req.method !== 'POST' || !key) {
+      return next();
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_IDEMPOTENCY_KEY',
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        esb: esbName
+      });
+    }
+
+    // Keys are scoped to the route; the body fingerprint catches a key reused for another request
+    const id = sha256(`${req.method} ${req.path} ${key}`);
+    const fingerprint = sha256(JSON.stringify(req.body || {}));
+    const now = Date.now();
+
+    const existing = store.claim(id, { state: 'in-progress', fingerprint, createdAt: now });
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error: 'IDEMPOTENCY_KEY_REUSED',
+          message: `Idempotency-Key ${key} was already used with a different request body on ${req.path}`,
+          esb: esbName
+        });
+      }
+      if (existing.state === 'in-progress') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          error: 'IDEMPOTENCY_IN_PROGRESS',
+          message: `A request with Idempotency-Key ${key} is still being processed`,
+          esb: esbName
+        });
+      }
+      console.log(`  ↩️  Idempotency-Key ${key}: replaying the response of ${new Date(existing.createdAt).toISOString()}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    // Keep the first successful response; anything else frees the key for a retry
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        store.complete(id, { state: 'completed', fingerprint, createdAt: now, expiresAt: Date.now() + ttlMs, statusCode: res.statusCode, body });
+      } else {
+        store.release(id);
+      }
+      return json(body);
+    };
+    res.on('close', () => {
+      if (!settled) {
+        store.release(id);
+      }
+    });
+    next();
+  };
+}
+
+module.exports = {
+  createIdempotencyStore,
+  idempotency
+};
@@ -0,0 +1,149 @@
+/**
+ * BPMN Model Parser
+ * Reads the subset of BPMN 2.0 the workflows use into a plain model the
+ * local engine can execute: start/end events, service tasks (by their
+ * zeebe:taskDefinition type, with their zeebe:taskHeaders), timer boundary
+ * events on service tasks (timeDuration, interrupting or not), parallel and
+ * exclusive gateways, and sequence flows with FEEL conditions.
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { parseDuration } = require('./feel');
+
+const FLOW_NODE_TYPES = ['startEvent', 'endEvent', 'serviceTask', 'boundaryEvent', 'parallelGateway', 'exclusiveGateway'];
+
+// Process children that carry no execution semantics
+const IGNORED_TYPES = ['documentation', 'extensionElements', 'laneSet', 'textAnnotation', 'association'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  isArray: (name) => ['process', 'sequenceFlow', 'header', ...FLOW_NODE_TYPES].includes(name)
+});
+
+function textOf(node) {
+  if (node === undefined || node === null) {
+    return undefined;
+  }
+  return typeof node === 'object' ? node['#text'] : String(node);
+}
+
+function parseFlowNode(type, node, processId) {
+  const element = {
+    id: node['@_id'],
+    type,
+    name: node['@_name'],
+    incoming: [],
+    outgoing: []
+  };
+
+  if (type === 'serviceTask') {
+    element.taskType = node.extensionElements?.taskDefinition?.['@_type'];
+    if (!element.taskType) {
+      throw new Error(`Service task ${element.id} in ${processId} has no zeebe:taskDefinition type`);
+    }
+    element.headers = Object.fromEntries((node.extensionElements?.taskHeaders?.header || [])
+      .map(header => [header['@_key'], header['@_value']]));
+    element.boundaryEvents = [];
+  }
+  if (type === 'boundaryEvent') {
+    const duration = textOf(node.timerEventDefinition?.timeDuration)?.trim();
+    if (!duration) {
+      throw new Error(`Boundary event ${element.id} in ${processId} is not a timer with a timeDuration`);
+    }
+    element.attachedToRef = node['@_attachedToRef'];
+    element.cancelActivity = node['@_cancelActivity'] !== 'false';
+    element.timeDuration = duration;
+    element.durationMs = parseDuration(duration);
+  }
+  if (type === 'exclusiveGateway' && node['@_default']) {
+    element.defaultFlow = node['@_default'];
+  }
+  return element;
+}
+
+function parseProcess(node) {
+  const bpmnProcessId = node['@_id'];
+  const elements = {};
+  const flows = {};
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@_') || key === '#text' || IGNORED_TYPES.includes(key)) {
+      continue;
+    }
+    if (key === 'sequenceFlow') {
+      for (const flow of value) {
+        flows[flow['@_id']] = {
+          id: flow['@_id'],
+          sourceRef: flow['@_sourceRef'],
+          targetRef: flow['@_targetRef'],
+          name: flow['@_name'],
+          condition: textOf(flow.conditionExpression)?.trim()
+        };
+      }
+      continue;
+    }
+    if (!FLOW_NODE_TYPES.includes(key)) {
+      throw new Error(`Unsupported BPMN element <${key}> in process ${bpmnProcessId}`);
+    }
+    for (const child of value) {
+      const element = parseFlowNode(key, child, bpmnProcessId);
+      elements[element.id] = element;
+    }
+  }
+
+  // Derive incoming/outgoing from the flows so they never disagree
+  for (const flow of Object.values(flows)) {
+    if (!elements[flow.sourceRef] || !elements[flow.targetRef]) {
+      throw new Error(`Sequence flow ${flow.id} in ${bpmnProcessId} references an unknown element`);
+    }
+    elements[flow.sourceRef].outgoing.push(flow.id);
+    elements[flow.targetRef].incoming.push(flow.id);
+  }
+
+  for (const element of Object.values(elements).filter(e => e.type === 'boundaryEvent')) {
+    const host = elements[element.attachedToRef];
+    if (!host || host.type !== 'serviceTask') {
+      throw new Error(`Boundary event ${element.id} in ${bpmnProcessId} must be attached to a service task`);
+    }
+    if (element.incoming.length > 0) {
+      throw new Error(`Boundary event ${element.id} in ${bpmnProcessId} cannot have incoming flows`);
+    }
+    host.boundaryEvents.push(element.id);
+  }
+
+  const startEventIds = Object.values(elements).filter(e => e.type === 'startEvent').map(e => e.id);
+  if (startEventIds.length !== 1) {
+    throw new Error(`Process ${bpmnProcessId} must have exactly one start event (found ${startEventIds.length})`);
+  }
+
+  return {
+    bpmnProcessId,
+    name: node['@_name'] || bpmnProcessId,
+    elements,
+    flows,
+    startEventId: startEventIds[0]
+  };
+}
+
+/**
+ * Parse a BPMN document
+ * @param {string} xml - BPMN 2.0 XML
+ * @returns {Array<object>} - One model per executable process
+ */
+function parseBpmn(xml) {
+  const document = parser.parse(xml);
+  const processes = document.definitions?.process || [];
+
+  if (processes.length === 0) {
+    throw new Error('No <bpmn:process> found in document');
+  }
+  return processes
+    .filter(node => node['@_isExecutable'] !== 'false')
+    .map(parseProcess);
+}
+
+module.exports = {
+  parseBpmn
+};
@@ -0,0 +1,495 @@
+/**
+ * Local BPMN Engine
+ * In-process stand-in for a Zeebe broker: deploys parsed BPMN models, runs
+ * process instances token by token, and hands service-task jobs to the
+ * workers registered for their type.
+ *
+ * Timer boundary events are armed when their service task's job is created
+ * and fire on the engine clock, which advanceClock() can move forward (to
+ * play out an SLA breach without waiting for it). A non-interrupting timer
+ * starts an extra token on its outgoing flows; an interrupting one cancels
+ * the job and moves the task's token there instead.
+ *
+ * Each instance keeps the elements it entered (with the sequence flow that
+ * led there) and the variables every job set, for the tracking dashboard.
+ *
+ * State lives in memory only; restarting the process starts from scratch.
+ */
+
+const { EventEmitter } = require('events');
+const { parseBpmn } = require('./bpmn');
+const { evaluateCondition } = require('./feel');
+
+const DEFAULT_JOB_TIMEOUT = 5 * 60 * 1000;
+const DEFAULT_RETRIES = 3;
+const TIMER_RESOLUTION = 1000;
+
+/**
+ * Create an engine
+ * @returns {object} - Engine API (deploy, createInstance, completeJob, ...)
+ */
+function createEngine() {
+  const events = new EventEmitter();
+  const definitions = new Map();   // bpmnProcessId -> latest definition
+  const instances = new Map();     // processInstanceKey -> instance
+  const jobs = new Map();          // jobKey -> job
+  const timers = new Map();        // timerKey -> armed boundary timer
+  const workers = new Set();
+
+  // Engine clock: real time plus whatever advanceClock() added
+  let clockOffset = 0;
+  const now = () => Date.now() + clockOffset;
+
+  // Zeebe keys are int64 values serialized as strings
+  let nextKey = 2251799813685249;
+  const newKey = () => String(nextKey++);
+
+  // ==========================================================================
+  // Deployment
+  // ==========================================================================
+
+  /**
+   * Deploy every executable process found in a BPMN document
+   * @param {string} xml - BPMN XML
+   * @param {string} resourceName - File name reported back
+   * @returns {Array<object>} - { processDefinitionKey, bpmnProcessId, version, resourceName }
+   */
+  function deploy(xml, resourceName) {
+    return parseBpmn(xml).map(model => {
+      const previous = definitions.get(model.bpmnProcessId);
+      const definition = {
+        ...model,
+        processDefinitionKey: newKey(),
+        version: previous ? previous.version + 1 : 1,
+        resourceName
+      };
+      definitions.set(model.bpmnProcessId, definition);
+      return {
+        processDefinitionKey: definition.processDefinitionKey,
+        bpmnProcessId: definition.bpmnProcessId,
+        version: definition.version,
+        resourceName
+      };
+    });
+  }
+
+  // ==========================================================================
+  // Token execution
+  // ==========================================================================
+
+  function record(instance, element, flowId = null) {
+    instance.history.push({ elementId: element.id, elementType: element.type, flowId, at: new Date().toISOString() });
+  }
+
+  function recordVariables(instance, elementId, variables) {
+    instance.variableHistory.push({ elementId, variables: { ...variables }, at: new Date().toISOString() });
+  }
+
+  function raiseIncident(instance, element, message) {
+    instance.state = 'INCIDENT';
+    instance.incident = { elementId: element.id, message, at: new Date().toISOString() };
+    console.error(`🚨 [local-engine] Incident in ${instance.bpmnProcessId} #${instance.processInstanceKey} at ${element.id}: ${message}`);
+    events.emit('incident', snapshot(instance));
+  }
+
+  function takeFlows(instance, flowIds) {
+    // One token per outgoing flow; the arriving token is reused for the first
+    instance.activeTokens += flowIds.length - 1;
+    for (const flowId of flowIds) {
+      enter(instance, instance.definition.flows[flowId].targetRef, flowId);
+    }
+  }
+
+  function leave(instance, element) {
+    if (element.outgoing.length === 0) {
+      instance.activeTokens--;
+      return;
+    }
+    takeFlows(instance, element.outgoing);
+  }
+
+  function enter(instance, elementId, flowId) {
+    if (instance.state !== 'ACTIVE') {
+      return;
+    }
+    const element = instance.definition.elements[elementId];
+    record(instance, element, flowId);
+
+    switch (element.type) {
+      case 'startEvent':
+        return leave(instance, element);
+
+      case 'serviceTask':
+        return createJob(instance, element);
+
+      case 'parallelGateway': {
+        if (element.incoming.length <= 1) {
+          return leave(instance, element);
+        }
+        const arrived = (instance.joins[element.id] || 0) + 1;
+        if (arrived < element.incoming.length) {
+          instance.joins[element.id] = arrived;
+          instance.activeTokens--;
+          return;
+        }
+        delete instance.joins[element.id];
+        return leave(instance, element);
+      }
+
+      case 'exclusiveGateway': {
+        let chosen;
+        try {
+          chosen = element.outgoing.find(flowId => {
+            const { condition } = instance.definition.flows[flowId];
+            return flowId !== element.defaultFlow && condition && evaluateCondition(condition, instance.variables) === true;
+          }) || element.defaultFlow;
+        } catch (error) {
+          return raiseIncident(instance, element, `Condition error: ${error.message}`);
+        }
+        if (!chosen) {
+          return raiseIncident(instance, element, 'No outgoing flow condition matched');
+        }
+        return takeFlows(instance, [chosen]);
+      }
+
+      case 'endEvent':
+        instance.activeTokens--;
+        instance.endEventIds.push(element.id);
+        if (instance.activeTokens === 0) {
+          completeInstance(instance);
+        }
+        return;
+
+      default:
+        return raiseIncident(instance, element, `Unsupported element type ${element.type}`);
+    }
+  }
+
+  function completeInstance(instance) {
+    instance.state = 'COMPLETED';
+    instance.endedAt = new Date().toISOString();
+    console.log(`🏁 [local-engine] ${instance.bpmnProcessId} #${instance.processInstanceKey} completed at ${instance.endEventIds.join(', ')}`);
+    events.emit('instance-completed', snapshot(instance));
+  }
+
+  // ==========================================================================
+  // Process instances
+  // ==========================================================================
+
+  function snapshot(instance) {
+    return {
+      processInstanceKey: instance.processInstanceKey,
+      processDefinitionKey: instance.definition.processDefinitionKey,
+      bpmnProcessId: instance.bpmnProcessId,
+      version: instance.definition.version,
+      state: instance.state,
+      variables: { ...instance.variables },
+      endEventIds: [...instance.endEventIds],
+      activeElementIds: Array.from(jobs.values())
+        .filter(job => job.processInstanceKey === instance.processInstanceKey)
+        .map(job => job.elementId),
+      history: instance.history.map(step => ({ ...step })),
+      variableHistory: instance.variableHistory.map(change => ({ ...change, variables: { ...change.variables } })),
+      incident: instance.incident,
+      startedAt: instance.startedAt,
+      endedAt: instance.endedAt
+    };
+  }
+
+  /**
+   * Start a process instance of the latest deployed version
+   * @param {string} bpmnProcessId - Process id from the BPMN file
+   * @param {object} variables - Initial variables
+   * @returns {object} - { processInstanceKey, processDefinitionKey, bpmnProcessId, version }
+   */
+  function createInstance(bpmnProcessId, variables = {}) {
+    const definition = definitions.get(bpmnProcessId);
+    if (!definition) {
+      throw new Error(`Process ${bpmnProcessId} is not deployed`);
+    }
+
+    const instance = {
+      processInstanceKey: newKey(),
+      bpmnProcessId,
+      definition,
+      variables: { ...variables },
+      state: 'ACTIVE',
+      activeTokens: 1,
+      joins: {},
+      endEventIds: [],
+      history: [],
+      variableHistory: [],
+      startedAt: new Date().toISOString()
+    };
+    recordVariables(instance, definition.startEventId, variables);
+    instances.set(instance.processInstanceKey, instance);
+    events.emit('instance-created', snapshot(instance));
+
+    enter(instance, definition.startEventId);
+    dispatch();
+
+    return {
+      processInstanceKey: instance.processInstanceKey,
+      processDefinitionKey: definition.processDefinitionKey,
+      bpmnProcessId,
+      version: definition.version
+    };
+  }
+
+  function cancelInstance(processInstanceKey) {
+    const instance = instances.get(String(processInstanceKey));
+    if (!instance) {
+      throw new Error(`Process instance ${processInstanceKey} not found`);
+    }
+    instance.state = 'CANCELED';
+    instance.endedAt = new Date().toISOString();
+    for (const [jobKey, job] of jobs) {
+      if (job.processInstanceKey === instance.processInstanceKey) {
+        jobs.delete(jobKey);
+        cancelTimers(jobKey);
+      }
+    }
+    events.emit('instance-canceled', snapshot(instance));
+  }
+
+  // ==========================================================================
+  // Jobs
+  // ==========================================================================
+
+  function createJob(instance, element) {
+    const job = {
+      key: newKey(),
+      type: element.taskType,
+      processInstanceKey: instance.processInstanceKey,
+      bpmnProcessId: instance.bpmnProcessId,
+      processDefinitionVersion: instance.definition.version,
+      processDefinitionKey: instance.definition.processDefinitionKey,
+      elementId: element.id,
+      elementInstanceKey: newKey(),
+      customHeaders: { ...element.headers },
+      retries: DEFAULT_RETRIES,
+      worker: null,
+      deadline: null,
+      createdAt: new Date().toISOString()
+    };
+    jobs.set(job.key, job);
+    for (const boundaryId of element.boundaryEvents) {
+      armTimer(instance, job, instance.definition.elements[boundaryId]);
+    }
+    events.emit('job-created', { ...job, worker: undefined });
+  }
+
+  function findJob(jobKey) {
+    const job = jobs.get(String(jobKey));
+    if (!job) {
+      throw new Error(`Job ${jobKey} not found (already completed or canceled)`);
+    }
+    return job;
+  }
+
+  /**
+   * Complete a job and move its token on
+   * @param {string} jobKey - Job key
+   * @param {object} variables - Variables merged into the process scope
+   */
+  function completeJob(jobKey, variables = {}) {
+    const job = findJob(jobKey);
+    const instance = instances.get(job.processInstanceKey);
+    jobs.delete(job.key);
+    cancelTimers(job.key);
+
+    Object.assign(instance.variables, variables);
+    recordVariables(instance, job.elementId, variables);
+    events.emit('job-completed', { key: job.key, type: job.type, processInstanceKey: job.processInstanceKey, variables });
+
+    leave(instance, instance.definition.elements[job.elementId]);
+    dispatch();
+  }
+
+  /**
+   * Fail a job; it is retried while retries remain, otherwise an incident is raised
+   * @param {string} jobKey - Job key
+   * @param {number} retries - Remaining retries
+   * @param {string} errorMessage - Reason
+   */
+  function failJob(jobKey, retries, errorMessage) {
+    const job = findJob(jobKey);
+    job.retries = retries;
+    job.worker = null;
+    job.deadline = null;
+
+    if (retries > 0) {
+      dispatch();
+      return;
+    }
+    jobs.delete(job.key);
+    cancelTimers(job.key);
+    const instance = instances.get(job.processInstanceKey);
+    raiseIncident(instance, instance.definition.elements[job.elementId], errorMessage || 'Job failed with no retries left');
+  }
+
+  // ==========================================================================
+  // Timers
+  // ==========================================================================
+
+  function armTimer(instance, job, boundary) {
+    const timer = {
+      key: newKey(),
+      processInstanceKey: instance.processInstanceKey,
+      jobKey: job.key,
+      elementId: boundary.id,
+      dueDate: now() + boundary.durationMs
+    };
+    timers.set(timer.key, timer);
+  }
+
+  function cancelTimers(jobKey) {
+    for (const [timerKey, timer] of timers) {
+      if (timer.jobKey === jobKey) {
+        timers.delete(timerKey);
+      }
+    }
+  }
+
+  function triggerTimer(timer) {
+    timers.delete(timer.key);
+    const instance = instances.get(timer.processInstanceKey);
+    if (instance.state !== 'ACTIVE') {
+      return;
+    }
+    const boundary = instance.definition.elements[timer.elementId];
+    const job = jobs.get(timer.jobKey);
+    events.emit('timer-triggered', { ...timer, interrupting: boundary.cancelActivity, jobType: job?.type });
+
+    if (boundary.cancelActivity) {
+      // The task's token leaves through the boundary event
+      jobs.delete(timer.jobKey);
+      cancelTimers(timer.jobKey);
+    } else {
+      instance.activeTokens++;
+    }
+    record(instance, boundary);
+    leave(instance, boundary);
+  }
+
+  // Fire every timer that is due on the engine clock
+  function fireDueTimers() {
+    const due = Array.from(timers.values())
+      .filter(timer => timer.dueDate <= now())
+      .sort((a, b) => a.dueDate - b.dueDate);
+    for (const timer of due) {
+      if (timers.has(timer.key)) {
+        triggerTimer(timer);
+      }
+    }
+    if (due.length > 0) {
+      dispatch();
+    }
+  }
+
+  const timerTicker = setInterval(fireDueTimers, TIMER_RESOLUTION);
+  timerTicker.unref();
+
+  /**
+   * Move the engine clock forward and fire the timers that became due
+   * @param {number} ms - Milliseconds to skip
+   * @returns {number} - Engine time after the move
+   */
+  function advanceClock(ms) {
+    clockOffset += ms;
+    fireDueTimers();
+    return now();
+  }
+
+  // ==========================================================================
+  // Workers
+  // ==========================================================================
+
+  function activeJobCount(worker) {
+    let count = 0;
+    for (const job of jobs.values()) {
+      if (job.worker === worker) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  function releaseExpiredJobs() {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+      if (job.worker && job.deadline <= now) {
+        job.worker = null;
+        job.deadline = null;
+      }
+    }
+  }
+
+  // Hand every activatable job to a free worker of its type
+  function dispatch() {
+    releaseExpiredJobs();
+    for (const job of jobs.values()) {
+      if (job.worker) {
+        continue;
+      }
+      const worker = Array.from(workers).find(w => w.taskType === job.type && activeJobCount(w) < w.maxJobsToActivate);
+      if (!worker) {
+        continue;
+      }
+      job.worker = worker;
+      job.deadline = Date.now() + worker.timeout;
+      const instance = instances.get(job.processInstanceKey);
+      setImmediate(() => worker.handle(job, { ...instance.variables }));
+    }
+  }
+
+  /**
+   * Register a worker for a job type
+   * @param {object} options
+   * @param {string} options.taskType - zeebe:taskDefinition type
+   * @param {Function} options.handle - Called with (job, variables) for each activated job
+   * @param {number} [options.maxJobsToActivate] - Concurrency limit
+   * @param {number} [options.timeout] - Activation timeout in ms
+   * @returns {object} - { close() }
+   */
+  function registerWorker({ taskType, handle, maxJobsToActivate = 32, timeout = DEFAULT_JOB_TIMEOUT }) {
+    const worker = { taskType, handle, maxJobsToActivate, timeout };
+    workers.add(worker);
+    setImmediate(dispatch);
+
+    // Re-offer jobs whose activation timed out
+    const timer = setInterval(dispatch, Math.min(timeout, 1000));
+    timer.unref();
+
+    return {
+      close() {
+        clearInterval(timer);
+        workers.delete(worker);
+      }
+    };
+  }
+
+  return {
+    deploy,
+    createInstance,
+    cancelInstance,
+    completeJob,
+    failJob,
+    registerWorker,
+    advanceClock,
+    listTimers: () => Array.from(timers.values()).map(timer => ({ ...timer })),
+    getInstance: (processInstanceKey) => {
+      const instance = instances.get(String(processInstanceKey));
+      return instance ? snapshot(instance) : null;
+    },
+    listInstances: () => Array.from(instances.values()).map(snapshot),
+    listDefinitions: () => Array.from(definitions.values()).map(({ bpmnProcessId, name, version, processDefinitionKey, resourceName }) =>
+      ({ bpmnProcessId, name, version, processDefinitionKey, resourceName })),
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener)
+  };
+}
+
+module.exports = {
+  createEngine
+};
@@ -0,0 +1,173 @@
+/**
+ * FEEL Condition Evaluator
+ * Evaluates the unary-test style conditions used on sequence flows,
+ * e.g. `=approved = true`, `=stockVerified = false`,
+ * `=totalCost <= budget and riskLevel != "high"`.
+ *
+ * Supported: variable paths (a.b), number/string/boolean/null literals,
+ * = != < <= > >=, and, or, not(...) and parentheses.
+ *
+ * parseDuration() reads the ISO 8601 days-time durations of timer events
+ * (`PT24H`, `P2DT12H`, `PT90M`, `P1W`).
+ */
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*")|(<=|>=|!=|=|<|>|\(|\))|([A-Za-z_][\w.]*))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${start} in "${expression}"`);
+    }
+    const [, number, string, operator, name] = match;
+    if (number !== undefined) {
+      tokens.push({ kind: 'literal', value: parseFloat(number) });
+    } else if (string !== undefined) {
+      tokens.push({ kind: 'literal', value: JSON.parse(string) });
+    } else if (operator !== undefined) {
+      tokens.push({ kind: 'operator', value: operator });
+    } else if (['true', 'false', 'null'].includes(name)) {
+      tokens.push({ kind: 'literal', value: JSON.parse(name) });
+    } else if (['and', 'or', 'not'].includes(name)) {
+      tokens.push({ kind: 'keyword', value: name });
+    } else {
+      tokens.push({ kind: 'path', value: name });
+    }
+  }
+  return tokens;
+}
+
+function resolvePath(variables, path) {
+  const value = path.split('.').reduce((scope, key) => (scope == null ? undefined : scope[key]), variables);
+  return value === undefined ? null : value;
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+  }
+  // FEEL ordering comparisons are null when either side is null or the types differ
+  if (left === null || right === null || typeof left !== typeof right) {
+    return null;
+  }
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+  return null;
+}
+
+/**
+ * Evaluate a FEEL condition against process variables
+ * @param {string} expression - Condition, with or without the leading '='
+ * @param {object} variables - Process instance variables
+ * @returns {boolean|null} - Result (null when undecidable, which never takes the flow)
+ */
+function evaluateCondition(expression, variables) {
+  const source = expression.trim().replace(/^=/, '');
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" in "${expression}"`);
+    }
+  };
+
+  function primary() {
+    const token = next();
+    if (!token) {
+      throw new Error(`Unexpected end of "${expression}"`);
+    }
+    if (token.kind === 'literal') {
+      return token.value;
+    }
+    if (token.kind === 'path') {
+      return resolvePath(variables, token.value);
+    }
+    if (token.value === '(') {
+      const value = disjunction();
+      expect(')');
+      return value;
+    }
+    if (token.value === 'not') {
+      expect('(');
+      const value = disjunction();
+      expect(')');
+      return value === null ? null : !value;
+    }
+    throw new Error(`Unexpected "${token.value}" in "${expression}"`);
+  }
+
+  function comparison() {
+    const left = primary();
+    const token = peek();
+    if (token && token.kind === 'operator' && token.value !== '(' && token.value !== ')') {
+      next();
+      return compare(token.value, left, primary());
+    }
+    return left;
+  }
+
+  function conjunction() {
+    let value = comparison();
+    while (peek()?.value === 'and') {
+      next();
+      const right = comparison();
+      value = value === false || right === false ? false : (value === true && right === true ? true : null);
+    }
+    return value;
+  }
+
+  function disjunction() {
+    let value = conjunction();
+    while (peek()?.value === 'or') {
+      next();
+      const right = conjunction();
+      value = value === true || right === true ? true : (value === false && right === false ? false : null);
+    }
+    return value;
+  }
+
+  const result = disjunction();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in "${expression}"`);
+  }
+  return result;
+}
+
+const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+/**
+ * Length of an ISO 8601 duration
+ * @param {string} duration - e.g. 'PT24H', with or without a leading '='
+ *   and quotes (a FEEL string literal)
+ * @returns {number} - Milliseconds
+ */
+function parseDuration(duration) {
+  const source = String(duration).trim().replace(/^=\s*/, '').replace(/^"(.*)"$/, '$1');
+  const match = DURATION_PATTERN.exec(source);
+  if (!match || source === 'P' || source.endsWith('T')) {
+    throw new Error(`Invalid duration "${duration}" (expected e.g. PT24H or P2DT12H)`);
+  }
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+module.exports = {
+  evaluateCondition,
+  parseDuration
+};
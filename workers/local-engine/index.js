@@ -0,0 +1,150 @@
+/**
+ * Local Zeebe Stand-in
+ * Exposes the subset of the @camunda8/sdk Zeebe gRPC client used by the
+ * UI servers and scripts (createWorker, createProcessInstance,
+ * deployResource, completeJob, failJob, cancelProcessInstance, close),
+ * backed by the in-process engine in ./engine.js.
+ *
+ * All clients created in one Node process share one engine, which has both
+ * workflow files deployed on first use. Select it with ZEEBE_ENGINE=local.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createEngine } = require('./engine');
+
+const BPMN_FILES = [
+  path.join(__dirname, '../../process-zeebe.bpmn'),
+  path.join(__dirname, '../../stock-management-zeebe.bpmn')
+];
+
+let engine = null;
+
+/**
+ * The process-wide engine, created and deployed on first use
+ * @returns {object} - Engine (see engine.js)
+ */
+function getLocalEngine() {
+  if (!engine) {
+    engine = createEngine();
+    for (const file of BPMN_FILES) {
+      for (const deployment of engine.deploy(fs.readFileSync(file, 'utf8'), path.basename(file))) {
+        console.log(`🧩 [local-engine] Deployed ${deployment.bpmnProcessId} v${deployment.version} (${deployment.resourceName})`);
+      }
+    }
+  }
+  return engine;
+}
+
+// SDK durations may be plain milliseconds or { value, unit } objects
+function toMillis(duration) {
+  if (duration === undefined) {
+    return undefined;
+  }
+  if (typeof duration === 'number') {
+    return duration;
+  }
+  const units = { milliseconds: 1, seconds: 1000, minutes: 60000, hours: 3600000 };
+  return duration.value * (units[duration.unit] || 1);
+}
+
+/**
+ * Zeebe client backed by the local engine
+ * @returns {object} - Same method names and result shapes as ZeebeGrpcClient
+ */
+function createLocalZeebeClient() {
+  const localEngine = getLocalEngine();
+  const workers = new Set();
+
+  function createWorker({ taskType, taskHandler, maxJobsToActivate, timeout }) {
+    const registration = localEngine.registerWorker({
+      taskType,
+      maxJobsToActivate,
+      timeout: toMillis(timeout),
+      handle: async (activated, variables) => {
+        const job = {
+          key: activated.key,
+          type: activated.type,
+          processInstanceKey: activated.processInstanceKey,
+          bpmnProcessId: activated.bpmnProcessId,
+          processDefinitionVersion: activated.processDefinitionVersion,
+          processDefinitionKey: activated.processDefinitionKey,
+          elementId: activated.elementId,
+          elementInstanceKey: activated.elementInstanceKey,
+          customHeaders: { ...activated.customHeaders },
+          retries: activated.retries,
+          deadline: String(activated.deadline),
+          variables,
+          complete: async (completionVariables = {}) => {
+            localEngine.completeJob(activated.key, completionVariables);
+            return 'JOB_ACTION_ACKNOWLEDGEMENT';
+          },
+          fail: async (failure) => {
+            const { errorMessage, retries } = typeof failure === 'string'
+              ? { errorMessage: failure, retries: activated.retries - 1 }
+              : { retries: activated.retries - 1, ...failure };
+            localEngine.failJob(activated.key, retries, errorMessage);
+            return 'JOB_ACTION_ACKNOWLEDGEMENT';
+          },
+          forward: () => 'JOB_ACTION_ACKNOWLEDGEMENT'
+        };
+
+        try {
+          await taskHandler(job);
+        } catch (error) {
+          console.error(`❌ [local-engine] ${taskType} handler failed for job ${job.key}:`, error.message);
+          await job.fail({ errorMessage: error.message, retries: activated.retries - 1 });
+        }
+      }
+    });
+
+    const worker = {
+      close: async () => {
+        registration.close();
+        workers.delete(worker);
+      }
+    };
+    workers.add(worker);
+    return worker;
+  }
+
+  return {
+    createWorker,
+
+    createProcessInstance: async ({ bpmnProcessId, variables }) =>
+      localEngine.createInstance(bpmnProcessId, variables),
+
+    deployResource: async ({ processFilename, process: resource, name }) => {
+      const xml = processFilename ? fs.readFileSync(processFilename, 'utf8') : resource.toString();
+      const resourceName = processFilename ? path.basename(processFilename) : name;
+      const deployments = localEngine.deploy(xml, resourceName);
+      return {
+        key: deployments[0].processDefinitionKey,
+        deployments: deployments.map(deployedProcess => ({ process: deployedProcess }))
+      };
+    },
+
+    completeJob: async ({ jobKey, variables }) => {
+      localEngine.completeJob(jobKey, variables);
+    },
+
+    failJob: async ({ jobKey, retries, errorMessage }) => {
+      localEngine.failJob(jobKey, retries, errorMessage);
+    },
+
+    cancelProcessInstance: async (processInstanceKey) => {
+      localEngine.cancelInstance(processInstanceKey);
+    },
+
+    close: async () => {
+      for (const worker of Array.from(workers)) {
+        await worker.close();
+      }
+    }
+  };
+}
+
+module.exports = {
+  getLocalEngine,
+  createLocalZeebeClient
+};
@@ -0,0 +1,377 @@
+/**
+ * ESB Mediation Pipelines
+ * ESB routes declared in a JSON pipelines file (esb1/pipelines.json,
+ * esb2/pipelines.json) instead of hand-written Express handlers. Every
+ * request goes through the same stages:
+ *
+ *   validate   - "contract" (contracts/schemas.js) or an inline { request, strict } schema
+ *   transform  - typed fields read from the body, with demo defaults (contracts/input.js)
+ *   enrich     - named enrichers adding reference data to the context
+ *   route      - one or more backend adapters, called in parallel
+ *   aggregate  - "merge", "collect" or a named aggregator building `transformed`
+ *   publish    - topics the `transformed` result is published to (broker/)
+ *
+ * The ESB supplies its adapters, enrichers and aggregators (its adapters.js)
+ * on top of the built-in `http` adapter, `now` enricher and `merge` /
+ * `collect` aggregators, so a new route only needs a pipelines file entry.
+ */
+
+const fs = require('fs');
+const Ajv = require('ajv');
+const axios = require('axios');
+const { schemas, validate, validationMode, strictRequestSchema, formatErrors, rejectRequest } = require('../contracts');
+const { readInput, defaultsReport } = require('../contracts/input');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const fieldSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: ['integer', 'number', 'text', 'boolean', 'list', 'raw'] },
+    from: { type: 'string' },
+    default: {},
+    case: { enum: ['upper', 'lower'] }
+  },
+  additionalProperties: false
+};
+
+const stepSchema = {
+  type: 'object',
+  required: ['adapter'],
+  properties: {
+    adapter: { type: 'string' },
+    as: { type: 'string' },
+    when: { type: 'string' },
+    options: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+const pipelineSchema = {
+  type: 'object',
+  required: ['route'],
+  properties: {
+    description: { type: 'string' },
+    validate: {
+      anyOf: [
+        { const: 'contract' },
+        {
+          type: 'object',
+          required: ['request'],
+          properties: {
+            request: { type: 'object' },
+            strict: { type: 'array', items: { type: 'string' } }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+    original: { type: 'boolean' },
+    transform: { type: 'object', additionalProperties: fieldSchema },
+    enrich: { type: 'array', items: { type: 'string' } },
+    route: { type: 'array', minItems: 1, items: stepSchema },
+    aggregate: { type: 'string' },
+    publish: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['topic'],
+        properties: {
+          topic: { type: 'string' },
+          summary: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+const validateFile = ajv.compile({
+  type: 'object',
+  required: ['routes'],
+  properties: {
+    version: { type: 'string' },
+    description: { type: 'string' },
+    routes: {
+      type: 'object',
+      propertyNames: { pattern: '^(GET|POST|PUT|DELETE) /' },
+      additionalProperties: pipelineSchema
+    }
+  }
+});
+
+class AdapterError extends Error {
+  /**
+   * @param {string} adapter - Step name (`as`, else the adapter name)
+   * @param {Error} cause - What the adapter threw
+   */
+  constructor(adapter, cause) {
+    super(`Adapter ${adapter} failed: ${cause.message}`);
+    this.name = 'AdapterError';
+    this.adapter = adapter;
+    this.cause = cause;
+  }
+}
+
+// ============================================================================
+// Built-in components
+// ============================================================================
+
+// "${NAME}" in adapter options is replaced by the environment variable
+function interpolateEnv(value) {
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+}
+
+/**
+ * Forward the transformed values (or the raw body) to another service
+ * options: { url, method = 'POST', body = 'values' | 'request', result, timeoutMs = 5000 }
+ * `result` picks a key of the response (e.g. 'transformed')
+ */
+async function httpAdapter(context, options) {
+  const method = (options.method || 'POST').toLowerCase();
+  const data = options.body === 'request' ? context.body : context.values;
+  const { data: response } = await axios({
+    method,
+    url: interpolateEnv(options.url),
+    ...(method === 'get' ? { params: data } : { data }),
+    timeout: options.timeoutMs || 5000
+  });
+  return options.result ? response[options.result] : response;
+}
+
+const BUILT_INS = {
+  adapters: {
+    http: httpAdapter
+  },
+  enrichers: {
+    // One clock reading shared by every adapter of the request
+    now: () => ({ now: new Date() })
+  },
+  aggregators: {
+    merge: ({ results }) => Object.assign({}, ...Object.values(results)),
+    collect: ({ results }) => ({ ...results })
+  }
+};
+
+// ============================================================================
+// Stages
+// ============================================================================
+
+function applyCase(value, letterCase) {
+  if (letterCase === 'upper') {
+    return value.toUpperCase();
+  }
+  return letterCase === 'lower' ? value.toLowerCase() : value;
+}
+
+/**
+ * Read one transform field
+ * @param {object} input - Reader from readInput (records demo defaults)
+ * @param {object} body - Request body
+ * @param {string} source - Body field
+ * @param {object} field - { type, default, case }
+ * @returns {*}
+ */
+function readField(input, body, source, field) {
+  switch (field.type) {
+    case 'integer':
+      return input.integer(source, field.default);
+    case 'number':
+      return input.number(source, field.default);
+    case 'text': {
+      const value = input.text(source, field.default);
+      return typeof value === 'string' ? applyCase(value, field.case) : value;
+    }
+    case 'boolean':
+      return body[source] === true || body[source] === 'true' || body[source] === 'yes';
+    case 'list': {
+      // Comma-separated string or array
+      const value = body[source];
+      const items = typeof value === 'string' ? value.split(',') : Array.isArray(value) ? value : [];
+      return items.map(item => applyCase(String(item).trim(), field.case)).filter(item => item);
+    }
+    default:
+      return body[source];
+  }
+}
+
+/**
+ * Request validator for a pipeline, or null when it validates nothing
+ * @returns {Function|null} - (body, mode) => [{ field, message }]
+ */
+function requestValidator(path, spec) {
+  if (spec === 'contract') {
+    return (body, mode) => validate(path, 'request', body, mode);
+  }
+  if (!spec) {
+    return null;
+  }
+  const compiled = {
+    strict: ajv.compile(strictRequestSchema({ request: { required: [], ...spec.request }, strict: spec.strict })),
+    lenient: ajv.compile(spec.request)
+  };
+  return (body, mode) => (compiled[mode](body) ? [] : formatErrors(compiled[mode].errors));
+}
+
+// "{field.path}" in an event summary is replaced by that `transformed` value
+function renderSummary(template, transformed) {
+  return template.replace(/\{([\w.]+)\}/g, (_, field) => {
+    const value = field.split('.').reduce((object, key) => object?.[key], transformed);
+    return value === undefined || value === null ? '?' : String(value);
+  });
+}
+
+function lookup(components, kind, name, routeKey) {
+  const component = components[kind][name] || BUILT_INS[kind][name];
+  if (!component) {
+    throw new Error(`Unknown ${kind.replace(/s$/, '')} "${name}" in pipeline ${routeKey}`);
+  }
+  return component;
+}
+
+/**
+ * Build the Express handler of one pipeline
+ * @param {string} routeKey - "METHOD /path"
+ * @param {object} definition - Pipeline from the pipelines file
+ * @param {object} options
+ * @param {string} options.esbName - Reported as `esb` (e.g. 'ESB2')
+ * @param {object} [options.components] - { adapters, enrichers, aggregators } supplied by the ESB
+ * @param {object} [options.publisher] - broker/client.js publisher for the publish stage
+ * @returns {Function} - Express handler
+ */
+function createPipeline(routeKey, definition, { esbName, components = {}, publisher = null }) {
+  const [, path] = routeKey.split(' ');
+  const supplied = { adapters: {}, enrichers: {}, aggregators: {}, ...components };
+
+  if (definition.validate === 'contract' && !schemas[path]) {
+    throw new Error(`Pipeline ${routeKey} validates against a contract, but contracts/schemas.js has none for ${path}`);
+  }
+  const validator = requestValidator(path, definition.validate);
+  const originalFields = definition.validate === 'contract'
+    ? Object.keys(schemas[path].request.properties)
+    : definition.validate ? Object.keys(definition.validate.request.properties || {}) : null;
+
+  const transform = Object.entries(definition.transform || {});
+  const enrichers = (definition.enrich || []).map(name => lookup(supplied, 'enrichers', name, routeKey));
+  const steps = definition.route.map(step => ({
+    name: step.as || step.adapter,
+    when: step.when,
+    options: step.options || {},
+    adapter: lookup(supplied, 'adapters', step.adapter, routeKey)
+  }));
+  const aggregate = lookup(supplied, 'aggregators', definition.aggregate || 'merge', routeKey);
+  const endpoint = path.replace(/^\/api\//, '');
+
+  async function run(req, res) {
+    const body = (req.method === 'GET' ? req.query : req.body) || {};
+
+    if (validator) {
+      const mode = validationMode();
+      const errors = validator(body, mode);
+      if (errors.length > 0) {
+        return rejectRequest(res, { endpoint: path, mode, errors, esbName });
+      }
+    }
+
+    const input = readInput(body);
+    const values = {};
+    for (const [name, field] of transform) {
+      values[name] = readField(input, body, field.from || name, field);
+    }
+
+    const context = { method: req.method, path, body, values, enriched: {}, results: {} };
+    for (const enrich of enrichers) {
+      Object.assign(context.enriched, await enrich(context));
+    }
+
+    const active = steps.filter(step => !step.when || context.values[step.when]);
+    const outputs = await Promise.all(active.map(step =>
+      Promise.resolve()
+        .then(() => step.adapter(context, step.options))
+        .catch(error => { throw new AdapterError(step.name, error); })
+    ));
+    active.forEach((step, i) => { context.results[step.name] = outputs[i]; });
+
+    const response = {
+      success: true,
+      ...(definition.original && {
+        original: originalFields ? Object.fromEntries(originalFields.map(field => [field, body[field]])) : body
+      }),
+      transformed: {
+        ...aggregate(context),
+        esb: esbName,
+        endpoint,
+        ...defaultsReport(input)
+      }
+    };
+
+    // Subscribers hear about the result; the broker client retries on its own
+    for (const event of definition.publish || []) {
+      if (publisher) {
+        publisher.publish(event.topic, response.transformed, event.summary ? renderSummary(event.summary, response.transformed) : null);
+      }
+    }
+
+    console.log('  Response:', JSON.stringify(response.transformed, null, 2));
+    res.json(response);
+  }
+
+  return (req, res) => run(req, res).catch(error => {
+    console.error(`  ❌ ${routeKey}: ${error.message}`);
+    const adapterFailed = error instanceof AdapterError;
+    // A backend turning the request down (error.status 4xx) is the caller's problem, not a failure
+    const rejected = adapterFailed && error.cause.status >= 400 && error.cause.status < 500;
+    res.status(rejected ? error.cause.status : adapterFailed ? 502 : 500).json({
+      success: false,
+      error: rejected ? error.cause.code || 'REQUEST_REJECTED' : adapterFailed ? 'ADAPTER_FAILED' : 'PIPELINE_FAILED',
+      message: rejected ? error.cause.message : error.message,
+      endpoint: path,
+      ...(adapterFailed && { adapter: error.adapter }),
+      esb: esbName
+    });
+  });
+}
+
+/**
+ * Read and validate a pipelines file
+ * @param {string} file - Path to the JSON pipelines file
+ * @returns {object} - { version, routes: { "METHOD /path": pipeline } }
+ */
+function loadPipelines(file) {
+  const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!validateFile(definitions)) {
+    const problems = validateFile.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join(', ');
+    throw new Error(`Invalid pipelines in ${file}: ${problems}`);
+  }
+  return definitions;
+}
+
+/**
+ * Declare every pipeline of a file as an Express route
+ * Mount before enforceContracts(): pipelines validate in their own stage.
+ * @param {object} app - Express app
+ * @param {object} options
+ * @param {string} options.file - Pipelines file
+ * @param {string} options.esbName - Reported as `esb`
+ * @param {object} [options.components] - { adapters, enrichers, aggregators }
+ * @param {object} [options.publisher] - Publisher for the publish stage
+ * @returns {Array<string>} - The mounted routes, as "METHOD /path"
+ */
+function mountPipelines(app, { file, esbName, components, publisher }) {
+  const { routes } = loadPipelines(file);
+  for (const [routeKey, definition] of Object.entries(routes)) {
+    const [method, path] = routeKey.split(' ');
+    app[method.toLowerCase()](path, createPipeline(routeKey, definition, { esbName, components, publisher }));
+  }
+  console.log(`🔀 ${esbName}: ${Object.keys(routes).length} pipeline route(s) from ${file}`);
+  return Object.keys(routes);
+}
+
+module.exports = {
+  AdapterError,
+  createPipeline,
+  loadPipelines,
+  mountPipelines
+};
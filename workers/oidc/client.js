@@ -0,0 +1,101 @@
+/**
+ * OpenID Connect Client (relying party)
+ * Authorization code flow against OIDC_ISSUER: builds the authorization
+ * URL, exchanges the code for tokens and verifies the ID token against the
+ * provider's JWKS. Used by ui-common/auth.js with AUTH_MODE=oidc.
+ */
+
+const axios = require('axios');
+const { verifyJwt } = require('./jwt');
+
+const DEFAULT_ISSUER = `http://localhost:${process.env.OIDC_PORT || 3004}`;
+
+/**
+ * Create a client for one redirect URI
+ * @param {object} options
+ * @param {string} options.redirectUri - Callback URL registered with the provider
+ * @param {string} [options.issuer] - Provider URL (OIDC_ISSUER)
+ * @param {string} [options.clientId] - OIDC_CLIENT_ID
+ * @param {string} [options.clientSecret] - OIDC_CLIENT_SECRET
+ * @param {string} [options.rolesClaim] - Claim carrying the user's roles (OIDC_ROLES_CLAIM)
+ * @returns {object} - { authorizationUrl, exchangeCode, userFromClaims }
+ */
+function createOidcClient({
+  redirectUri,
+  issuer = process.env.OIDC_ISSUER || DEFAULT_ISSUER,
+  clientId = process.env.OIDC_CLIENT_ID || 'workflow-uis',
+  clientSecret = process.env.OIDC_CLIENT_SECRET || 'workflow-uis-secret',
+  rolesClaim = process.env.OIDC_ROLES_CLAIM || 'roles'
+}) {
+  let metadata = null;
+  let keys = null;
+
+  // Provider metadata, fetched once (again after a key rotation)
+  async function discover(refresh = false) {
+    if (!metadata || refresh) {
+      ({ data: metadata } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 5000 }));
+      ({ data: { keys } } = await axios.get(metadata.jwks_uri, { timeout: 5000 }));
+    }
+    return metadata;
+  }
+
+  /**
+   * Where to send the browser to log in
+   * @param {object} params - { state, nonce }
+   * @returns {Promise<string>}
+   */
+  async function authorizationUrl({ state, nonce }) {
+    const { authorization_endpoint: endpoint } = await discover();
+    const query = new URLSearchParams({ response_type: 'code', client_id: clientId, redirect_uri: redirectUri, scope: 'openid profile', state, nonce });
+    return `${endpoint}?${query}`;
+  }
+
+  /**
+   * Exchange an authorization code for the verified ID token claims
+   * @param {string} code - Code from the callback
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<object>} - ID token claims
+   */
+  async function exchangeCode(code, nonce) {
+    const { token_endpoint: endpoint } = await discover();
+    const { data } = await axios.post(endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code || ''),
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      client_secret: clientSecret
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 5000 });
+
+    let claims;
+    try {
+      claims = verifyJwt(data.id_token, keys, { iss: metadata.issuer, aud: clientId });
+    } catch (error) {
+      // The provider may have restarted with a new key
+      await discover(true);
+      claims = verifyJwt(data.id_token, keys, { iss: metadata.issuer, aud: clientId });
+    }
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match the login request');
+    }
+    return claims;
+  }
+
+  /**
+   * User record from ID token claims
+   * @param {object} claims
+   * @returns {object} - { username, name, roles }
+   */
+  function userFromClaims(claims) {
+    return {
+      username: claims.preferred_username || claims.sub,
+      name: claims.name || claims.preferred_username || claims.sub,
+      roles: [].concat(claims[rolesClaim] || [])
+    };
+  }
+
+  return { authorizationUrl, exchangeCode, userFromClaims };
+}
+
+module.exports = {
+  createOidcClient
+};
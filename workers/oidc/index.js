@@ -0,0 +1,211 @@
+/**
+ * OpenID Connect Provider (local stand-in)
+ * Port: 3004
+ *
+ * A minimal identity provider for AUTH_MODE=oidc, standing in for the
+ * company's one: authorization code flow only, users and roles from the
+ * same users file as the local login (ui-common/users.json), roles issued
+ * in the `roles` claim. Tokens are RS256 JWTs signed with a key generated
+ * at startup, so a restart logs nobody out of the UIs but invalidates
+ * codes and access tokens in flight.
+ *
+ * One client is registered: OIDC_CLIENT_ID / OIDC_CLIENT_SECRET, with
+ * redirect URIs matching OIDC_REDIRECT_URI_PATTERN (the UIs' /auth/callback).
+ *
+ * Endpoints:
+ *   - GET  /.well-known/openid-configuration - Provider metadata
+ *   - GET  /authorize - Login page (response_type=code)
+ *   - POST /authorize - Check the credentials, redirect with a code
+ *   - POST /token - Exchange a code for an ID token and an access token
+ *   - GET  /userinfo - Claims of a Bearer access token
+ *   - GET  /jwks - Signing keys
+ *   - GET  /health
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const crypto = require('crypto');
+const express = require('express');
+const { createSigningKey, signJwt, verifyJwt } = require('./jwt');
+const { authenticate } = require('../ui-common/auth');
+
+const PORT = process.env.OIDC_PORT || 3004;
+const ISSUER = process.env.OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'workflow-uis';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'workflow-uis-secret';
+const REDIRECT_URI_PATTERN = new RegExp(process.env.OIDC_REDIRECT_URI_PATTERN || '^http://localhost:\\d+/auth/callback$');
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_S = 60 * 60;
+
+/**
+ * Build the provider app
+ * @returns {object} - Express app
+ */
+function createProviderApp() {
+  const app = express();
+  const key = createSigningKey();
+  const codes = new Map();   // code -> { user, redirectUri, nonce, expiresAt }
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
+
+  const oauthError = (res, status, error, description) => res.status(status).json({ error, error_description: description });
+
+  // Authorization request parameters, checked before anything is shown
+  function authorizationRequest(params) {
+    if (params.client_id !== CLIENT_ID) {
+      return { error: `Unknown client ${params.client_id}` };
+    }
+    if (!REDIRECT_URI_PATTERN.test(params.redirect_uri || '')) {
+      return { error: `Redirect URI ${params.redirect_uri} is not registered` };
+    }
+    if (params.response_type !== 'code') {
+      return { error: 'Only response_type=code is supported' };
+    }
+    const { client_id: clientId, redirect_uri: redirectUri, state = '', nonce = '', scope = 'openid' } = params;
+    return { request: { clientId, redirectUri, state, nonce, scope } };
+  }
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+      claims_supported: ['sub', 'name', 'preferred_username', 'roles']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [key.jwk] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { error, request } = authorizationRequest(req.query);
+    if (error) {
+      return res.status(400).render('login', { request: null, error });
+    }
+    res.render('login', { request, error: null });
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { error, request } = authorizationRequest(req.body);
+    if (error) {
+      return res.status(400).render('login', { request: null, error });
+    }
+    const user = authenticate(req.body.username, req.body.password);
+    if (!user) {
+      return res.status(401).render('login', { request, error: 'Unknown user or wrong password' });
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, { user, redirectUri: request.redirectUri, nonce: request.nonce, expiresAt: Date.now() + CODE_TTL_MS });
+    console.log(`🔑 ${user.username} authenticated for ${request.redirectUri}`);
+
+    const redirect = new URL(request.redirectUri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', request.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    // client_secret_basic or client_secret_post
+    const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    const [clientId, clientSecret] = basic
+      ? Buffer.from(basic[1], 'base64').toString('utf8').split(':').map(decodeURIComponent)
+      : [req.body.client_id, req.body.client_secret];
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+      return oauthError(res, 401, 'invalid_client', 'Unknown client or wrong secret');
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+      return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Codes are single use
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+      return oauthError(res, 400, 'invalid_grant', 'Code unknown, expired or issued for another redirect URI');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      iss: ISSUER,
+      sub: grant.user.username,
+      iat: now,
+      exp: now + TOKEN_TTL_S,
+      name: grant.user.name,
+      preferred_username: grant.user.username,
+      roles: grant.user.roles
+    };
+    res.json({
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_S,
+      id_token: signJwt({ ...claims, aud: CLIENT_ID, nonce: grant.nonce || undefined }, key),
+      access_token: signJwt({ ...claims, aud: ISSUER }, key)
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    try {
+      const { sub, name, preferred_username: username, roles } = verifyJwt(bearer?.[1], [key.jwk], { iss: ISSUER, aud: ISSUER });
+      res.json({ sub, name, preferred_username: username, roles });
+    } catch (error) {
+      oauthError(res, 401, 'invalid_token', error.message);
+    }
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', service: 'oidc-provider', port: PORT });
+  });
+
+  // Expired codes nobody exchanged
+  setInterval(() => {
+    for (const [code, grant] of codes) {
+      if (grant.expiresAt < Date.now()) {
+        codes.delete(code);
+      }
+    }
+  }, CODE_TTL_MS).unref();
+
+  return app;
+}
+
+/**
+ * Start the provider on OIDC_PORT
+ * @returns {object} - Express app
+ */
+function startProvider() {
+  const app = createProviderApp();
+  app.listen(PORT, () => {
+    console.log('');
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           🔑 OIDC Provider (local stand-in)                  ║');
+    console.log('╠══════════════════════════════════════════════════════════════╣');
+    console.log(`║  Server running on http://localhost:${PORT}                    ║`);
+    console.log(`║  Client: ${CLIENT_ID.padEnd(52)}║`);
+    console.log('╚══════════════════════════════════════════════════════════════╝');
+    console.log('');
+  });
+  return app;
+}
+
+module.exports = {
+  createProviderApp,
+  startProvider
+};
+
+if (require.main === module) {
+  startProvider();
+}
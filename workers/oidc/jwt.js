@@ -0,0 +1,86 @@
+/**
+ * JSON Web Tokens (RS256)
+ * Just what the OIDC stand-in and its clients need: signing ID and access
+ * tokens with an RSA key, publishing the key as a JWK and verifying a
+ * token against a JWKS.
+ */
+
+const crypto = require('crypto');
+
+const base64url = (data) => Buffer.from(data).toString('base64url');
+function decodeJson(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+}
+
+/**
+ * Generate an RSA signing key
+ * @returns {object} - { kid, privateKey, jwk } with jwk the public key
+ */
+function createSigningKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }
+  };
+}
+
+/**
+ * Sign claims
+ * @param {object} claims - Token payload
+ * @param {object} key - Signing key from createSigningKey()
+ * @returns {string} - Compact JWT
+ */
+function signJwt(claims, key) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: key.kid }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), key.privateKey);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify a token's signature and lifetime
+ * @param {string} token - Compact JWT
+ * @param {Array<object>} keys - JWKS `keys`
+ * @param {object} [expected] - { iss, aud } the claims must carry
+ * @returns {object} - The claims
+ * @throws {Error} - When the token is malformed, badly signed, expired or for someone else
+ */
+function verifyJwt(token, keys, { iss, aud } = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  const header = decodeJson(parts[0]);
+  const jwk = keys.find(candidate => candidate.kid === header.kid);
+  if (header.alg !== 'RS256' || !jwk) {
+    throw new Error(`Unknown signing key ${header.kid}`);
+  }
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  if (!crypto.verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, Buffer.from(parts[2], 'base64url'))) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = decodeJson(parts[1]);
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 < Date.now()) {
+    throw new Error('Token expired');
+  }
+  if (iss && claims.iss !== iss) {
+    throw new Error(`Token issued by ${claims.iss}, expected ${iss}`);
+  }
+  if (aud && ![].concat(claims.aud).includes(aud)) {
+    throw new Error(`Token not issued for ${aud}`);
+  }
+  return claims;
+}
+
+module.exports = {
+  createSigningKey,
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,92 @@
+/**
+ * Service Registry Client (ESB side)
+ * Registers the routes an Express app serves with the registry at
+ * REGISTRY_URL and keeps the registration alive with heartbeats. Without
+ * REGISTRY_URL it does nothing and callers fall back to ESB1_URL / ESB2_URL.
+ */
+
+const axios = require('axios');
+
+const RETRY_REGISTER_MS = 5000;
+
+/**
+ * Routes declared on an Express 4 app, as "METHOD /path"
+ * @param {object} app - Express app
+ * @returns {Array<string>}
+ */
+function servedRoutes(app) {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+}
+
+/**
+ * Register an ESB instance and heartbeat until stopped
+ * @param {object} app - Express app whose routes are registered (call once they're all declared)
+ * @param {object} service
+ * @param {string} service.name - Service name shared by all instances (e.g. 'ESB1')
+ * @param {string} service.version - Instance version
+ * @param {number|string} service.port - Port the instance listens on
+ * @param {Function} [service.health] - Returns 'up' or 'down' for each heartbeat
+ * @returns {object|null} - { stop } or null when no registry is configured
+ */
+function registerService(app, { name, version, port, health = () => 'up' }) {
+  const registryUrl = process.env.REGISTRY_URL;
+  if (!registryUrl) {
+    return null;
+  }
+
+  const registration = {
+    name,
+    version,
+    url: process.env.ESB_ADVERTISED_URL || `http://localhost:${port}`,
+    routes: servedRoutes(app)
+  };
+  let instanceId = null;
+  let timer = null;
+
+  function schedule(fn, ms) {
+    clearTimeout(timer);
+    timer = setTimeout(fn, ms);
+    timer.unref();
+  }
+
+  async function register() {
+    try {
+      const { data } = await axios.post(`${registryUrl}/api/services`, { ...registration, health: health() }, { timeout: 5000 });
+      instanceId = data.instanceId;
+      console.log(`📇 ${name} registered with ${registryUrl} as ${instanceId}`);
+      schedule(() => heartbeat(data.heartbeatIntervalMs), data.heartbeatIntervalMs);
+    } catch (error) {
+      console.error(`[Registry] ${name} could not register with ${registryUrl}: ${error.message}`);
+      schedule(register, RETRY_REGISTER_MS);
+    }
+  }
+
+  async function heartbeat(intervalMs) {
+    try {
+      await axios.put(`${registryUrl}/api/services/${encodeURIComponent(instanceId)}/heartbeat`, { health: health() }, { timeout: 5000 });
+      schedule(() => heartbeat(intervalMs), intervalMs);
+    } catch (error) {
+      // The registry restarted and forgot us, or is down: register again
+      console.error(`[Registry] ${name} heartbeat failed: ${error.message}`);
+      schedule(register, error.response?.status === 404 ? 0 : RETRY_REGISTER_MS);
+    }
+  }
+
+  register();
+
+  return {
+    async stop() {
+      clearTimeout(timer);
+      if (instanceId) {
+        await axios.delete(`${registryUrl}/api/services/${encodeURIComponent(instanceId)}`, { timeout: 2000 }).catch(() => {});
+      }
+    }
+  };
+}
+
+module.exports = {
+  servedRoutes,
+  registerService
+};
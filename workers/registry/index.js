@@ -0,0 +1,175 @@
+/**
+ * Service Registry
+ * Port: 3000
+ *
+ * ESB instances register the routes they serve (registry/client.js) and
+ * heartbeat while they are up; callESB resolves endpoints from GET /api/routes.
+ * An instance that misses heartbeats for REGISTRY_TTL_MS drops out of the
+ * route table until it heartbeats or registers again.
+ *
+ * Endpoints:
+ *   - POST   /api/services - Register an instance { name, url, version, routes[], health }
+ *   - PUT    /api/services/:instanceId/heartbeat - Refresh an instance { health }
+ *   - DELETE /api/services/:instanceId - Deregister an instance
+ *   - GET    /api/services - All instances with their status
+ *   - GET    /api/routes - "METHOD /path" -> live instances serving it
+ */
+
+const express = require('express');
+const cors = require('cors');
+
+const PORT = process.env.REGISTRY_PORT || 3000;
+const TTL_MS = parseInt(process.env.REGISTRY_TTL_MS) || 15000;
+
+/**
+ * In-memory registry of service instances
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - Heartbeat timeout
+ * @returns {object} - Registry API
+ */
+function createRegistry({ ttlMs = TTL_MS } = {}) {
+  const instances = new Map(); // instanceId -> instance
+
+  const isLive = (instance, now = Date.now()) =>
+    now - instance.lastHeartbeat <= ttlMs && instance.health !== 'down';
+
+  function withStatus(instance) {
+    return { ...instance, status: isLive(instance) ? 'up' : 'expired' };
+  }
+
+  return {
+    register({ name, url, version, routes, health = 'up' }) {
+      // Re-registering the same URL replaces the previous entry (restart)
+      const instanceId = `${name}@${url}`;
+      const now = Date.now();
+      instances.set(instanceId, {
+        instanceId,
+        name,
+        url,
+        version,
+        routes,
+        health,
+        registeredAt: new Date(now).toISOString(),
+        lastHeartbeat: now
+      });
+      return instances.get(instanceId);
+    },
+
+    heartbeat(instanceId, { health = 'up' } = {}) {
+      const instance = instances.get(instanceId);
+      if (!instance) {
+        return null;
+      }
+      instance.lastHeartbeat = Date.now();
+      instance.health = health;
+      return instance;
+    },
+
+    deregister: (instanceId) => instances.delete(instanceId),
+
+    list: () => Array.from(instances.values()).map(withStatus),
+
+    /**
+     * @returns {object} - { 'POST /api/...': [{ instanceId, name, url, version }] }
+     */
+    routes() {
+      const now = Date.now();
+      const table = {};
+      for (const instance of instances.values()) {
+        if (!isLive(instance, now)) {
+          continue;
+        }
+        for (const route of instance.routes) {
+          (table[route] = table[route] || []).push({
+            instanceId: instance.instanceId,
+            name: instance.name,
+            url: instance.url,
+            version: instance.version
+          });
+        }
+      }
+      return table;
+    }
+  };
+}
+
+/**
+ * Express app serving a registry
+ * @param {object} registry - From createRegistry()
+ * @returns {object} - Express app
+ */
+function createRegistryApp(registry) {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+
+  app.post('/api/services', (req, res) => {
+    const { name, url, version, routes, health } = req.body;
+    if (typeof name !== 'string' || typeof url !== 'string' || !Array.isArray(routes)) {
+      return res.status(400).json({ success: false, error: 'name, url and routes[] are required' });
+    }
+    const instance = registry.register({ name, url, version, routes, health });
+    console.log(`📇 Registered ${instance.instanceId} v${version || '?'} (${routes.length} route(s))`);
+    res.status(201).json({ success: true, instanceId: instance.instanceId, heartbeatIntervalMs: Math.floor(TTL_MS / 3) });
+  });
+
+  app.put('/api/services/:instanceId/heartbeat', (req, res) => {
+    const instance = registry.heartbeat(req.params.instanceId, req.body);
+    if (!instance) {
+      // Unknown after a registry restart: the instance registers again
+      return res.status(404).json({ success: false, error: 'INSTANCE_NOT_REGISTERED' });
+    }
+    res.json({ success: true });
+  });
+
+  app.delete('/api/services/:instanceId', (req, res) => {
+    const deleted = registry.deregister(req.params.instanceId);
+    if (deleted) {
+      console.log(`📇 Deregistered ${req.params.instanceId}`);
+    }
+    res.status(deleted ? 200 : 404).json({ success: deleted });
+  });
+
+  app.get('/api/services', (req, res) => {
+    res.json({ success: true, ttlMs: TTL_MS, instances: registry.list() });
+  });
+
+  app.get('/api/routes', (req, res) => {
+    res.json({ success: true, routes: registry.routes() });
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', service: 'registry', port: PORT });
+  });
+
+  return app;
+}
+
+/**
+ * Start the registry on REGISTRY_PORT
+ * @returns {object} - The registry
+ */
+function startRegistry() {
+  const registry = createRegistry();
+  createRegistryApp(registry).listen(PORT, () => {
+    console.log('');
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           📇 Service Registry                                ║');
+    console.log('╠══════════════════════════════════════════════════════════════╣');
+    console.log(`║  Server running on http://localhost:${PORT}                    ║`);
+    console.log(`║  Instances expire after ${String(TTL_MS).padEnd(6)} ms without heartbeat       ║`);
+    console.log('╚══════════════════════════════════════════════════════════════╝');
+    console.log('');
+  });
+  return registry;
+}
+
+module.exports = {
+  createRegistry,
+  createRegistryApp,
+  startRegistry
+};
+
+if (require.main === module) {
+  startRegistry();
+}
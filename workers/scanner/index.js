@@ -0,0 +1,230 @@
+/**
+ * Inventory Scanner
+ * Periodically reads the ESB1 product catalog, checks every product against
+ * its reorder point (ESB1 /api/compute-replenishment) and expiry/sales
+ * thresholds (rules.js), and starts StockReplenishmentWorkflow or
+ * ProductPromotionWorkflow instances with the findings as variables.
+ *
+ * A SKU is skipped while an instance of the same workflow is in flight for
+ * it: either a running instance whose productId / candidateProducts /
+ * targetProducts mention it, or one this scanner started less than
+ * SCANNER_DEDUP_GRACE_MS ago (Operate lags behind Zeebe).
+ *
+ * Usage: node scanner/index.js [--once] [--dry-run]
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const axios = require('axios');
+const { callESB, resolveEsbUrl } = require('../ui-common/esb-client');
+const { zeebeEngine, createZeebeClient, listActiveInstances } = require('../ui-common/zeebe-client');
+const { WORKFLOWS, evaluateProduct, skusOf } = require('./rules');
+const { createAuditTrail } = require('../ui-common/audit');
+
+const MINUTE_MS = 60 * 1000;
+const SCANNER_USER = { username: 'inventory-scanner' };
+
+/**
+ * Scanner settings from the environment
+ * @returns {object} - Thresholds and timings
+ */
+function scannerConfig() {
+  const number = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && !Number.isNaN(value) ? value : fallback;
+  };
+  return {
+    intervalMs: number('SCANNER_INTERVAL_MS', 15 * MINUTE_MS),
+    dedupGraceMs: number('SCANNER_DEDUP_GRACE_MS', 10 * MINUTE_MS),
+    // Unset: ESB1 takes the lead time of the product's recommended supplier
+    leadTimeDays: number('SCANNER_LEAD_TIME_DAYS', undefined),
+    safetyStockDays: number('SCANNER_SAFETY_STOCK_DAYS', 5),
+    expiryWindowDays: number('SCANNER_EXPIRY_WINDOW_DAYS', 5),
+    maxDaysOfStock: number('SCANNER_MAX_DAYS_OF_STOCK', 45)
+  };
+}
+
+/**
+ * Create a scanner
+ * @param {object} [options]
+ * @param {object} [options.zeebe] - Zeebe client used to start instances
+ * @param {object} [options.config] - Overrides for scannerConfig()
+ * @param {boolean} [options.dryRun] - Report triggers without starting instances
+ * @returns {object} - { scan, start, stop, lastResult, config }
+ */
+function createScanner({ zeebe = createZeebeClient(), config = {}, dryRun = false } = {}) {
+  const settings = { ...scannerConfig(), ...config };
+  const recentlyStarted = new Map(); // `${workflow}:${sku}` -> { processInstanceKey, startedAt }
+  let timer = null;
+  let running = false;
+  const audit = createAuditTrail('scanner');
+  let lastResult = null;
+
+  async function fetchProducts() {
+    const esbUrl = await resolveEsbUrl('GET /api/products');
+    const { data } = await axios.get(`${esbUrl}/api/products`, { timeout: 10000 });
+    return data.products;
+  }
+
+  async function replenishmentFor(product) {
+    try {
+      const response = await callESB('/api/compute-replenishment', {
+        productId: product.sku,
+        ...(settings.leadTimeDays !== undefined && { leadTimeDays: settings.leadTimeDays }),
+        safetyStockDays: settings.safetyStockDays
+      });
+      return response.transformed;
+    } catch (error) {
+      console.error(`[Scanner] No reorder point for ${product.sku}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // SKUs with a running instance, per workflow
+  async function inFlightSkus() {
+    const inFlight = {};
+    for (const [workflow, bpmnProcessId] of Object.entries(WORKFLOWS)) {
+      inFlight[workflow] = new Map();
+      for (const instance of await listActiveInstances(bpmnProcessId)) {
+        for (const sku of skusOf(instance.variables)) {
+          inFlight[workflow].set(sku, instance.processInstanceKey);
+        }
+      }
+    }
+    return inFlight;
+  }
+
+  function recentInstance(workflow, sku, now) {
+    const started = recentlyStarted.get(`${workflow}:${sku}`);
+    return started && now - started.startedAt < settings.dedupGraceMs ? started.processInstanceKey : null;
+  }
+
+  /**
+   * Run one scan
+   * @returns {Promise<object>} - { scannedAt, products, started[], skipped[], dryRun }
+   */
+  async function scan() {
+    if (running) {
+      return { skippedScan: true, reason: 'previous scan still running' };
+    }
+    running = true;
+    try {
+      const now = Date.now();
+      const products = await fetchProducts();
+      // Without the list of running instances duplicates can't be ruled out
+      const inFlight = await inFlightSkus();
+      const result = { scannedAt: new Date(now).toISOString(), products: products.length, started: [], skipped: [], dryRun };
+
+      for (const product of products) {
+        const replenishment = await replenishmentFor(product);
+
+        for (const trigger of evaluateProduct(product, replenishment, settings, now)) {
+          const finding = { workflow: trigger.workflow, sku: trigger.sku, trigger: trigger.trigger, reason: trigger.reason };
+          const existing = inFlight[trigger.workflow].get(trigger.sku) || recentInstance(trigger.workflow, trigger.sku, now);
+          if (existing) {
+            result.skipped.push({ ...finding, inFlightInstance: existing });
+            continue;
+          }
+          if (dryRun) {
+            result.started.push(finding);
+            continue;
+          }
+
+          const variables = {
+            initiator: 'Inventory Scanner',
+            requestTimestamp: new Date().toISOString(),
+            reason: trigger.reason,
+            trigger: trigger.trigger,
+            ...trigger.variables
+          };
+          const instance = await zeebe.createProcessInstance({ bpmnProcessId: trigger.bpmnProcessId, variables });
+          const processInstanceKey = String(instance.processInstanceKey);
+          audit.record('process.started', { processInstanceKey, user: SCANNER_USER, bpmnProcessId: trigger.bpmnProcessId, variables });
+          recentlyStarted.set(`${trigger.workflow}:${trigger.sku}`, { processInstanceKey, startedAt: now });
+          inFlight[trigger.workflow].set(trigger.sku, processInstanceKey);
+          result.started.push({ ...finding, processInstanceKey });
+          console.log(`🔎 ${trigger.reason} → ${trigger.bpmnProcessId} ${processInstanceKey}`);
+        }
+      }
+
+      lastResult = result;
+      return result;
+    } finally {
+      running = false;
+    }
+  }
+
+  async function scanAndLog() {
+    try {
+      const result = await scan();
+      if (!result.skippedScan) {
+        const verb = result.dryRun ? 'would start' : 'started';
+        console.log(`🔎 Scanned ${result.products} product(s): ${verb} ${result.started.length}, ${result.skipped.length} already in flight`);
+      }
+    } catch (error) {
+      console.error(`[Scanner] Scan failed: ${error.message}`);
+    }
+  }
+
+  return {
+    scan,
+    start() {
+      if (!timer) {
+        scanAndLog();
+        timer = setInterval(scanAndLog, settings.intervalMs);
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    lastResult: () => lastResult,
+    config: settings
+  };
+}
+
+/**
+ * Start the scanner on its configured interval
+ * @param {object} [options] - createScanner() options
+ * @returns {object} - The scanner
+ */
+function startScanner(options) {
+  const scanner = createScanner(options);
+  const { intervalMs, leadTimeDays, safetyStockDays, expiryWindowDays, maxDaysOfStock } = scanner.config;
+  console.log(`🔎 Inventory scanner every ${Math.round(intervalMs / 1000)}s (lead time ${leadTimeDays === undefined ? 'from supplier' : `${leadTimeDays}d`}, safety ${safetyStockDays}d, expiry window ${expiryWindowDays}d, max ${maxDaysOfStock} days of stock)`);
+  scanner.start();
+  return scanner;
+}
+
+module.exports = {
+  scannerConfig,
+  createScanner,
+  startScanner
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  // The local engine lives inside the process that runs the UIs
+  if (zeebeEngine() === 'local' && !dryRun) {
+    console.error('❌ ZEEBE_ENGINE=local: set SCANNER_ENABLED=true for `npm run start:local` instead.');
+    process.exit(1);
+  }
+
+  if (args.includes('--once')) {
+    createScanner({ dryRun }).scan()
+      .then(result => {
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error('❌ Scan failed:', error.message);
+        process.exit(1);
+      });
+  } else {
+    startScanner({ dryRun });
+  }
+}
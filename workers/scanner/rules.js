@@ -0,0 +1,158 @@
+/**
+ * Inventory Scanner Rules
+ * Decide which workflow, if any, a catalog product should start:
+ *
+ *   low-stock  - currentStock at or below the reorder point computed by
+ *                ESB1 /api/compute-replenishment → StockReplenishmentWorkflow
+ *   expiring   - lots expiring within expiryWindowDays hold more units than
+ *                average sales can clear before they expire → ProductPromotionWorkflow
+ *   low_sales  - stock covers more than maxDaysOfStock days of sales → ProductPromotionWorkflow
+ *
+ * A product raises at most one promotion trigger (expiring wins).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WORKFLOWS = {
+  stock: 'StockReplenishmentWorkflow',
+  promotion: 'ProductPromotionWorkflow'
+};
+
+function daysUntil(isoDate, now) {
+  return Math.ceil((new Date(`${isoDate}T00:00:00Z`).getTime() - now) / DAY_MS);
+}
+
+/**
+ * Units of expiring lots that average sales will not clear in time
+ * (lots are assumed to sell oldest first)
+ * @param {object} product - Catalog product with lots and avgDailySales
+ * @param {number} windowDays - Only lots expiring within this many days count
+ * @param {number} now - Reference time (ms)
+ * @returns {object|null} - { unitsAtRisk, expiringQuantity, expiryDate, daysToExpiry } or null
+ */
+function expiryRisk(product, windowDays, now) {
+  const lots = product.lots
+    .filter(lot => lot.expiryDate && lot.quantity > 0)
+    .map(lot => ({ ...lot, days: Math.max(0, daysUntil(lot.expiryDate, now)) }))
+    .sort((a, b) => a.days - b.days);
+
+  const expiring = lots.filter(lot => lot.days <= windowDays);
+  if (expiring.length === 0) {
+    return null;
+  }
+
+  const dailySales = product.avgDailySales || 0;
+  let sold = 0;
+  let unitsAtRisk = 0;
+  for (const lot of expiring) {
+    const sellable = Math.max(0, Math.floor(dailySales * lot.days) - sold);
+    const sellsFromLot = Math.min(lot.quantity, sellable);
+    sold += sellsFromLot;
+    unitsAtRisk += lot.quantity - sellsFromLot;
+  }
+
+  return {
+    unitsAtRisk,
+    expiringQuantity: expiring.reduce((sum, lot) => sum + lot.quantity, 0),
+    expiryDate: expiring[0].expiryDate,
+    daysToExpiry: expiring[0].days
+  };
+}
+
+/**
+ * Evaluate one product against the scanner thresholds
+ * @param {object} product - Catalog product (GET /api/products)
+ * @param {object|null} replenishment - ESB1 compute-replenishment `transformed`, or null
+ * @param {object} config - { safetyStockDays, expiryWindowDays, maxDaysOfStock }
+ * @param {number} [now] - Reference time (ms)
+ * @returns {Array<object>} - Triggers: { workflow, bpmnProcessId, sku, trigger, reason, variables }
+ */
+function evaluateProduct(product, replenishment, config, now = Date.now()) {
+  const triggers = [];
+  const base = {
+    productId: product.sku,
+    productName: product.name,
+    productCategory: product.category,
+    currentStock: product.currentStock,
+    averageDailySales: product.avgDailySales
+  };
+
+  if (replenishment && product.currentStock <= replenishment.reorderPoint) {
+    triggers.push({
+      workflow: 'stock',
+      bpmnProcessId: WORKFLOWS.stock,
+      sku: product.sku,
+      trigger: 'low-stock',
+      reason: `Low stock: ${product.sku} ${product.name} has ${product.currentStock} unit(s), reorder point ${replenishment.reorderPoint}`,
+      variables: {
+        ...base,
+        leadTimeDays: replenishment.leadTimeDays,
+        safetyStockDays: config.safetyStockDays,
+        reorderPoint: replenishment.reorderPoint,
+        recommendedQuantity: replenishment.recommendedQuantity
+      }
+    });
+  }
+
+  const risk = expiryRisk(product, config.expiryWindowDays, now);
+  if (risk && risk.unitsAtRisk > 0) {
+    triggers.push({
+      workflow: 'promotion',
+      bpmnProcessId: WORKFLOWS.promotion,
+      sku: product.sku,
+      trigger: 'expiring',
+      reason: `Expiring: ${risk.unitsAtRisk} of ${risk.expiringQuantity} ${product.sku} unit(s) expiring by ${risk.expiryDate} will not sell in time`,
+      variables: {
+        ...base,
+        candidateProducts: [product.sku],
+        suggestedReason: 'expiring',
+        suggestedUrgency: risk.daysToExpiry <= 2 ? 'high' : 'medium',
+        expiringQuantity: risk.expiringQuantity,
+        unitsAtRisk: risk.unitsAtRisk,
+        expiryDate: risk.expiryDate
+      }
+    });
+    return triggers;
+  }
+
+  const daysOfStock = product.avgDailySales > 0 ? product.currentStock / product.avgDailySales : Infinity;
+  if (product.currentStock > 0 && daysOfStock > config.maxDaysOfStock) {
+    const cover = Number.isFinite(daysOfStock) ? `${Math.round(daysOfStock)} days` : 'no recent sales';
+    triggers.push({
+      workflow: 'promotion',
+      bpmnProcessId: WORKFLOWS.promotion,
+      sku: product.sku,
+      trigger: 'low_sales',
+      reason: `Low sales: ${product.sku} ${product.name} stock covers ${cover} (limit ${config.maxDaysOfStock})`,
+      variables: {
+        ...base,
+        candidateProducts: [product.sku],
+        suggestedReason: 'low_sales',
+        suggestedUrgency: 'low',
+        daysOfStock: Number.isFinite(daysOfStock) ? Math.round(daysOfStock) : null
+      }
+    });
+  }
+
+  return triggers;
+}
+
+/**
+ * SKUs a running instance is working on, from its variables
+ * @param {object} variables - Process variables
+ * @returns {Set<string>} - Upper-cased SKUs
+ */
+function skusOf(variables = {}) {
+  const skus = [variables.productId, variables.candidateProducts, variables.targetProducts]
+    .flat()
+    .filter(sku => typeof sku === 'string' && sku.trim() !== '')
+    .map(sku => sku.trim().toUpperCase());
+  return new Set(skus);
+}
+
+module.exports = {
+  WORKFLOWS,
+  expiryRisk,
+  evaluateProduct,
+  skusOf
+};
@@ -0,0 +1,155 @@
+/**
+ * Check UI → ESB Contracts
+ *
+ * Feeds representative form submissions (as the browsers post them, i.e.
+ * strings from FormData) through every department task handler and checks
+ * the resulting ESB payload against the endpoint contract.
+ * Usage: node scripts/check-contracts.js
+ */
+
+const { schemas, validate } = require('../contracts');
+
+const departments = {
+  'ui-data-analysis': require('../ui-data-analysis/task-handlers'),
+  'ui-commercial': require('../ui-commercial/task-handlers'),
+  'ui-finance': require('../ui-finance/task-handlers'),
+  'ui-marketing': require('../ui-marketing/task-handlers'),
+  'ui-it': require('../ui-it/task-handlers'),
+  'ui-logistics': require('../ui-logistics/task-handlers'),
+  'ui-merchandising': require('../ui-merchandising/task-handlers')
+};
+
+// Job variables accumulated by the time each task is reached
+const promotionVariables = {
+  targetProducts: ['SKU-001', 'SKU-002'],
+  discountPercentage: 25,
+  promotionText: '25% OFF!',
+  durationDays: 7,
+  storesNotified: ['S001', 'S002']
+};
+
+const stockVariables = {
+  productId: 'SKU-001',
+  productName: 'Organic Milk 1L',
+  currentStock: 40,
+  recommendedQuantity: 180,
+  reorderPoint: 120,
+  orderQuantity: 180,
+  recommendedSupplierId: 'SUP-001',
+  recommendedSupplierName: 'FreshFarm Dairy Co.',
+  orderId: 'PO-1700000000000',
+  quantityReceived: 180
+};
+
+// Form submissions per job type: filled-in forms (checked in strict mode)
+// and, last, one with fields left blank (checked in lenient mode, where the
+// ESB applies its demo defaults)
+const fixtures = {
+  'identify-products': [
+    { productIds: 'sku-001, sku-002', reason: 'expiring', urgency: 'high' },
+    { productIds: 'sku-003', reason: '', urgency: 'medium' }
+  ],
+  'compute-replenishment-quantity': [
+    { productId: 'SKU-001', productName: 'Organic Milk 1L', currentStock: '40', avgDailySales: '12.5', leadTimeDays: '7', safetyStockDays: '5' },
+    { productId: 'SKU-001', productName: '', currentStock: '', avgDailySales: '', leadTimeDays: '7', safetyStockDays: '', forecastMethod: 'seasonal', serviceLevel: '0.975' },
+    { productId: 'SKU-001', productName: '', currentStock: '', avgDailySales: '', leadTimeDays: '', safetyStockDays: '' }
+  ],
+  'propose-promotion': [
+    { discount: '25', promoText: 'Spring sale', durationDays: '14' },
+    { discount: '10', promoText: '', durationDays: '' }
+  ],
+  'prepare-instore-update': [
+    { storeIds: 'S001, S002', labelsReady: 'true' },
+    { storeIds: '12', labelsReady: 'false' }
+  ],
+  'update-physical-prices': [
+    { labelsUpdated: '120', allStoresCompleted: 'true' },
+    { labelsUpdated: '', allStoresCompleted: 'false' }
+  ],
+  'evaluate-profitability': [
+    { expectedUplift: '30', cannibalization: '20', riskLevel: 'low', approved: 'true' },
+    { expectedUplift: '', cannibalization: '', riskLevel: 'high', approved: 'false' }
+  ],
+  'analyze-replenishment': [
+    { budgetAmount: '2500', priorityLevel: 'high', notes: 'OK', budgetApproved: 'true' },
+    { budgetAmount: '', priorityLevel: 'medium', notes: '', budgetApproved: 'false' }
+  ],
+  'prepare-promotion-material': [
+    { flyerQty: '500', digitalChannels: ['email', 'social_media'], posterQty: '20', headline: 'Big deals' },
+    { flyerQty: '', digitalChannels: 'website', posterQty: '', headline: '' }
+  ],
+  'update-system-prices': [
+    { posUpdated: 'on', terminalCount: '12', erpUpdated: 'on', ecomUpdated: 'on', inventoryUpdated: 'on' },
+    { terminalCount: '' }
+  ],
+  'update-stock-systems': [
+    { erpUpdated: 'on', wmsUpdated: 'on', posUpdated: 'on', notes: 'Done' },
+    { notes: '' }
+  ],
+  'process-replenishment': [
+    { supplierId: 'SUP-002', supplierName: 'Valley Wholesale', orderQuantity: '180', expedited: 'true', notes: 'Rush' },
+    { supplierId: '', orderQuantity: '', expedited: 'false', notes: '' }
+  ],
+  'check-delivery': [
+    { deliveryStatus: 'delivered', quantityReceived: '180', damagedQty: '0', damageReport: '', notes: '' },
+    { deliveryStatus: 'damaged', quantityReceived: '180', damagedQty: '15', damageReport: 'Crushed boxes', notes: '' }
+  ],
+  'handle-return': [
+    { returnQuantity: '15', returnReason: 'damaged', replacementRequested: 'true', notes: 'Crushed boxes' },
+    { returnQuantity: '3', returnReason: 'other', notes: '' }
+  ],
+  'create-replenishment-request': [
+    { urgencyLevel: 'high', requestedQuantity: '180', notes: 'Shelf empty' },
+    { urgencyLevel: 'normal', requestedQuantity: '', notes: '' }
+  ],
+  'verify-stock': [
+    { verifiedStock: '220', stockStatus: 'correct', shelfLocation: 'A1-01', notes: '' },
+    { verifiedStock: '150', stockStatus: 'understocked', shelfLocation: '', notes: 'Missing pallet' }
+  ]
+};
+
+function checkContracts() {
+  console.log('🔎 Checking UI payloads against ESB contracts...\n');
+
+  let failures = 0;
+  let checks = 0;
+
+  for (const [department, handlers] of Object.entries(departments)) {
+    for (const [taskType, handler] of Object.entries(handlers)) {
+      const label = `${department} ${taskType} → ${handler.esbEndpoint}`;
+
+      if (!schemas[handler.esbEndpoint]) {
+        console.log(`❌ ${label}: no contract defined for endpoint`);
+        failures++;
+        continue;
+      }
+      if (!fixtures[taskType]) {
+        console.log(`❌ ${label}: no form fixture`);
+        failures++;
+        continue;
+      }
+
+      const variables = handler.workflow === 'stock' ? stockVariables : promotionVariables;
+
+      fixtures[taskType].forEach((body, index, forms) => {
+        checks++;
+        const mode = index < forms.length - 1 ? 'strict' : 'lenient';
+        const payload = JSON.parse(JSON.stringify(handler.toEsbRequest(body, { key: 'fixture', taskType, variables })));
+        const errors = validate(handler.esbEndpoint, 'request', payload, mode);
+
+        if (errors.length > 0) {
+          failures++;
+          console.log(`❌ ${label} (fixture ${index + 1}, ${mode})`);
+          errors.forEach(e => console.log(`     - ${e.field} ${e.message}`));
+        } else {
+          console.log(`✅ ${label} (fixture ${index + 1}, ${mode})`);
+        }
+      });
+    }
+  }
+
+  console.log(`\n${checks} payload(s) checked, ${failures} failure(s)\n`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+checkContracts();
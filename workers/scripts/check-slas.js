@@ -0,0 +1,95 @@
+/**
+ * Check Task SLAs Against the BPMN Timers
+ *
+ * Every job type a department UI handles must have an SLA in
+ * ui-common/task-slas.json, and its service task in the BPMN files must
+ * carry a non-interrupting timer boundary event firing at the SLA breach,
+ * followed by an escalate-overdue-task job naming that job type.
+ * Usage: node scripts/check-slas.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseBpmn } = require('../local-engine/bpmn');
+const { getSlas } = require('../ui-common/task-slas');
+
+const BPMN_FILES = [
+  path.join(__dirname, '../../process-zeebe.bpmn'),
+  path.join(__dirname, '../../stock-management-zeebe.bpmn')
+];
+
+const DEPARTMENT_DIRS = ['ui-data-analysis', 'ui-commercial', 'ui-finance', 'ui-marketing', 'ui-it', 'ui-logistics', 'ui-merchandising'];
+
+// Problems with one service task's SLA timer (empty when it is right)
+function timerProblems(model, task, sla) {
+  const { elements, flows } = model;
+  const timers = task.boundaryEvents.map(id => elements[id]);
+  if (timers.length === 0) {
+    return ['no timer boundary event'];
+  }
+  if (!sla) {
+    return [];
+  }
+
+  const timer = timers.find(candidate => candidate.durationMs === sla.breachMs);
+  if (!timer) {
+    return [`no timer at the ${sla.breach} breach (found ${timers.map(t => t.timeDuration).join(', ')})`];
+  }
+  const problems = [];
+  if (timer.cancelActivity) {
+    problems.push(`${timer.id} interrupts the task`);
+  }
+  const escalation = timer.outgoing.map(flowId => elements[flows[flowId].targetRef])
+    .find(target => target.type === 'serviceTask' && target.taskType === 'escalate-overdue-task');
+  if (!escalation) {
+    problems.push(`${timer.id} does not lead to an escalate-overdue-task job`);
+  } else if (escalation.headers.overdueTaskType !== task.taskType) {
+    problems.push(`${escalation.id} has overdueTaskType "${escalation.headers.overdueTaskType}"`);
+  }
+  return problems;
+}
+
+function checkSlas() {
+  const { tasks: slas, version } = getSlas();
+  const jobTypes = DEPARTMENT_DIRS.flatMap(dir => Object.keys(require(`../${dir}/task-handlers`)));
+  let checks = 0;
+  let failures = 0;
+
+  console.log(`🔍 Checking SLAs (version ${version}) against the BPMN timers...\n`);
+
+  const seen = new Set();
+  for (const file of BPMN_FILES) {
+    for (const model of parseBpmn(fs.readFileSync(file, 'utf8'))) {
+      const tasks = Object.values(model.elements)
+        .filter(element => element.type === 'serviceTask' && jobTypes.includes(element.taskType));
+      for (const task of tasks) {
+        checks++;
+        seen.add(task.taskType);
+        const sla = slas[task.taskType];
+        const problems = [
+          ...(sla ? [] : ['no SLA in task-slas.json']),
+          ...timerProblems(model, task, sla)
+        ];
+        const label = `${model.bpmnProcessId} → ${task.id} (${task.taskType})`;
+        if (problems.length > 0) {
+          failures++;
+          console.log(`❌ ${label}`);
+          problems.forEach(problem => console.log(`     - ${problem}`));
+        } else {
+          console.log(`✅ ${label}: ${sla.breach}, ${sla.escalation}`);
+        }
+      }
+    }
+  }
+
+  for (const taskType of Object.keys(slas).filter(type => !seen.has(type))) {
+    checks++;
+    failures++;
+    console.log(`❌ ${taskType}: has an SLA but no service task in the BPMN files`);
+  }
+
+  console.log(`\n${checks} task(s) checked, ${failures} failure(s)\n`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+checkSlas();
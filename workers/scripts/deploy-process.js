@@ -6,15 +6,14 @@
  */
 
 require('dotenv').config();
-const { Camunda8 } = require('@camunda8/sdk');
+const { createZeebeClient } = require('../ui-common/zeebe-client');
 const fs = require('fs');
 const path = require('path');
 
 async function deployProcess() {
   console.log('🚀 Deploying BPMN Process to Camunda 8...\n');
   
-  const c8 = new Camunda8();
-  const zeebe = c8.getZeebeGrpcApiClient();
+  const zeebe = createZeebeClient();
   
   const bpmnPath = path.join(__dirname, '../../process-zeebe.bpmn');
   
@@ -49,8 +48,7 @@ deployProcess();
 async function deployStockProcess() {
   console.log('🚀 Deploying Stock Management BPMN Process to Camunda 8...\n');
   
-  const c8 = new Camunda8();
-  const zeebe = c8.getZeebeGrpcApiClient();
+  const zeebe = createZeebeClient();
   
   const bpmnPath = path.join(__dirname, '../../stock-management-zeebe.bpmn');
   
@@ -0,0 +1,87 @@
+/**
+ * Local Stack
+ * Loads the service registry, the message broker, the audit service, ESB1,
+ * ESB2, every department UI, the escalation desk and the tracking dashboard into the current process on top of the local BPMN engine. Shared by start-local.js and run-scenarios.js.
+ */
+
+const path = require('path');
+
+const REGISTRY = { port: () => process.env.REGISTRY_PORT || 3000 };
+const BROKER = { port: () => process.env.BROKER_PORT || 3003 };
+const ESCALATION = { port: () => process.env.ESCALATION_PORT || 4008 };
+const OIDC = { port: () => process.env.OIDC_PORT || 3004 };
+const AUDIT = { port: () => process.env.AUDIT_PORT || 3005 };
+const TRACKING = { port: () => process.env.TRACKING_PORT || 4009 };
+
+const ESBS = {
+  esb1: { module: 'esb1/index.js', port: () => process.env.ESB1_PORT || 3001 },
+  esb2: { module: 'esb2/index.js', port: () => process.env.ESB2_PORT || 3002 }
+};
+
+const DEPARTMENTS = {
+  'data-analysis': { dir: 'ui-data-analysis', port: () => process.env.UI_DATA_ANALYSIS_PORT || 4001 },
+  commercial: { dir: 'ui-commercial', port: () => process.env.UI_COMMERCIAL_PORT || 4002 },
+  finance: { dir: 'ui-finance', port: () => process.env.UI_FINANCE_PORT || 4003 },
+  marketing: { dir: 'ui-marketing', port: () => process.env.UI_MARKETING_PORT || 4004 },
+  it: { dir: 'ui-it', port: () => process.env.UI_IT_PORT || 4005 },
+  logistics: { dir: 'ui-logistics', port: () => process.env.UI_LOGISTICS_PORT || 4006 },
+  merchandising: { dir: 'ui-merchandising', port: () => process.env.UI_MERCHANDISING_PORT || 4007 }
+};
+
+/**
+ * Boot the whole stack in this process
+ * @returns {object} - The shared local engine
+ */
+function startLocalStack() {
+  // The local engine keeps no state across restarts, so persisted tasks
+  // would point at jobs that no longer exist
+  process.env.ZEEBE_ENGINE = 'local';
+  process.env.TASK_STORE = 'memory';
+  // Job keys start over with the engine, so stored ESB responses would be replayed to new jobs
+  process.env.IDEMPOTENCY_STORE = 'memory';
+  process.env.REGISTRY_URL = process.env.REGISTRY_URL || `http://localhost:${REGISTRY.port()}`;
+  process.env.BROKER_URL = process.env.BROKER_URL || `http://localhost:${BROKER.port()}`;
+  process.env.BROKER_STORE = process.env.BROKER_STORE || 'memory';
+  process.env.PURCHASE_ORDER_STORE = process.env.PURCHASE_ORDER_STORE || 'memory';
+  process.env.SUPPLIER_STORE = process.env.SUPPLIER_STORE || 'memory';
+  process.env.BUDGET_STORE = process.env.BUDGET_STORE || 'memory';
+  process.env.AUDIT_STORE = process.env.AUDIT_STORE || 'memory';
+
+  const { getLocalEngine } = require('../local-engine');
+  const engine = getLocalEngine();
+
+  // ESBs register their routes here and the UIs resolve them from it
+  require('../registry').startRegistry();
+  // ESB pipelines publish here, department UIs subscribe
+  require('../broker').startBroker();
+  // Records the audit.* messages of the UIs
+  require('../audit').startAuditService();
+  // UIs log in through the stand-in unless OIDC_ISSUER names a real provider
+  if (process.env.AUTH_MODE === 'oidc' && !process.env.OIDC_ISSUER) {
+    require('../oidc').startProvider();
+  }
+
+  for (const esb of Object.values(ESBS)) {
+    require(path.join(__dirname, '..', esb.module));
+  }
+  for (const department of Object.values(DEPARTMENTS)) {
+    require(path.join(__dirname, '..', department.dir, 'server.js'));
+  }
+  // Works the SLA timers of both workflows
+  require('../escalation').startEscalationDesk();
+  // Shows where every instance of both workflows is
+  require('../tracking').startTracking();
+  return engine;
+}
+
+module.exports = {
+  REGISTRY,
+  BROKER,
+  ESCALATION,
+  OIDC,
+  AUDIT,
+  TRACKING,
+  ESBS,
+  DEPARTMENTS,
+  startLocalStack
+};
@@ -0,0 +1,225 @@
+/**
+ * Run End-to-End Scenarios
+ *
+ * Boots ESB1, ESB2 and all department UIs on the local BPMN engine in this
+ * process, drives every scenario from scenarios.js through the UIs' HTTP
+ * routes and checks the end event reached, the accumulated variables, the
+ * events published to the message broker, the audit trail entries and the
+ * gateway decisions shown by the tracking dashboard.
+ * Usage: node scripts/run-scenarios.js [name filter] [--verbose]
+ */
+
+const assert = require('assert');
+const axios = require('axios');
+const { REGISTRY, BROKER, ESCALATION, AUDIT, TRACKING, ESBS, DEPARTMENTS, startLocalStack } = require('./local-stack');
+const { parseDuration } = require('../local-engine/feel');
+const scenarios = require('./scenarios');
+
+const POLL_INTERVAL = 50;
+const STEP_TIMEOUT = 5000;
+
+// Demo accounts from ui-common/users.json submitting each department's
+// forms, unless a step names another one with `as`
+const DEPARTMENT_USERS = {
+  'data-analysis': 'dana',
+  commercial: 'carl',
+  finance: 'fiona',
+  marketing: 'mark',
+  it: 'ivan',
+  logistics: 'leo',
+  merchandising: 'maya'
+};
+const AUDITOR = 'ada';
+const SCENARIO_PASSWORD = process.env.SCENARIO_PASSWORD || 'demo';
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const filter = args.find(arg => !arg.startsWith('--'));
+
+// Harness output goes straight to stdout so server logs can be muted
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll until check() returns a value (or throw after timeout)
+ * @param {Function} check - Async function returning a truthy value when done
+ * @param {string} description - What is awaited, for the timeout message
+ * @returns {Promise<*>} - The value returned by check()
+ */
+async function waitFor(check, description, timeout = STEP_TIMEOUT) {
+  const giveUpAt = Date.now() + timeout;
+  while (Date.now() < giveUpAt) {
+    const value = await check().catch(() => null);
+    if (value) {
+      return value;
+    }
+    await sleep(POLL_INTERVAL);
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+// Find which department UI handles a job type, from the task-handlers modules
+function routeFor(taskType) {
+  for (const [id, department] of Object.entries(DEPARTMENTS)) {
+    const handlers = require(`../${department.dir}/task-handlers`);
+    if (handlers[taskType]) {
+      return { id, url: `http://localhost:${department.port()}`, route: handlers[taskType].route };
+    }
+  }
+  throw new Error(`No department handles job type ${taskType}`);
+}
+
+// Session cookie per user (every UI of the stack shares the session secret)
+const sessions = new Map();
+async function sessionFor(url, username) {
+  if (!sessions.has(username)) {
+    const { headers } = await axios.post(`${url}/login`, { username, password: SCENARIO_PASSWORD });
+    sessions.set(username, { Cookie: (headers['set-cookie'] || []).map(cookie => cookie.split(';')[0]).join('; ') });
+  }
+  return sessions.get(username);
+}
+
+// Message count per broker topic
+async function topicCounts() {
+  const { data } = await axios.get(`http://localhost:${BROKER.port()}/api/topics`);
+  return Object.fromEntries(data.topics.map(t => [t.topic, t.messages]));
+}
+
+async function waitForStack() {
+  await waitFor(() => axios.get(`http://localhost:${BROKER.port()}/health`), 'broker to listen');
+  for (const [name, esb] of Object.entries(ESBS)) {
+    await waitFor(() => axios.get(`http://localhost:${esb.port()}/health`), `${name} to listen`);
+  }
+  await waitFor(async () => {
+    const { data } = await axios.get(`http://localhost:${REGISTRY.port()}/api/services`);
+    return data.instances.length >= Object.keys(ESBS).length;
+  }, 'ESBs to register');
+  for (const [id, department] of Object.entries(DEPARTMENTS)) {
+    await waitFor(() => axios.get(`http://localhost:${department.port()}/login`), `ui-${id} to listen`);
+  }
+  await waitFor(() => axios.get(`http://localhost:${ESCALATION.port()}/health`), 'escalation desk to listen');
+  await waitFor(() => axios.get(`http://localhost:${AUDIT.port()}/health`), 'audit service to listen');
+  await waitFor(() => axios.get(`http://localhost:${TRACKING.port()}/health`), 'tracking dashboard to listen');
+}
+
+async function completeStep(engine, processInstanceKey, step) {
+  const { id, url, route } = routeFor(step.task);
+  const headers = await sessionFor(url, step.as || DEPARTMENT_USERS[id]);
+
+  const task = await waitFor(async () => {
+    const { data: tasks } = await axios.get(`${url}/api/tasks`, { headers });
+    return tasks.find(t => t.taskType === step.task && t.processInstanceKey === processInstanceKey);
+  }, `${step.task} task in ui-${id}`);
+
+  // Leave the task waiting past its SLA instead of submitting it
+  if (step.advanceClock) {
+    const countsBefore = await topicCounts();
+    engine.advanceClock(parseDuration(step.advanceClock));
+    await waitFor(async () => (await topicCounts())[step.event] > (countsBefore[step.event] || 0), `an event on ${step.event}`);
+    return;
+  }
+
+  // A submission that must be turned down (e.g. by a role check)
+  if (step.expectStatus) {
+    const { status, data } = await axios.post(`${url}${route}`, { jobKey: task.key, ...step.form }, { headers, validateStatus: () => true });
+    assert.strictEqual(status, step.expectStatus, `${step.task} (POST ui-${id}${route}) answered ${status}: ${JSON.stringify(data)}`);
+    return;
+  }
+
+  try {
+    await axios.post(`${url}${route}`, { jobKey: task.key, ...step.form }, { headers });
+  } catch (error) {
+    const details = error.response ? JSON.stringify(error.response.data) : error.message;
+    throw new Error(`${step.task} (POST ui-${id}${route}) failed: ${details}`);
+  }
+}
+
+async function runScenario(engine, scenario) {
+  const dataAnalysis = `http://localhost:${DEPARTMENTS['data-analysis'].port()}`;
+  const { data: started } = await axios.post(`${dataAnalysis}${scenario.start}`, { reason: scenario.name },
+    { headers: await sessionFor(dataAnalysis, DEPARTMENT_USERS['data-analysis']) });
+  const { processInstanceKey } = started;
+  const countsBefore = await topicCounts();
+
+  for (const step of scenario.steps) {
+    await completeStep(engine, processInstanceKey, step);
+  }
+
+  const instance = await waitFor(async () => {
+    const current = engine.getInstance(processInstanceKey);
+    if (current.state === 'INCIDENT') {
+      throw new Error(`Incident at ${current.incident.elementId}: ${current.incident.message}`);
+    }
+    return current.state === 'COMPLETED' && current;
+  }, `instance ${processInstanceKey} to complete`).catch(error => {
+    const current = engine.getInstance(processInstanceKey);
+    const reached = current.history.map(step => step.elementId).join(' → ');
+    throw new Error(`${current.incident ? current.incident.message : error.message} (path: ${reached})`);
+  });
+
+  // Escalation paths end on their own end event, in no particular order
+  const endEvents = [].concat(scenario.expect.endEvent).sort();
+  assert.deepStrictEqual([...instance.endEventIds].sort(), endEvents, 'end event reached');
+  for (const [name, expected] of Object.entries(scenario.expect.variables || {})) {
+    assert.deepStrictEqual(instance.variables[name], expected, `variable ${name}`);
+  }
+
+  // Publishing is asynchronous: give the ESB outbox a moment
+  for (const topic of scenario.expect.events || []) {
+    await waitFor(async () => (await topicCounts())[topic] > (countsBefore[topic] || 0), `an event on ${topic}`);
+  }
+
+  // Every expected entry must match one recorded for the instance (same values for the fields it names)
+  const audit = `http://localhost:${AUDIT.port()}`;
+  const headers = await sessionFor(audit, AUDITOR);
+  for (const expected of scenario.expect.audit || []) {
+    await waitFor(async () => {
+      const { data } = await axios.get(`${audit}/api/audit`, { params: { processInstanceKey }, headers });
+      return data.entries.some(entry => Object.entries(expected).every(([field, value]) => entry[field] === value));
+    }, `audit entry ${JSON.stringify(expected)}`);
+  }
+
+  // The branch the dashboard reports for each gateway named
+  if (scenario.expect.decisions) {
+    const tracking = `http://localhost:${TRACKING.port()}`;
+    const { data: tracked } = await axios.get(`${tracking}/api/instances/${processInstanceKey}`,
+      { headers: await sessionFor(tracking, DEPARTMENT_USERS['data-analysis']) });
+    const decisions = Object.fromEntries(tracked.decisions.map(decision => [decision.gatewayId, decision.flowId]));
+    assert.deepStrictEqual(decisions, scenario.expect.decisions, 'gateway decisions');
+  }
+}
+
+async function runScenarios() {
+  const selected = scenarios.filter(s => !filter || s.name.toLowerCase().includes(filter.toLowerCase()));
+
+  print('🧪 Running end-to-end scenarios on the local BPMN engine...\n');
+
+  if (!verbose) {
+    console.log = console.info = console.warn = console.error = () => {};
+  }
+
+  const engine = startLocalStack();
+  await waitForStack();
+
+  let failures = 0;
+  for (const scenario of selected) {
+    const startedAt = Date.now();
+    try {
+      await runScenario(engine, scenario);
+      print(`✅ ${scenario.name} → ${[].concat(scenario.expect.endEvent).join(' + ')} (${Date.now() - startedAt} ms)`);
+    } catch (error) {
+      failures++;
+      print(`❌ ${scenario.name}`);
+      error.message.split('\n').filter(line => line.trim()).forEach(line => print(`     ${line}`));
+    }
+  }
+
+  print(`\n${selected.length} scenario(s) run, ${failures} failure(s)\n`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+runScenarios().catch(error => {
+  print(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,431 @@
+/**
+ * End-to-End Scenarios
+ *
+ * Each scenario starts a workflow from the Data Analysis UI, then submits
+ * department forms in order (as the browsers post them: string values)
+ * through the routes declared in each department's task-handlers.js.
+ * `expect.endEvent` is the BPMN end event the instance must finish on (or
+ * the list of them when an SLA escalation path ran alongside) and
+ * `expect.variables` the process variables it must have accumulated;
+ * `expect.events` lists broker topics that must receive a message and
+ * `expect.audit` entries the audit trail must hold for the instance (each
+ * matched on the fields it names); `expect.decisions` maps every exclusive
+ * gateway passed to the sequence flow the tracking dashboard must report.
+ *
+ * A step with `advanceClock` (ISO duration) submits nothing: once its task
+ * is waiting, the engine clock is moved forward by that much and the step
+ * waits for a message on its `event` topic.
+ *
+ * Forms are submitted by the department's demo account (see
+ * run-scenarios.js) or the one named by `as`; a step with `expectStatus`
+ * must be answered with that HTTP status (a refusal, or 202 for a first
+ * approval waiting for a second approver) and leaves the task waiting.
+ *
+ * Run with: node scripts/run-scenarios.js [name filter]
+ */
+
+// ============================================================================
+// Reusable form submissions
+// ============================================================================
+
+const promotionForms = {
+  identify: { task: 'identify-products', form: { productIds: 'sku-001, sku-002', reason: 'expiring', urgency: 'high' } },
+  propose: { task: 'propose-promotion', form: { discount: '25', promoText: 'Spring sale', durationDays: '14' } },
+  proposeDeep: { task: 'propose-promotion', form: { discount: '60', promoText: 'Clearance', durationDays: '7' } },
+  prepareInStore: { task: 'prepare-instore-update', form: { storeIds: 'S001, S002', labelsReady: 'true' } },
+  approve: { task: 'evaluate-profitability', form: { expectedUplift: '40', cannibalization: '10', riskLevel: 'low', approved: 'true' } },
+  refuse: { task: 'evaluate-profitability', form: { expectedUplift: '5', cannibalization: '30', riskLevel: 'high', approved: 'false' } },
+  approveHighRisk: { task: 'evaluate-profitability', form: { expectedUplift: '10', cannibalization: '20', riskLevel: 'high', approved: 'true' } },
+  materials: { task: 'prepare-promotion-material', form: { flyerQty: '500', digitalChannels: ['email', 'social_media'], posterQty: '20', headline: 'Big deals' } },
+  systemPrices: { task: 'update-system-prices', form: { posUpdated: 'on', terminalCount: '12', erpUpdated: 'on', ecomUpdated: 'on', inventoryUpdated: 'on' } },
+  physicalPrices: { task: 'update-physical-prices', form: { labelsUpdated: '120', allStoresCompleted: 'true' } },
+  evaluationOverdue: { task: 'evaluate-profitability', advanceClock: 'PT25H', event: 'task.escalated' }
+};
+
+const stockForms = {
+  compute: {
+    task: 'compute-replenishment-quantity',
+    form: { productId: 'SKU-001', productName: 'Organic Milk 1L', currentStock: '40', avgDailySales: '12', leadTimeDays: '7', safetyStockDays: '5' }
+  },
+  computeSmall: {
+    task: 'compute-replenishment-quantity',
+    form: { productId: 'SKU-001', productName: 'Organic Milk 1L', currentStock: '60', avgDailySales: '6', leadTimeDays: '7', safetyStockDays: '5' }
+  },
+  computeFromCatalog: {
+    task: 'compute-replenishment-quantity',
+    form: { productId: 'sku-001', productName: '', currentStock: '', avgDailySales: '', leadTimeDays: '7', safetyStockDays: '5' }
+  },
+  computeSeasonal: {
+    task: 'compute-replenishment-quantity',
+    form: { productId: 'SKU-001', productName: '', currentStock: '', avgDailySales: '', leadTimeDays: '7', safetyStockDays: '', forecastMethod: 'seasonal', serviceLevel: '0.95' }
+  },
+  computeFromSupplier: {
+    task: 'compute-replenishment-quantity',
+    form: { productId: 'SKU-001', productName: '', currentStock: '', avgDailySales: '', leadTimeDays: '', safetyStockDays: '5' }
+  },
+  request: { task: 'create-replenishment-request', form: { urgencyLevel: 'high', requestedQuantity: '272', notes: 'Shelf empty' } },
+  verifyOk: { task: 'verify-stock', form: { verifiedStock: '40', stockStatus: 'correct', shelfLocation: 'A1-01', notes: '' } },
+  verifyFailed: { task: 'verify-stock', form: { verifiedStock: '12', stockStatus: 'understocked', shelfLocation: 'A1-01', notes: 'Missing pallet' } },
+  budgetApproved: { task: 'analyze-replenishment', form: { budgetAmount: '10000', priorityLevel: 'high', notes: '', budgetApproved: 'true' } },
+  budgetRefused: { task: 'analyze-replenishment', form: { budgetAmount: '1000', priorityLevel: 'low', notes: 'No budget left', budgetApproved: 'false' } },
+  order: { task: 'process-replenishment', form: { supplierId: 'SUP-002', supplierName: 'Valley Wholesale', orderQuantity: '272', expedited: 'false', notes: '' } },
+  delivered: { task: 'check-delivery', form: { deliveryStatus: 'delivered', quantityReceived: '272', damagedQty: '0', damageReport: '', notes: '' } },
+  // The small order as Finance approved it: ordering more needs a new approval
+  orderSmall: { task: 'process-replenishment', form: { supplierId: 'SUP-002', supplierName: 'Valley Wholesale', orderQuantity: '96', expedited: 'false', notes: '' } },
+  deliveredSmall: { task: 'check-delivery', form: { deliveryStatus: 'delivered', quantityReceived: '96', damagedQty: '0', damageReport: '', notes: '' } },
+  damaged: { task: 'check-delivery', form: { deliveryStatus: 'damaged', quantityReceived: '272', damagedQty: '40', damageReport: 'Crushed boxes', notes: '' } },
+  returned: { task: 'handle-return', form: { returnQuantity: '40', returnReason: 'damaged', replacementRequested: 'true', notes: 'Crushed boxes' } },
+  stockSystems: { task: 'update-stock-systems', form: { erpUpdated: 'on', wmsUpdated: 'on', posUpdated: 'on', notes: '' } },
+  budgetOverdue: { task: 'analyze-replenishment', advanceClock: 'PT25H', event: 'task.escalated' }
+};
+
+// ============================================================================
+// Scenarios
+// ============================================================================
+
+module.exports = [
+  {
+    name: 'Promotion approved and rolled out',
+    start: '/start-workflow',
+    steps: [
+      promotionForms.identify,
+      promotionForms.propose,
+      promotionForms.prepareInStore,
+      // Below its break-even uplift, so HIGH_RISK: a second Finance user signs it off
+      { ...promotionForms.approve, expectStatus: 202 },
+      { ...promotionForms.approve, as: 'frank' },
+      promotionForms.materials,
+      promotionForms.systemPrices,
+      promotionForms.physicalPrices
+    ],
+    expect: {
+      endEvent: 'End_Success',
+      variables: {
+        targetProducts: ['sku-001', 'sku-002'],
+        discountPercentage: 25,
+        durationDays: 14,
+        storesNotified: ['S001', 'S002'],
+        approved: true,
+        originalMargin: 45.43,
+        marginAfterPromo: 27.24,
+        revenueImpact: '+5%',
+        breakEvenUplift: 157.3,
+        startedBy: 'dana',
+        analyst: 'dana',
+        approvedBy: 'fiona',
+        secondApprovedBy: 'frank'
+      },
+      events: ['prices.synced'],
+      decisions: { Gateway_Approval: 'Flow_Yes' }
+    }
+  },
+  {
+    name: 'Promotion refused by Finance',
+    start: '/start-workflow',
+    steps: [
+      promotionForms.identify,
+      promotionForms.propose,
+      promotionForms.prepareInStore,
+      promotionForms.refuse
+    ],
+    expect: {
+      endEvent: 'End_Refused',
+      variables: {
+        approved: false,
+        riskLevel: 'high',
+        riskCategory: 'HIGH_RISK',
+        revenueImpact: '-21.25%'
+      }
+    }
+  },
+  {
+    name: 'Promotion rejected by approval policy',
+    start: '/start-workflow',
+    steps: [
+      promotionForms.identify,
+      promotionForms.proposeDeep,
+      promotionForms.prepareInStore
+    ],
+    expect: {
+      endEvent: 'End_Refused',
+      variables: {
+        approved: false,
+        decisionPolicy: 'promotion-below-margin-floor',
+        approvedBy: 'Approval policy promotion-below-margin-floor'
+      }
+    }
+  },
+  {
+    name: 'High-risk promotion approval overruled by a second approver',
+    start: '/start-workflow',
+    steps: [
+      promotionForms.identify,
+      promotionForms.propose,
+      promotionForms.prepareInStore,
+      { ...promotionForms.approveHighRisk, expectStatus: 202 },
+      { ...promotionForms.refuse, as: 'frank' }
+    ],
+    expect: {
+      endEvent: 'End_Refused',
+      variables: {
+        approved: false,
+        approvedBy: 'frank',
+        firstApprovedBy: 'fiona',
+        secondApprovalReason: 'ESB1 rates the promotion HIGH_RISK'
+      }
+    }
+  },
+  {
+    name: 'Promotion evaluation overdue and decided by escalation',
+    start: '/start-workflow',
+    steps: [
+      promotionForms.identify,
+      promotionForms.propose,
+      promotionForms.prepareInStore,
+      promotionForms.evaluationOverdue
+    ],
+    expect: {
+      endEvent: ['End_ProfitabilityStudy_Escalated', 'End_Refused'],
+      variables: {
+        approved: false,
+        approvedBy: 'SLA escalation',
+        slaBreached: true
+      },
+      events: ['task.overdue', 'task.escalated']
+    }
+  },
+  {
+    name: 'Stock replenished',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.compute,
+      stockForms.request,
+      stockForms.verifyOk,
+      stockForms.budgetApproved,
+      stockForms.order,
+      stockForms.delivered,
+      stockForms.stockSystems
+    ],
+    expect: {
+      endEvent: 'End_Success',
+      variables: {
+        productId: 'SKU-001',
+        recommendedQuantity: 272,
+        stockVerified: true,
+        financeApproved: true,
+        supplierId: 'SUP-002',
+        supplierName: 'Valley Wholesale',
+        budgetLine: 'logistics/dairy',
+        deliveryConforming: true,
+        createdBy: 'maya',
+        verifiedBy: 'maya',
+        approvedBy: 'fiona',
+        checkedBy: 'leo'
+      },
+      events: ['budget.reviewed', 'purchase-order.issued', 'budget.committed', 'delivery.checked', 'stock-levels.updated'],
+      audit: [
+        { type: 'process.started', user: 'dana' },
+        { type: 'task.claimed', taskType: 'analyze-replenishment' },
+        { type: 'task.submitted', taskType: 'analyze-replenishment', user: 'fiona' },
+        { type: 'esb.called', taskType: 'analyze-replenishment', user: 'fiona' },
+        { type: 'task.completed', taskType: 'check-delivery', user: 'leo' }
+      ]
+    }
+  },
+  {
+    name: 'Small replenishment approved by approval policy',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.computeSmall,
+      stockForms.request,
+      stockForms.verifyOk,
+      // More than the policy approved: ESB2 refuses the order (RESERVATION_EXCEEDED)
+      { ...stockForms.order, expectStatus: 422 },
+      stockForms.orderSmall,
+      stockForms.deliveredSmall,
+      stockForms.stockSystems
+    ],
+    expect: {
+      endEvent: 'End_Success',
+      variables: {
+        financeApproved: true,
+        decisionPolicy: 'small-replenishment',
+        budgetLine: 'logistics/dairy'
+      },
+      events: ['budget.reviewed', 'purchase-order.issued', 'budget.committed']
+    }
+  },
+  {
+    name: 'Large replenishment approved by two Finance users',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.computeSeasonal,
+      stockForms.request,
+      stockForms.verifyOk,
+      // Above FOUR_EYES_MIN_ORDER_COST: recorded, then the same user may not sign it off
+      { ...stockForms.budgetApproved, expectStatus: 202 },
+      { ...stockForms.budgetApproved, expectStatus: 403 },
+      { ...stockForms.budgetApproved, as: 'frank' },
+      stockForms.order,
+      stockForms.delivered,
+      stockForms.stockSystems
+    ],
+    expect: {
+      endEvent: 'End_Success',
+      variables: {
+        recommendedQuantity: 1437,
+        financeApproved: true,
+        approvedBy: 'fiona',
+        secondApprovedBy: 'frank',
+        secondApprovalReason: 'Order of 1437 units costing 1221.45 is above the 1000 four-eyes limit'
+      },
+      events: ['budget.reviewed', 'purchase-order.issued', 'budget.committed'],
+      audit: [
+        { type: 'task.first-approval', taskType: 'analyze-replenishment', user: 'fiona' },
+        { type: 'task.refused', taskType: 'analyze-replenishment', user: 'fiona' },
+        { type: 'task.completed', taskType: 'analyze-replenishment', user: 'frank' }
+      ]
+    }
+  },
+  {
+    name: 'Stock figures pulled from the catalog',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.computeFromCatalog,
+      stockForms.request,
+      stockForms.verifyFailed
+    ],
+    expect: {
+      endEvent: 'End_VerificationFailed',
+      variables: {
+        productId: 'SKU-001',
+        productName: 'Organic Milk 1L',
+        productCategory: 'dairy',
+        unitCost: 0.85,
+        currentStock: 28,
+        dataSources: { leadTimeDays: 'request', currentStock: 'catalog', avgDailySales: 'catalog' }
+      }
+    }
+  },
+  {
+    name: 'Lead time from the recommended supplier',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.computeFromSupplier,
+      stockForms.request,
+      stockForms.verifyFailed
+    ],
+    expect: {
+      endEvent: 'End_VerificationFailed',
+      variables: {
+        leadTimeDays: 3,
+        recommendedSupplierId: 'SUP-001',
+        recommendedSupplierName: 'FreshFarm Dairy Co.',
+        dataSources: { leadTimeDays: 'supplier', currentStock: 'catalog', avgDailySales: 'catalog' }
+      }
+    }
+  },
+  {
+    name: 'Stock forecast from seasonal sales history',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.computeSeasonal,
+      stockForms.request,
+      stockForms.verifyFailed
+    ],
+    expect: {
+      endEvent: 'End_VerificationFailed',
+      variables: {
+        forecastMethod: 'seasonal',
+        calculationMethod: 'Weekly Seasonal + 95% Service Level + EOQ',
+        reorderPoint: 89,
+        recommendedQuantity: 1437,
+        dataSources: { leadTimeDays: 'request', currentStock: 'catalog', avgDailySales: 'forecast' }
+      }
+    }
+  },
+  {
+    name: 'Stock verification failed',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.compute,
+      stockForms.request,
+      stockForms.verifyFailed
+    ],
+    expect: {
+      endEvent: 'End_VerificationFailed',
+      variables: {
+        stockVerified: false,
+        stockStatus: 'understocked'
+      }
+    }
+  },
+  {
+    name: 'Replenishment refused by Finance',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.compute,
+      stockForms.request,
+      stockForms.verifyOk,
+      stockForms.budgetRefused
+    ],
+    expect: {
+      endEvent: 'End_FinanceRefused',
+      variables: {
+        stockVerified: true,
+        financeApproved: false,
+        budgetReservationId: null
+      },
+      events: ['budget.reviewed']
+    }
+  },
+  {
+    name: 'Budget review overdue and reassigned',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.compute,
+      stockForms.request,
+      stockForms.verifyOk,
+      stockForms.budgetOverdue,
+      // Reassigned to finance-managers: a Finance user without that group is turned away
+      { ...stockForms.budgetApproved, expectStatus: 403 },
+      { ...stockForms.budgetApproved, as: 'frank' },
+      stockForms.order,
+      stockForms.delivered,
+      stockForms.stockSystems
+    ],
+    expect: {
+      endEvent: ['End_FinanceAnalyze_Escalated', 'End_Success'],
+      variables: {
+        financeApproved: true,
+        approvedBy: 'frank',
+        slaBreached: true,
+        reassignedTo: 'finance-managers'
+      },
+      events: ['task.overdue', 'task.escalated']
+    }
+  },
+  {
+    name: 'Damaged delivery returned',
+    start: '/start-stock-workflow',
+    steps: [
+      stockForms.compute,
+      stockForms.request,
+      stockForms.verifyOk,
+      stockForms.budgetApproved,
+      stockForms.order,
+      stockForms.damaged,
+      stockForms.returned
+    ],
+    expect: {
+      endEvent: 'End_ReturnCompleted',
+      variables: {
+        deliveryConforming: false,
+        quantityDamaged: 40,
+        returnQuantity: 40
+      },
+      events: ['goods.returned'],
+      decisions: { Gateway_StockOK: 'Flow_StockYes', Gateway_FinanceApproved: 'Flow_FinanceYes', Gateway_DeliveryOK: 'Flow_DeliveryNo' }
+    }
+  }
+];
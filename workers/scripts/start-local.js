@@ -0,0 +1,23 @@
+/**
+ * Run Everything Offline
+ *
+ * Boots the registry, the broker, the audit service, ESB1, ESB2, all seven department UIs and the escalation desk in a single Node process
+ * on top of the local BPMN engine, so both workflows can be driven from the
+ * browser without a Camunda 8 cluster.
+ * Usage: node scripts/start-local.js
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { startLocalStack } = require('./local-stack');
+
+console.log('🧪 Starting ESBs and department UIs on the local BPMN engine...\n');
+
+startLocalStack();
+
+// Opt-in: the scanner starts workflows on its own
+if (process.env.SCANNER_ENABLED === 'true') {
+  require('../scanner').startScanner();
+}
@@ -6,13 +6,18 @@
  */
 
 require('dotenv').config();
-const { Camunda8 } = require('@camunda8/sdk');
+const { zeebeEngine, createZeebeClient } = require('../ui-common/zeebe-client');
 
 async function startProcess() {
   console.log('🚀 Starting new Product Promotion Process...\n');
+
+  // The local engine lives inside the process that runs the UIs
+  if (zeebeEngine() === 'local') {
+    console.error('❌ ZEEBE_ENGINE=local: start workflows from the Data Analysis UI of `npm run start:local` instead.');
+    process.exit(1);
+  }
   
-  const c8 = new Camunda8();
-  const zeebe = c8.getZeebeGrpcApiClient();
+  const zeebe = createZeebeClient();
   
   try {
     const result = await zeebe.createProcessInstance({
@@ -0,0 +1,108 @@
+/**
+ * Manage UI Users
+ * Edits the users file of the local login (USERS_FILE, defaults to
+ * ui-common/users.json). Running UIs pick the change up within a second.
+ *
+ * Usage:
+ *   node scripts/users.js list
+ *   node scripts/users.js add <username> --name "Full Name" --roles finance,finance-managers [--password secret]
+ *   node scripts/users.js passwd <username> [--password secret]
+ *   node scripts/users.js roles <username> --roles finance
+ *   node scripts/users.js disable|enable <username>
+ *   node scripts/users.js remove <username>
+ *
+ * Without --password a random one is generated and printed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { hashPassword, loadUsers } = require('../ui-common/auth');
+
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, '../ui-common/users.json');
+
+const [command, username, ...rest] = process.argv.slice(2);
+
+// --flag value pairs
+const options = {};
+for (let i = 0; i < rest.length; i += 2) {
+  options[rest[i].replace(/^--/, '')] = rest[i + 1];
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function save(data) {
+  const { file, ...users } = data;
+  fs.writeFileSync(USERS_FILE, `${JSON.stringify(users, null, 2)}\n`);
+  // Written files must still load
+  loadUsers(USERS_FILE);
+}
+
+function newPassword() {
+  if (options.password) {
+    return options.password;
+  }
+  const generated = crypto.randomBytes(9).toString('base64url');
+  console.log(`🔑 Generated password for ${username}: ${generated}`);
+  return generated;
+}
+
+const parseRoles = (roles) => String(roles || '').split(',').map(role => role.trim()).filter(Boolean);
+
+function run() {
+  const data = fs.existsSync(USERS_FILE) ? loadUsers(USERS_FILE) : { version: 'default', users: [] };
+  const user = data.users.find(candidate => candidate.username === username);
+
+  if (command === 'list') {
+    for (const { username: name, name: fullName, roles, enabled } of data.users) {
+      console.log(`${enabled === false ? '🚫' : '👤'} ${name.padEnd(12)} ${fullName.padEnd(24)} ${roles.join(', ')}`);
+    }
+    return;
+  }
+  if (!username) {
+    fail('A username is required');
+  }
+
+  switch (command) {
+    case 'add':
+      if (user) {
+        fail(`${username} already exists`);
+      }
+      if (!options.name || parseRoles(options.roles).length === 0) {
+        fail('add needs --name and --roles');
+      }
+      data.users.push({ username, name: options.name, roles: parseRoles(options.roles), password: hashPassword(newPassword()) });
+      break;
+    case 'passwd':
+    case 'roles':
+    case 'disable':
+    case 'enable':
+    case 'remove':
+      if (!user) {
+        fail(`Unknown user ${username}`);
+      }
+      if (command === 'passwd') {
+        user.password = hashPassword(newPassword());
+      } else if (command === 'roles') {
+        user.roles = parseRoles(options.roles);
+      } else if (command === 'remove') {
+        data.users.splice(data.users.indexOf(user), 1);
+      } else {
+        user.enabled = command === 'enable';
+      }
+      break;
+    default:
+      fail(`Unknown command ${command} (list, add, passwd, roles, disable, enable, remove)`);
+  }
+
+  save(data);
+  console.log(`✅ ${command} ${username} → ${USERS_FILE}`);
+}
+
+run();
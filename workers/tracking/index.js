@@ -0,0 +1,244 @@
+/**
+ * Process Instance Tracking
+ * Port: 4009
+ *
+ * Cross-department dashboard of every running and finished instance of both
+ * workflows: the BPMN diagram (rendered in the browser from the .bpmn files)
+ * with the current activity highlighted, the path taken so far, the branch
+ * chosen at each exclusive gateway (Gateway_Approval, Gateway_DeliveryOK,
+ * ...) and the variables each job set.
+ *
+ * Instances come from the local engine or Camunda Operate
+ * (ui-common/zeebe-client.js); the page is told to refresh an instance
+ * whenever the department UIs record something about it (the `audit.#`
+ * broker messages, through the subscription `tracking`).
+ *
+ * The page and API need a login with any department role, `managers` or
+ * `auditors` (ui-common/auth.js).
+ *
+ * Endpoints:
+ *   - GET /?instance=<key> - Dashboard, optionally opened on one instance
+ *   - GET /api/processes - Tracked workflows
+ *   - GET /api/processes/:bpmnProcessId/xml - BPMN XML of a workflow
+ *   - GET /api/instances?bpmnProcessId=&state= - Instances, newest first
+ *   - GET /api/instances/:processInstanceKey - One instance with its path and variable history
+ *   - GET /health
+ *
+ * Usage: node tracking/index.js (runs inside start:local with ZEEBE_ENGINE=local)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const { parseBpmn } = require('../local-engine/bpmn');
+const { zeebeEngine, listProcessInstances, getProcessInstance } = require('../ui-common/zeebe-client');
+const { subscribe } = require('../broker/client');
+const { createAuth } = require('../ui-common/auth');
+
+const PORT = process.env.TRACKING_PORT || 4009;
+
+const BPMN_FILES = [
+  path.join(__dirname, '../../process-zeebe.bpmn'),
+  path.join(__dirname, '../../stock-management-zeebe.bpmn')
+];
+
+const TRACKING_ROLES = ['data-analysis', 'commercial', 'finance', 'marketing', 'it', 'logistics', 'merchandising', 'managers', 'auditors'];
+
+/**
+ * Parse the workflow files
+ * @returns {Map<string, object>} - bpmnProcessId -> { bpmnProcessId, name, resourceName, xml, model }
+ */
+function loadProcesses() {
+  const processes = new Map();
+  for (const file of BPMN_FILES) {
+    const xml = fs.readFileSync(file, 'utf8');
+    for (const model of parseBpmn(xml)) {
+      processes.set(model.bpmnProcessId, {
+        bpmnProcessId: model.bpmnProcessId,
+        name: model.name,
+        resourceName: path.basename(file),
+        xml,
+        model
+      });
+    }
+  }
+  return processes;
+}
+
+/**
+ * An instance with element names, its gateway decisions and current activity
+ * @param {object} instance - From getProcessInstance()
+ * @param {object} model - Parsed BPMN process
+ * @returns {object} - The instance plus { processName, currentActivities, decisions }
+ */
+function describeInstance(instance, { name, elements, flows }) {
+  const nameOf = (elementId) => elements[elementId]?.name || elementId;
+
+  // The step that entered an element, at or after a position in the history
+  const stepAt = (elementId, from) => instance.history.slice(from).find(step => step.elementId === elementId);
+
+  const decisions = instance.sequenceFlowIds
+    .map(flowId => flows[flowId])
+    .filter(flow => flow && elements[flow.sourceRef].type === 'exclusiveGateway')
+    .map(flow => {
+      const gatewayIndex = instance.history.findIndex(step => step.elementId === flow.sourceRef);
+      const gateway = elements[flow.sourceRef];
+      return {
+        gatewayId: gateway.id,
+        gatewayName: nameOf(gateway.id),
+        flowId: flow.id,
+        flowName: flow.name || (flow.id === gateway.defaultFlow ? 'default' : flow.condition || flow.id),
+        targetId: flow.targetRef,
+        targetName: nameOf(flow.targetRef),
+        at: stepAt(flow.targetRef, Math.max(gatewayIndex, 0))?.at || null
+      };
+    });
+
+  const currentIds = instance.state === 'INCIDENT' && instance.incident?.elementId
+    ? [instance.incident.elementId]
+    : instance.activeElementIds;
+
+  return {
+    ...instance,
+    processName: name,
+    currentActivities: [...new Set(currentIds)].map(elementId => ({ elementId, name: nameOf(elementId) })),
+    history: instance.history.map(step => ({ ...step, name: nameOf(step.elementId) })),
+    variableHistory: instance.variableHistory.map(change => ({ ...change, elementName: change.elementId ? nameOf(change.elementId) : null })),
+    decisions
+  };
+}
+
+/**
+ * Start the tracking dashboard on TRACKING_PORT
+ * @returns {object} - { app, io, processes }
+ */
+function startTracking() {
+  const processes = loadProcesses();
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server);
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
+  app.use('/common', express.static(path.join(__dirname, '../ui-common/public')));
+
+  // Every department plus managers and auditors; /health stays open for monitoring
+  createAuth({
+    title: 'Process Tracking',
+    icon: '🗺️',
+    roles: TRACKING_ROLES,
+    baseUrl: `http://localhost:${PORT}`,
+    openPaths: ['/health']
+  }).install(app, io);
+
+  app.get('/', (req, res) => {
+    res.render('index', {
+      processes: Array.from(processes.values()).map(({ bpmnProcessId, name }) => ({ bpmnProcessId, name })),
+      selected: req.query.instance || ''
+    });
+  });
+
+  app.get('/api/processes', (req, res) => {
+    res.json(Array.from(processes.values()).map(({ bpmnProcessId, name, resourceName }) => ({ bpmnProcessId, name, resourceName })));
+  });
+
+  app.get('/api/processes/:bpmnProcessId/xml', (req, res) => {
+    const workflow = processes.get(req.params.bpmnProcessId);
+    if (!workflow) {
+      return res.status(404).json({ error: `Unknown process ${req.params.bpmnProcessId}` });
+    }
+    res.type('application/xml').send(workflow.xml);
+  });
+
+  app.get('/api/instances', async (req, res) => {
+    const { bpmnProcessId, state } = req.query;
+    if (bpmnProcessId && !processes.has(bpmnProcessId)) {
+      return res.status(404).json({ error: `Unknown process ${bpmnProcessId}` });
+    }
+    try {
+      const lists = await Promise.all((bpmnProcessId ? [bpmnProcessId] : Array.from(processes.keys())).map(listProcessInstances));
+      const instances = lists.flat()
+        .filter(instance => !state || instance.state === state)
+        .map(instance => ({ ...instance, processName: processes.get(instance.bpmnProcessId).name }))
+        .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+      res.json({ success: true, count: instances.length, instances });
+    } catch (error) {
+      console.error('Failed to list process instances:', error.message);
+      res.status(502).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/instances/:processInstanceKey', async (req, res) => {
+    try {
+      const instance = await getProcessInstance(req.params.processInstanceKey);
+      const workflow = instance && processes.get(instance.bpmnProcessId);
+      if (!workflow) {
+        return res.status(404).json({ error: `Process instance ${req.params.processInstanceKey} not found` });
+      }
+      res.json(describeInstance(instance, workflow.model));
+    } catch (error) {
+      console.error(`Failed to load process instance ${req.params.processInstanceKey}:`, error.message);
+      res.status(502).json({ error: error.message });
+    }
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', service: 'tracking', port: PORT, engine: zeebeEngine() });
+  });
+
+  // Whatever a department records about an instance may have moved it on
+  const subscription = subscribe({
+    name: 'tracking',
+    topics: ['audit.#'],
+    onMessage: async ({ payload }) => {
+      if (payload?.processInstanceKey) {
+        io.emit('instance-changed', { processInstanceKey: payload.processInstanceKey, type: payload.type });
+      }
+    }
+  });
+  if (!subscription) {
+    console.warn('⚠️  BROKER_URL is not set - the dashboard only refreshes on reload');
+  }
+
+  server.listen(PORT, () => {
+    console.log('');
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           🗺️  Process Tracking                                ║');
+    console.log('╠══════════════════════════════════════════════════════════════╣');
+    console.log(`║  Server running on http://localhost:${PORT}                    ║`);
+    console.log(`║  Workflows: ${`${processes.size} (${BPMN_FILES.map(file => path.basename(file)).join(', ')})`.slice(0, 49).padEnd(49)}║`);
+    console.log('╚══════════════════════════════════════════════════════════════╝');
+    console.log('');
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n\n🛑 Shutting down Process Tracking...');
+    subscription?.stop();
+    server.close();
+    process.exit(0);
+  });
+
+  return { app, io, processes };
+}
+
+module.exports = {
+  loadProcesses,
+  describeInstance,
+  startTracking
+};
+
+if (require.main === module) {
+  // The local engine lives inside the process that runs the UIs
+  if (zeebeEngine() === 'local') {
+    console.error('❌ ZEEBE_ENGINE=local: the tracking dashboard already runs inside `npm run start:local`.');
+    process.exit(1);
+  }
+  startTracking();
+}
@@ -0,0 +1,73 @@
+/**
+ * Commercial Department Task Handlers
+ * Maps the promotion and in-store forms to ESB2 calls and Zeebe variables.
+ */
+
+const { toInt, toBool, toText } = require('../ui-common/form-values');
+
+module.exports = {
+  'propose-promotion': {
+    route: '/complete-task/propose-promotion',
+    workflow: 'promotion',
+    esbEndpoint: '/api/propose-promotion',
+    toEsbRequest: ({ discount, promoText, durationDays }) => ({
+      discount: toInt(discount),
+      promoText: toText(promoText),
+      durationDays: toInt(durationDays)
+    }),
+    // Discount, text and dates as ESB2 accepted and scheduled them
+    toVariables: (body, task, esbResponse) => ({
+      discountPercentage: esbResponse.transformed.discountPercentage,
+      promotionText: esbResponse.transformed.promotionText,
+      promotionType: 'percentage_discount',
+      validFrom: esbResponse.transformed.startDateISO,
+      validUntil: esbResponse.transformed.endDateISO,
+      durationDays: esbResponse.transformed.durationDays,
+      department: 'Commercial & Purchasing',
+      esbData: esbResponse.transformed
+    })
+  },
+
+  'prepare-instore-update': {
+    route: '/complete-task/prepare-instore-update',
+    workflow: 'promotion',
+    esbEndpoint: '/api/prepare-instore',
+    toEsbRequest: ({ storeIds, labelsReady }) => ({
+      storeIds,
+      labelsReady: toBool(labelsReady)
+    }),
+    toVariables: ({ storeIds }, task, esbResponse, user, request) => {
+      const storeList = typeof storeIds === 'string'
+        ? storeIds.split(',').map(s => s.trim()).filter(s => s)
+        : storeIds;
+
+      return {
+        preparationStatus: request.labelsReady ? 'ready' : 'pending',
+        labelsGenerated: request.labelsReady,
+        storesNotified: storeList,
+        preparationTimestamp: new Date().toISOString(),
+        department: 'Commercial & Purchasing',
+        esbData: esbResponse.transformed
+      };
+    }
+  },
+
+  'update-physical-prices': {
+    route: '/complete-task/update-physical-prices',
+    workflow: 'promotion',
+    esbEndpoint: '/api/update-physical-prices',
+    toEsbRequest: ({ labelsUpdated, allStoresCompleted }, task) => ({
+      labelsUpdated: toInt(labelsUpdated),
+      allStoresCompleted: toBool(allStoresCompleted),
+      storeCount: (task.variables.storesNotified || []).length || undefined
+    }),
+    toVariables: (body, task, esbResponse, user, request) => ({
+      physicalUpdateStatus: request.allStoresCompleted ? 'labels updated' : 'in progress',
+      updatedLabels: esbResponse.transformed.updateSummary.totalLabelsUpdated,
+      storesCompleted: task.variables.storesNotified || [],
+      updateTimestamp: new Date().toISOString(),
+      department: 'Commercial & Purchasing',
+      esbData: esbResponse.transformed
+    })
+  }
+};
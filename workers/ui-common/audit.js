@@ -0,0 +1,72 @@
+/**
+ * Audit Trail (recording side)
+ * Department UIs, the scanner and other writers record what happened to a
+ * task as `audit.<type>` messages on the message broker; the audit service
+ * (workers/audit/) keeps them in its append-only log. Going through the
+ * broker's outbox, recording never fails or slows down the caller.
+ *
+ * Types written by the department servers:
+ *   - process.started   - a workflow instance was started (variables)
+ *   - task.claimed      - a job reached the UI (variables)
+ *   - task.submitted    - a form was posted (route, form)
+ *   - esb.called        - the ESB request and response (or error) of a completion
+ *   - task.completed    - the variables sent to completeJob
+ *   - task.refused / task.failed / task.queued / task.first-approval / task.escalated
+ */
+
+const { createPublisher } = require('../broker/client');
+
+// Task and request fields naming products
+const SKU_FIELDS = ['productId', 'productIds', 'targetProducts', 'candidateProducts', 'sku'];
+
+/**
+ * SKUs mentioned by any of the objects
+ * @param {...object} sources - Variables, forms, ESB requests
+ * @returns {Array<string>} - Upper-cased SKUs
+ */
+function skusOf(...sources) {
+  const skus = new Set();
+  for (const source of sources) {
+    for (const field of SKU_FIELDS) {
+      const value = source?.[field];
+      const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+      values.filter(sku => typeof sku === 'string' && sku.trim()).forEach(sku => skus.add(sku.trim().toUpperCase()));
+    }
+  }
+  return Array.from(skus);
+}
+
+/**
+ * Create a recorder for one source
+ * @param {string} source - Who records (e.g. 'ui-finance')
+ * @returns {object} - { record(type, entry) }
+ */
+function createAuditTrail(source) {
+  const publisher = createPublisher(source);
+
+  return {
+    /**
+     * Record an audit entry
+     * @param {string} type - e.g. 'task.completed'
+     * @param {object} entry - { task, user, processInstanceKey, summary, ...details }
+     */
+    record(type, { task = null, user = null, processInstanceKey = null, summary = null, ...details }) {
+      const payload = {
+        type,
+        at: new Date().toISOString(),
+        user: user ? user.username : null,
+        processInstanceKey: String(task?.processInstanceKey ?? processInstanceKey ?? '') || null,
+        jobKey: task ? String(task.key) : null,
+        taskType: task?.taskType || null,
+        skus: skusOf(task?.variables, details.variables, details.form, details.request),
+        details
+      };
+      const subject = task ? `${task.taskType} ${task.key}` : `instance ${payload.processInstanceKey}`;
+      publisher.publish(`audit.${type}`, payload, summary || `${type}: ${subject}${payload.user ? ` by ${payload.user}` : ''}`);
+    }
+  };
+}
+
+module.exports = {
+  createAuditTrail
+};
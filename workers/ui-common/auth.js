@@ -0,0 +1,392 @@
+/**
+ * Department UI Authentication
+ * Login, sessions and role checks shared by the department UIs and the
+ * escalation desk.
+ *
+ * Modes (AUTH_MODE env var):
+ *   - local (default) - username / password from ui-common/users.json (USERS_FILE)
+ *   - oidc            - OpenID Connect authorization code flow against OIDC_ISSUER
+ *                       (the stand-in in oidc/index.js by default)
+ *   - off             - no login, everyone acts as `anonymous` with every role
+ *
+ * A user holds roles: a department id (`finance`) opens that department's
+ * UI, a group (`finance-managers`) can complete the tasks reassigned to it
+ * and `admin` opens everything. The session is a signed cookie
+ * (AUTH_SECRET), so a login is valid on every UI sharing the secret. With
+ * the local login every request and socket connection looks the user up
+ * again: removing or disabling a user ends their sessions, and role changes
+ * apply at once.
+ *
+ * Users file:
+ *   { "version": "...", "users": [{ "username", "name", "roles": [], "password": "scrypt:<salt>:<hash>" }] }
+ * Manage it with `npm run users` (scripts/users.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const { createOidcClient } = require('../oidc/client');
+
+const AUTH_MODES = ['local', 'oidc', 'off'];
+const AUTH_MODE = AUTH_MODES.includes(process.env.AUTH_MODE) ? process.env.AUTH_MODE : 'local';
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, 'users.json');
+const SESSION_TTL_MS = parseInt(process.env.AUTH_SESSION_TTL_MS) || 8 * 60 * 60 * 1000;
+const SECURE_COOKIES = process.env.AUTH_COOKIE_SECURE === 'true';
+const WATCH_INTERVAL = 1000;
+
+const SESSION_COOKIE = 'workflow_session';
+const STATE_COOKIE = 'workflow_oidc';
+const STATE_TTL_MS = 10 * 60 * 1000;
+const ADMIN_ROLE = 'admin';
+const LOGIN_VIEW = path.join(__dirname, 'views', 'login.ejs');
+
+// Acts for everyone with AUTH_MODE=off
+const ANONYMOUS = { username: 'anonymous', name: 'Anonymous', roles: [ADMIN_ROLE] };
+
+const usersSchema = {
+  type: 'object',
+  required: ['version', 'users'],
+  properties: {
+    version: { type: 'string' },
+    description: { type: 'string' },
+    users: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['username', 'name', 'roles', 'password'],
+        additionalProperties: false,
+        properties: {
+          username: { type: 'string', pattern: '^[a-z0-9._-]+$' },
+          name: { type: 'string', minLength: 1 },
+          roles: { type: 'array', items: { type: 'string', minLength: 1 } },
+          password: { type: 'string', pattern: '^scrypt:[0-9a-f]+:[0-9a-f]+$' },
+          enabled: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+const validateUsers = new Ajv({ allErrors: true }).compile(usersSchema);
+
+// Without AUTH_SECRET sessions die with the process and are not shared between UIs
+const secret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+let secretWarned = false;
+
+let current = null;
+
+// ============================================================================
+// Users
+// ============================================================================
+
+/**
+ * Hash a password for the users file
+ * @param {string} password - Clear text
+ * @returns {string} - scrypt:<salt>:<hash>
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 32);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against its hash
+ * @param {string} password - Clear text
+ * @param {string} stored - scrypt:<salt>:<hash>
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [, salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Read and validate a users file
+ * @param {string} file - Path to the JSON users file
+ * @returns {object} - { version, users, file }
+ */
+function loadUsers(file = USERS_FILE) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!validateUsers(data)) {
+    const problems = validateUsers.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join(', ');
+    throw new Error(`Invalid users in ${file}: ${problems}`);
+  }
+  const usernames = data.users.map(user => user.username);
+  const duplicate = usernames.find((username, index) => usernames.indexOf(username) !== index);
+  if (duplicate) {
+    throw new Error(`Invalid users in ${file}: username "${duplicate}" is used twice`);
+  }
+  return { ...data, file };
+}
+
+/**
+ * Current users, loaded on first use and kept in sync with the file.
+ * A broken edit is reported and the previous users stay active.
+ * @returns {object} - See loadUsers()
+ */
+function getUsers() {
+  if (!current) {
+    current = loadUsers();
+    fs.watchFile(USERS_FILE, { interval: WATCH_INTERVAL, persistent: false }, () => {
+      try {
+        current = loadUsers();
+        console.log(`🔄 Users reloaded (version ${current.version})`);
+      } catch (error) {
+        console.error(`⚠️  ${error.message} - keeping version ${current.version}`);
+      }
+    });
+  }
+  return current;
+}
+
+// What a session and the variables may carry about a user
+const publicUser = ({ username, name, roles }) => ({ username, name, roles: [...roles] });
+
+/**
+ * Check a username and password against the users file
+ * @param {string} username
+ * @param {string} password
+ * @returns {object|null} - { username, name, roles } or null
+ */
+function authenticate(username, password) {
+  const user = getUsers().users.find(candidate => candidate.username === String(username || '').trim().toLowerCase());
+  if (!user || user.enabled === false || !verifyPassword(password || '', user.password)) {
+    return null;
+  }
+  return publicUser(user);
+}
+
+/**
+ * Whether a user holds a role (admins hold them all)
+ * @param {object} user - { roles }
+ * @param {string} role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return Boolean(user) && (user.roles.includes(role) || user.roles.includes(ADMIN_ROLE));
+}
+
+// ============================================================================
+// Signed cookies
+// ============================================================================
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// The payload of a signed value that has not expired, or null
+function unsign(value) {
+  const [body, signature] = String(value || '').split('.');
+  if (!body || !signature) {
+    return null;
+  }
+  const expected = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  return payload.exp > Date.now() ? payload : null;
+}
+
+function readCookie(header, name) {
+  const cookie = String(header || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+function setCookie(res, name, value, maxAgeMs) {
+  res.append('Set-Cookie', `${name}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}${SECURE_COOKIES ? '; Secure' : ''}`);
+}
+
+/**
+ * User of a session cookie, as the users file has it now in local mode
+ * (OIDC sessions keep the roles the identity provider issued at login)
+ * @param {string} cookieHeader - Cookie request header
+ * @returns {object|null} - { username, name, roles } or null when not logged
+ *   in, or the user was since removed or disabled
+ */
+function sessionUser(cookieHeader) {
+  if (AUTH_MODE === 'off') {
+    return ANONYMOUS;
+  }
+  const session = unsign(readCookie(cookieHeader, SESSION_COOKIE));
+  if (!session) {
+    return null;
+  }
+  if (AUTH_MODE === 'local') {
+    const user = getUsers().users.find(candidate => candidate.username === session.user.username);
+    return user && user.enabled !== false ? publicUser(user) : null;
+  }
+  return publicUser(session.user);
+}
+
+// Only paths on this server are followed after login
+const safeReturnTo = (returnTo) => (typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : '/');
+
+// ============================================================================
+// Express / socket.io wiring
+// ============================================================================
+
+/**
+ * Login and access control for one UI
+ * @param {object} options
+ * @param {string} options.title - UI title shown on the login page
+ * @param {string} [options.icon] - UI icon shown on the login page
+ * @param {Array<string>} options.roles - Roles that open the UI (any of them)
+ * @param {string} options.baseUrl - URL the browser reaches the UI at (OIDC redirect)
+ * @param {Array<string>} [options.openPaths] - Paths served without login (e.g. /health)
+ * @returns {object} - { install(app, io), allowed(user) }
+ */
+function createAuth({ title, icon = '🔐', roles, baseUrl, openPaths = [] }) {
+  const oidc = AUTH_MODE === 'oidc' ? createOidcClient({ redirectUri: `${baseUrl}/auth/callback` }) : null;
+  if (!process.env.AUTH_SECRET && AUTH_MODE !== 'off' && !secretWarned) {
+    secretWarned = true;
+    console.warn('⚠️  AUTH_SECRET is not set - using a random one, sessions end on restart');
+  }
+
+  const allowed = (user) => roles.some(role => hasRole(user, role));
+
+  function startSession(res, user) {
+    setCookie(res, SESSION_COOKIE, sign({ user: publicUser(user), exp: Date.now() + SESSION_TTL_MS }), SESSION_TTL_MS);
+  }
+
+  function renderLogin(res, status, { error = null, returnTo = '/' } = {}) {
+    res.status(status).render(LOGIN_VIEW, { title, icon, error, returnTo, roles });
+  }
+
+  function deny(req, res, status, message) {
+    // Pages send the browser to the login form, APIs answer with JSON
+    if (req.method === 'GET' && !req.path.startsWith('/api/') && req.accepts(['html', 'json']) === 'html') {
+      if (status === 401) {
+        return res.redirect(`/login?returnTo=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return renderLogin(res, status, { error: message, returnTo: req.originalUrl });
+    }
+    res.status(status).json({ error: message });
+  }
+
+  async function startOidcLogin(req, res) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const state = sign({ nonce, returnTo: safeReturnTo(req.query.returnTo), exp: Date.now() + STATE_TTL_MS });
+    setCookie(res, STATE_COOKIE, state, STATE_TTL_MS);
+    res.redirect(await oidc.authorizationUrl({ state, nonce }));
+  }
+
+  async function finishOidcLogin(req, res) {
+    const state = unsign(req.query.state);
+    if (!state || req.query.state !== readCookie(req.headers.cookie, STATE_COOKIE)) {
+      return renderLogin(res, 400, { error: 'Login expired or was started elsewhere - please sign in again' });
+    }
+    if (req.query.error) {
+      return renderLogin(res, 401, { error: `${req.query.error}: ${req.query.error_description || 'login refused'}`, returnTo: state.returnTo });
+    }
+    const claims = await oidc.exchangeCode(req.query.code, state.nonce);
+    const user = oidc.userFromClaims(claims);
+    setCookie(res, STATE_COOKIE, '', 0);
+    if (!allowed(user)) {
+      return renderLogin(res, 403, { error: `${user.name} has no access to ${title}` });
+    }
+    startSession(res, user);
+    console.log(`🔑 ${user.username} signed in to ${title} (OIDC)`);
+    res.redirect(state.returnTo);
+  }
+
+  /**
+   * Add the login routes, the access check on every later route and on
+   * socket connections
+   * @param {object} app - Express app (body parsers already installed)
+   * @param {object} io - socket.io server
+   */
+  function install(app, io) {
+    app.get('/login', async (req, res) => {
+      if (AUTH_MODE === 'oidc') {
+        try {
+          return await startOidcLogin(req, res);
+        } catch (error) {
+          return renderLogin(res, 502, { error: `Identity provider unreachable: ${error.message}` });
+        }
+      }
+      renderLogin(res, 200, { returnTo: safeReturnTo(req.query.returnTo) });
+    });
+
+    // Form login, or JSON { username, password } for scripts
+    app.post('/login', (req, res) => {
+      const json = req.is('json');
+      const returnTo = safeReturnTo(req.body.returnTo);
+      if (AUTH_MODE !== 'local') {
+        return json ? res.json({ user: sessionUser(req.headers.cookie), mode: AUTH_MODE }) : res.redirect('/login');
+      }
+
+      const user = authenticate(req.body.username, req.body.password);
+      if (!user || !allowed(user)) {
+        const error = user ? `${user.name} has no access to ${title}` : 'Unknown user or wrong password';
+        return json ? res.status(user ? 403 : 401).json({ error }) : renderLogin(res, user ? 403 : 401, { error, returnTo });
+      }
+      startSession(res, user);
+      console.log(`🔑 ${user.username} signed in to ${title}`);
+      json ? res.json({ user }) : res.redirect(returnTo);
+    });
+
+    app.get('/auth/callback', async (req, res) => {
+      try {
+        await finishOidcLogin(req, res);
+      } catch (error) {
+        console.error('OIDC login failed:', error.message);
+        renderLogin(res, 401, { error: `Login failed: ${error.message}` });
+      }
+    });
+
+    app.post('/logout', (req, res) => {
+      setCookie(res, SESSION_COOKIE, '', 0);
+      req.is('json') ? res.json({ success: true }) : res.redirect('/login');
+    });
+
+    app.use((req, res, next) => {
+      if (openPaths.includes(req.path)) {
+        return next();
+      }
+      const user = sessionUser(req.headers.cookie);
+      if (!user) {
+        return deny(req, res, 401, 'Login required');
+      }
+      if (!allowed(user)) {
+        return deny(req, res, 403, `${user.name} has no access to ${title}`);
+      }
+      req.user = user;
+      next();
+    });
+
+    app.get('/api/me', (req, res) => {
+      res.json({ user: req.user, mode: AUTH_MODE });
+    });
+
+    io.use((socket, next) => {
+      const user = sessionUser(socket.request.headers.cookie);
+      if (!user || !allowed(user)) {
+        return next(new Error(user ? 'forbidden' : 'unauthorized'));
+      }
+      socket.data.user = user;
+      next();
+    });
+  }
+
+  return { install, allowed };
+}
+
+module.exports = {
+  AUTH_MODE,
+  ADMIN_ROLE,
+  hashPassword,
+  verifyPassword,
+  loadUsers,
+  getUsers,
+  authenticate,
+  hasRole,
+  sessionUser,
+  createAuth
+};
@@ -0,0 +1,613 @@
+/**
+ * Shared Department UI Server
+ * Express + socket.io + Zeebe workers wiring used by every department UI.
+ *
+ * Each department only declares its metadata and task handlers:
+ *
+ *   createDepartmentServer({
+ *     dept: { id, title, deptName, deptIcon, deptColor, dir },
+ *     port,
+ *     taskHandlers: {
+ *       'job-type': {
+ *         route: '/complete-task',          // form POST route
+ *         workflow: 'promotion' | 'stock',
+ *         esbEndpoint: '/api/...',
+ *         toEsbRequest: (body, task) => payload,
+ *         toVariables: (body, task, esbResponse, user, request) => variables,
+ *         escalationForm: (task) => body,      // decision when its SLA escalates by auto-decide (optional)
+ *         approves: (body) => boolean          // whether a form approves, for secondApproval (optional)
+ *       }
+ *     },
+ *     events: ['purchase-order.issued'],    // broker topics pushed to the browser (optional)
+ *     autoDecide: async (task) => decision, // rules completing jobs on arrival (optional)
+ *     secondApproval: async (task, body) => reason  // approvals needing a second approver (optional)
+ *   });
+ *
+ * Every route after the static files and every socket connection needs a
+ * login holding the department's role (ui-common/auth.js); `user` is who
+ * completes the task ({ username, name, roles }, `system` for automatic
+ * completions). A task reassigned by its SLA escalation can only be
+ * completed by a member of the group it went to.
+ *
+ * When an ESB can't be reached the completion route answers 503, or with
+ * ESB_FAILURE_MODE=queue keeps the submission on the task ('waiting-esb')
+ * and replays it once the ESB's circuit breaker lets calls through.
+ *
+ * `events` are consumed through the durable subscription `ui-<dept id>` on
+ * the message broker (BROKER_URL), emitted to the browsers as 'bus-event'
+ * and kept for GET /api/events.
+ *
+ * `autoDecide` sees each new job before the browsers do. It resolves to
+ * { body, variables, rationale } to complete the job as if `body` had been
+ * submitted (`variables` are added to the completion), to { reason } to
+ * show the job with that reason, or to null. An automatic completion the
+ * ESB turns down leaves the job to the user with the ESB's message.
+ * Automatic completions are kept for GET /api/auto-completed.
+ *
+ * `secondApproval` is asked about every approving form (`approves`). When
+ * it gives a reason, the approval is only recorded on the task
+ * ('awaiting-second-approval', emitted as 'task-awaiting-approval') and the
+ * job completes once a different user submits the form again: approving
+ * signs the recorded decision off, rejecting overrules it. A policy
+ * approval that would need a second approver is left to the users.
+ *
+ * Jobs are activated for JOB_TIMEOUT_MS (30 days) so they are not handed
+ * out again while a user holds them; a job activated again anyway (a
+ * restarted UI, an engine re-offering it) keeps its pending task and only
+ * takes the job's current variables and deadline.
+ *
+ * Pending tasks carry their SLA status (ui-common/task-slas.js), re-checked
+ * every SLA_CHECK_INTERVAL_MS and pushed as 'task-sla'; a task entering its
+ * warning window is published as `task.sla-warning`. When the escalation
+ * desk announces a breached task (`task.overdue`, durable subscription
+ * `ui-<dept id>-escalations`), the UI holding it applies the job type's
+ * escalation and publishes the outcome as `task.escalated`.
+ *
+ * Every claim, form submission, ESB request/response pair and completion
+ * is recorded in the audit trail (ui-common/audit.js) with the user who
+ * caused it; the returned `audit` lets department routes record theirs.
+ */
+
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const path = require('path');
+const { callESB, isEsbAvailable, esbStatus, EsbUnavailableError } = require('./esb-client');
+const { createZeebeClient } = require('./zeebe-client');
+const { createTaskStore, taskFromJob } = require('./task-store');
+const { createPublisher, subscribe } = require('../broker/client');
+const { ContractError } = require('../contracts');
+const { slaFor, slaStatus } = require('./task-slas');
+const { createAuth, hasRole } = require('./auth');
+const { createAuditTrail } = require('./audit');
+
+const BANNER_WIDTH = 62;
+const RECENT_EVENTS = 50;
+
+// fail (default): an unreachable ESB returns 503 and the user resubmits
+// queue: the submission is kept and replayed once the ESB is back
+const ESB_FAILURE_MODE = process.env.ESB_FAILURE_MODE === 'queue' ? 'queue' : 'fail';
+const ESB_QUEUE_RETRY_MS = parseInt(process.env.ESB_QUEUE_RETRY_MS) || 5000;
+const SLA_CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60000;
+// A job stays activated while a user works on it: its SLA escalates it, not an expiry
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS) || 30 * 24 * 60 * 60 * 1000;
+
+// Completes tasks on behalf of approval policies and SLA escalations
+const SYSTEM_USER = { username: 'system', name: 'System', roles: [] };
+
+/**
+ * Shape a task record for the browser
+ * @param {object} task - Task store record
+ * @returns {object} - { jobKey, variables, taskType }
+ */
+function toClientTask(task) {
+  return {
+    jobKey: task.key,
+    variables: task.variables,
+    taskType: task.taskType,
+    status: task.status || 'pending',
+    reviewNote: task.reviewNote || null,
+    sla: slaStatus(task),
+    assignedTo: task.assignedTo || null,
+    escalation: task.escalation || null,
+    firstApproval: task.firstApproval || null
+  };
+}
+
+function bannerLine(text = '') {
+  return `║  ${text.padEnd(BANNER_WIDTH - 2)}║`;
+}
+
+function printBanner(dept, port, taskHandlers, events) {
+  console.log('');
+  console.log(`╔${'═'.repeat(BANNER_WIDTH)}╗`);
+  console.log(bannerLine(`${dept.deptIcon} ${dept.deptName.toUpperCase()} - Web UI`));
+  console.log(`╠${'═'.repeat(BANNER_WIDTH)}╣`);
+  console.log(bannerLine(`Server running on http://localhost:${port}`));
+  console.log(bannerLine('Job Types:'));
+  for (const [taskType, handler] of Object.entries(taskHandlers)) {
+    console.log(bannerLine(`  - ${taskType} (${handler.workflow})`));
+  }
+  if (events.length > 0) {
+    console.log(bannerLine(`Events: ${events.join(', ')}`));
+  }
+  if (dept.notice) {
+    console.log(bannerLine(dept.notice));
+  }
+  console.log(`╚${'═'.repeat(BANNER_WIDTH)}╝`);
+  console.log('');
+}
+
+/**
+ * Create and start a department UI server
+ * @param {object} options
+ * @param {object} options.dept - Department metadata (id, title, deptName, deptIcon, deptColor, dir)
+ * @param {number|string} options.port - HTTP port
+ * @param {object} options.taskHandlers - Handlers keyed by Zeebe job type
+ * @param {Array<string>} [options.events] - Broker topics (or patterns) this department follows
+ * @param {Function} [options.autoDecide] - async (task) => { body, variables, rationale } | { reason } | null
+ * @param {Function} [options.secondApproval] - async (task, body) => reason | null
+ * @returns {object} - { app, io, zeebe, pendingTasks, audit } for department-specific routes
+ */
+function createDepartmentServer({ dept, port, taskHandlers, events = [], autoDecide = null, secondApproval = null }) {
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server);
+
+  // Zeebe client (Camunda 8 SaaS, or the local engine with ZEEBE_ENGINE=local)
+  const zeebe = createZeebeClient();
+
+  // Durable task queue (claimed jobs survive a restart)
+  const pendingTasks = createTaskStore(dept.id);
+
+  // SLA warnings and escalation outcomes
+  const publisher = createPublisher(`ui-${dept.id}`);
+
+  // Who decided what, for the audit service
+  const audit = createAuditTrail(`ui-${dept.id}`);
+
+  // Middleware
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.static(path.join(dept.dir, 'public')));
+  // Browser scripts shared by every department page
+  app.use('/common', express.static(path.join(__dirname, 'public')));
+
+  // Login routes, then everything below needs the department's role
+  createAuth({
+    title: dept.title,
+    icon: dept.deptIcon,
+    roles: [dept.id],
+    baseUrl: `http://localhost:${port}`
+  }).install(app, io);
+
+  // View engine setup
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(dept.dir, 'views'));
+
+  // Routes
+  app.get('/', (req, res) => {
+    res.render('index', {
+      title: dept.title,
+      deptName: dept.deptName,
+      deptIcon: dept.deptIcon,
+      deptColor: dept.deptColor,
+      tasks: Array.from(pendingTasks.values())
+    });
+  });
+
+  app.get('/api/tasks', (req, res) => {
+    res.json(Array.from(pendingTasks.values()));
+  });
+
+  // Circuit breaker state per ESB, as seen from this UI
+  app.get('/api/esb-status', (req, res) => {
+    res.json({ failureMode: ESB_FAILURE_MODE, esbs: esbStatus() });
+  });
+
+  /**
+   * Call the ESB with a form submission and complete the Zeebe job
+   * @returns {Promise<object>} - Variables the job was completed with
+   */
+  async function completeTask(handler, task, body, extraVariables = {}, user = SYSTEM_USER) {
+    const request = handler.toEsbRequest(body, task);
+    const startedAt = Date.now();
+    let esbResponse;
+    try {
+      // The job key makes a retried or re-queued submission reuse the first ESB result
+      esbResponse = await callESB(handler.esbEndpoint, request, { idempotencyKey: String(task.key) });
+    } catch (error) {
+      audit.record('esb.called', {
+        task, user, endpoint: handler.esbEndpoint, request, durationMs: Date.now() - startedAt,
+        status: error.response?.status || null, response: error.response?.data || null, error: error.message
+      });
+      throw error;
+    }
+    audit.record('esb.called', { task, user, endpoint: handler.esbEndpoint, request, durationMs: Date.now() - startedAt, status: 200, response: esbResponse });
+
+    // An escalated task says so in the process
+    const escalated = task.escalation ? { slaBreached: true, ...(task.assignedTo ? { reassignedTo: task.assignedTo } : {}) } : {};
+    const result = { ...handler.toVariables(body, task, esbResponse, user, request), ...escalated, ...extraVariables };
+
+    await zeebe.completeJob({ jobKey: task.key, variables: result });
+    audit.record('task.completed', { task, user, variables: result });
+    pendingTasks.delete(task.key);
+    io.emit('task-completed', { jobKey: task.key, result });
+    return result;
+  }
+
+  // Park a submission until its ESB is reachable again (ESB_FAILURE_MODE=queue)
+  function queueSubmission(task, body, variables, user, error) {
+    pendingTasks.set(task.key, {
+      ...task,
+      status: 'waiting-esb',
+      queuedSubmission: { body, variables, user, queuedAt: new Date().toISOString(), attempts: 1, lastError: error.message }
+    });
+    io.emit('task-waiting', { jobKey: task.key, esb: error.esb, message: error.message });
+    audit.record('task.queued', { task, user, esb: error.esb, error: error.message });
+    console.log(`⏸️  ${task.taskType} ${task.key} waiting on ${error.esb}`);
+  }
+
+  // Why an approving form needs a second approver (null when it doesn't)
+  async function needsSecondApproval(handler, task, body) {
+    return secondApproval && handler.approves?.(body) ? secondApproval(task, body) : null;
+  }
+
+  // Keep a first approval on the task until someone else signs it off
+  function recordFirstApproval(task, body, user, reason) {
+    const { jobKey, ...form } = body;
+    const firstApproval = { username: user.username, name: user.name, approvedAt: new Date().toISOString(), reason, form };
+    const updated = { ...task, status: 'awaiting-second-approval', firstApproval };
+    pendingTasks.set(task.key, updated);
+    io.emit('task-awaiting-approval', toClientTask(updated));
+    audit.record('task.first-approval', { task, user, reason, form });
+    console.log(`✍️  ${task.taskType} ${task.key} approved by ${user.username}, awaiting a second approval (${reason})`);
+  }
+
+  /**
+   * The second approver's submission: approving signs the recorded
+   * decision off, rejecting overrules it
+   * @returns {object} - { body, variables } to complete the job with
+   */
+  function countersign(handler, task, body, user) {
+    const { username, reason, form } = task.firstApproval;
+    if (handler.approves(body)) {
+      return { body: form, variables: { approvedBy: username, secondApprovedBy: user.username, secondApprovalReason: reason } };
+    }
+    return { body, variables: { firstApprovedBy: username, secondApprovalReason: reason } };
+  }
+
+  // Jobs completed by autoDecide, newest first
+  const autoCompleted = [];
+
+  /**
+   * Let autoDecide complete a new job, or hand it to the browsers
+   * @param {object} handler - Task handler of the job type
+   * @param {object} task - Task store record of the new job
+   */
+  async function reviewTask(handler, task) {
+    let decision = null;
+    try {
+      decision = autoDecide ? await autoDecide(task) : null;
+      // Approvals needing a second approver are not a policy's to give
+      const reason = decision?.body ? await needsSecondApproval(handler, task, decision.body) : null;
+      if (reason) {
+        decision = { reason: `Not approved by policy (${decision.rationale}): ${reason}, so two approvers are needed` };
+      }
+    } catch (error) {
+      decision = { reason: `Automatic review failed: ${error.message}` };
+    }
+
+    if (decision?.body) {
+      pendingTasks.set(task.key, task);
+      try {
+        const result = await completeTask(handler, task, decision.body, decision.variables);
+        const completion = { jobKey: task.key, taskType: task.taskType, processInstanceKey: task.processInstanceKey, rationale: decision.rationale, result, completedAt: new Date().toISOString() };
+        autoCompleted.unshift(completion);
+        autoCompleted.splice(RECENT_EVENTS);
+        io.emit('task-auto-completed', completion);
+        console.log(`🤖 ${task.taskType} ${task.key} completed automatically (${decision.rationale})`);
+        return;
+      } catch (error) {
+        console.error(`Automatic completion of ${task.taskType} ${task.key} failed:`, error.message);
+        decision = { reason: `Automatic completion failed (${decision.rationale}): ${error.response?.data?.message || error.message}` };
+      }
+    }
+
+    const reviewed = decision?.reason ? { ...task, reviewNote: decision.reason } : task;
+    pendingTasks.set(task.key, reviewed);
+    io.emit('new-task', toClientTask(reviewed));
+  }
+
+  // Flag tasks whose SLA state moved on (on-track → warning → breached)
+  function checkSlas() {
+    for (const task of Array.from(pendingTasks.values())) {
+      const sla = slaStatus(task);
+      if (!sla || sla.state === (task.slaState || 'on-track')) {
+        continue;
+      }
+      const updated = { ...task, slaState: sla.state };
+      pendingTasks.set(task.key, updated);
+      io.emit('task-sla', toClientTask(updated));
+      if (sla.state === 'warning') {
+        publisher.publish('task.sla-warning', {
+          jobKey: task.key,
+          taskType: task.taskType,
+          processInstanceKey: task.processInstanceKey,
+          department: dept.id,
+          receivedAt: task.receivedAt,
+          breachAt: sla.breachAt
+        }, `${task.taskType} waiting in ${dept.title} since ${task.receivedAt}, breach at ${sla.breachAt}`);
+      }
+    }
+  }
+
+  /**
+   * Apply a job type's escalation to the task the escalation desk reported overdue
+   * @param {object} message - `task.overdue` broker message
+   */
+  async function escalateTask({ payload }) {
+    const handler = taskHandlers[payload.taskType];
+    const task = handler && Array.from(pendingTasks.values()).find(candidate => candidate.taskType === payload.taskType
+      && String(candidate.processInstanceKey) === String(payload.processInstanceKey));
+    if (!task) {
+      return;
+    }
+
+    const sla = slaFor(task.taskType);
+    const action = sla?.escalation || 'notify';
+    const escalation = { action, escalatedAt: new Date().toISOString() };
+    let assignedTo = task.assignedTo;
+
+    if (action === 'auto-decide' && handler.escalationForm && task.status !== 'waiting-esb') {
+      try {
+        await completeTask(handler, { ...task, escalation }, handler.escalationForm(task), {
+          approvedBy: 'SLA escalation',
+          decisionRationale: `Not completed within its ${sla.breach} SLA`
+        });
+        escalation.outcome = 'completed';
+      } catch (error) {
+        console.error(`Escalation of ${task.taskType} ${task.key} could not complete it:`, error.message);
+        escalation.outcome = `auto-decide failed: ${error.response?.data?.message || error.message}`;
+      }
+    } else if (action === 'reassign') {
+      assignedTo = sla.reassignTo;
+      escalation.outcome = `reassigned to ${assignedTo}`;
+    } else {
+      escalation.outcome = action === 'auto-decide' ? 'flagged (cannot be decided automatically)' : 'flagged';
+    }
+
+    if (escalation.outcome !== 'completed') {
+      const updated = { ...task, escalation, assignedTo, slaState: 'escalated' };
+      pendingTasks.set(task.key, updated);
+      io.emit('task-sla', toClientTask(updated));
+    }
+    console.log(`⏰ ${task.taskType} ${task.key} escalated (${action}): ${escalation.outcome}`);
+    audit.record('task.escalated', { task, user: SYSTEM_USER, action, outcome: escalation.outcome, assignedTo: assignedTo || null });
+    publisher.publish('task.escalated', {
+      jobKey: task.key,
+      taskType: task.taskType,
+      processInstanceKey: task.processInstanceKey,
+      department: dept.id,
+      action,
+      outcome: escalation.outcome,
+      assignedTo: assignedTo || null
+    }, `${task.taskType} in ${dept.title}: ${escalation.outcome}`);
+  }
+
+  // Replay queued submissions whose ESB circuit lets calls through
+  let draining = false;
+  async function drainQueue() {
+    if (draining) {
+      return;
+    }
+    draining = true;
+    try {
+      const waiting = Array.from(pendingTasks.values()).filter(task => task.status === 'waiting-esb');
+      for (const task of waiting) {
+        const handler = taskHandlers[task.taskType];
+        if (!handler || !isEsbAvailable(handler.esbEndpoint)) {
+          continue;
+        }
+        const { body, variables, user, attempts } = task.queuedSubmission;
+        try {
+          await completeTask(handler, task, body, variables, user);
+          console.log(`▶️  Queued ${task.taskType} ${task.key} completed after ${attempts + 1} attempt(s)`);
+        } catch (error) {
+          if (error instanceof EsbUnavailableError) {
+            pendingTasks.set(task.key, { ...task, queuedSubmission: { ...task.queuedSubmission, attempts: attempts + 1, lastError: error.message } });
+            continue;
+          }
+          // Not an availability problem: hand the task back to the user
+          console.error(`Queued ${task.taskType} ${task.key} failed:`, error.message);
+          const { queuedSubmission, ...rest } = task;
+          pendingTasks.set(task.key, { ...rest, status: 'pending', lastError: error.message });
+          io.emit('task-failed', { jobKey: task.key, error: error.message });
+        }
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  // One completion route per job type
+  for (const [taskType, handler] of Object.entries(taskHandlers)) {
+    app.post(handler.route, async (req, res) => {
+      const { jobKey } = req.body;
+      const task = pendingTasks.get(jobKey);
+
+      // Turned down before anything is called
+      const refuse = (status, error) => {
+        audit.record('task.refused', { task, user: req.user, status, error });
+        res.status(status).json({ error });
+      };
+
+      try {
+        if (!task) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+        audit.record('task.submitted', { task, user: req.user, route: handler.route, form: req.body });
+        if (task.assignedTo && !hasRole(req.user, task.assignedTo)) {
+          return refuse(403, `This task was reassigned to ${task.assignedTo}`);
+        }
+
+        let body = req.body;
+        let variables = {};
+        if (task.firstApproval) {
+          if (task.firstApproval.username === req.user.username) {
+            return refuse(403, 'You gave the first approval - the second one has to come from another user');
+          }
+          ({ body, variables } = countersign(handler, task, req.body, req.user));
+        } else {
+          const reason = await needsSecondApproval(handler, task, req.body);
+          if (reason) {
+            recordFirstApproval(task, req.body, req.user, reason);
+            return res.status(202).json({
+              success: true,
+              status: 'awaiting-second-approval',
+              message: `${reason} - your approval is recorded and waits for a second approver`
+            });
+          }
+        }
+
+        try {
+          const result = await completeTask(handler, task, body, variables, req.user);
+          res.json({ success: true, result });
+        } catch (error) {
+          if (error instanceof EsbUnavailableError && ESB_FAILURE_MODE === 'queue') {
+            queueSubmission(task, body, variables, req.user, error);
+            return res.status(202).json({
+              success: true,
+              queued: true,
+              status: 'waiting-esb',
+              message: `${error.esb} is unavailable - the task will complete automatically once it recovers`
+            });
+          }
+          throw error;
+        }
+      } catch (error) {
+        console.error(`Error completing ${taskType} task:`, error);
+        audit.record('task.failed', { task, user: req.user, status: error.response?.status || null, error: error.response?.data?.message || error.message });
+        if (error instanceof ContractError) {
+          return res.status(400).json({ error: error.message, errors: error.errors });
+        }
+        if (error instanceof EsbUnavailableError) {
+          return res.status(503).json({ error: error.message, esb: error.esb, retryAfterMs: error.retryAfterMs });
+        }
+        if (error.response && error.response.status < 500) {
+          // The ESB turned the submission down (e.g. BUDGET_EXCEEDED): the user can change it and resubmit
+          return res.status(error.response.status).json({ error: error.response.data?.message || error.message, code: error.response.data?.error });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  // Broker messages for this department, newest first
+  const recentEvents = [];
+  const subscription = events.length > 0 ? subscribe({
+    name: `ui-${dept.id}`,
+    topics: events,
+    onMessage: async (message) => {
+      recentEvents.unshift(message);
+      recentEvents.splice(RECENT_EVENTS);
+      io.emit('bus-event', message);
+    }
+  }) : null;
+
+  app.get('/api/events', (req, res) => {
+    res.json(recentEvents);
+  });
+
+  const escalations = subscribe({
+    name: `ui-${dept.id}-escalations`,
+    topics: ['task.overdue'],
+    onMessage: escalateTask
+  });
+  const slaTimer = setInterval(checkSlas, SLA_CHECK_INTERVAL_MS);
+  slaTimer.unref();
+  for (const [taskType, handler] of Object.entries(taskHandlers)) {
+    if (slaFor(taskType)?.escalation === 'auto-decide' && !handler.escalationForm) {
+      console.warn(`⚠️  ${taskType} escalates by auto-decide but has no escalationForm - it will only be flagged`);
+    }
+  }
+
+  app.get('/api/auto-completed', (req, res) => {
+    res.json(autoCompleted);
+  });
+
+  const queueTimer = ESB_FAILURE_MODE === 'queue' ? setInterval(drainQueue, ESB_QUEUE_RETRY_MS) : null;
+  if (queueTimer) {
+    queueTimer.unref();
+  }
+
+  // Socket.io connection
+  io.on('connection', (socket) => {
+    console.log(`Client connected: ${socket.id} (${socket.data.user.username})`);
+
+    socket.emit('initial-tasks', Array.from(pendingTasks.values()).map(toClientTask));
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+
+  // One Zeebe worker per job type
+  const workers = Object.entries(taskHandlers).map(([taskType, handler]) => zeebe.createWorker({
+    taskType,
+    timeout: JOB_TIMEOUT_MS,
+    taskHandler: async (job) => {
+      // A job activated again (expired, or restored after a restart) keeps
+      // its task: approvals, queued submissions, escalation and SLA clock
+      const existing = pendingTasks.get(job.key);
+      if (existing) {
+        const { variables, deadline } = taskFromJob(job, taskType);
+        pendingTasks.set(job.key, { ...existing, variables, deadline });
+        console.log(`🔁 ${taskType} task ${job.key} activated again - keeping its task`);
+        return job.forward();
+      }
+
+      console.log(`\n📥 New ${taskType} task received (${handler.workflow}): ${job.key}`);
+      console.log(`   Variables:`, JSON.stringify(job.variables, null, 2));
+
+      const task = taskFromJob(job, taskType);
+      audit.record('task.claimed', { task, variables: job.variables, workflow: handler.workflow });
+      await reviewTask(handler, task);
+
+      return job.forward();
+    }
+  }));
+
+  // Start server
+  server.listen(port, () => {
+    printBanner(dept, port, taskHandlers, events);
+    console.log('⏳ Waiting for tasks...\n');
+    if (pendingTasks.size > 0) {
+      console.log(`♻️  Restored ${pendingTasks.size} pending task(s) from the task store\n`);
+    }
+    if (queueTimer) {
+      console.log(`📬 ESB failures queue submissions (retried every ${ESB_QUEUE_RETRY_MS} ms)\n`);
+    }
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log(`\n\n🛑 Shutting down ${dept.title} UI...`);
+    clearInterval(queueTimer);
+    clearInterval(slaTimer);
+    subscription?.stop();
+    escalations?.stop();
+    for (const worker of workers) {
+      await worker.close();
+    }
+    await zeebe.close();
+    server.close();
+    process.exit(0);
+  });
+
+  return { app, io, zeebe, pendingTasks, audit };
+}
+
+module.exports = {
+  createDepartmentServer
+};
@@ -1,71 +1,342 @@
 /**
  * Shared ESB Client for Department UIs
- * Routes requests to the appropriate ESB based on endpoint
+ * Routes requests to an instance of the ESB serving the endpoint, as
+ * registered in the service registry (REGISTRY_URL, see registry/),
+ * round robin across instances. Without a registry the contracts' `esb`
+ * field picks ESB1_URL or ESB2_URL.
+ *
+ * Resilience (see .env.example):
+ *   - Transient failures (network errors, timeouts, 5xx) are retried with
+ *     exponential backoff. Endpoints that create records are only retried
+ *     when the request never reached the ESB, or when the call carries an
+ *     Idempotency-Key (the ESB then replays the first response, see
+ *     idempotency/).
+ *   - One circuit breaker per ESB instance opens after ESB_BREAKER_THRESHOLD
+ *     consecutive transient failures; calls then fail fast with an
+ *     EsbUnavailableError until ESB_BREAKER_COOLDOWN_MS has passed and a
+ *     trial call succeeds.
  */
 
 const axios = require('axios');
+const { schemas, validate, ContractError } = require('../contracts');
 
 const ESB1_URL = process.env.ESB1_URL || 'http://localhost:3001';
 const ESB2_URL = process.env.ESB2_URL || 'http://localhost:3002';
 
-// Endpoint to ESB mapping
-const endpointMapping = {
-  // ESB1 - Data Analysis & Finance (Promotion)
-  '/api/identify-products': ESB1_URL,
-  '/api/evaluate-profitability': ESB1_URL,
-  
-  // ESB2 - Commercial, Marketing & IT (Promotion)
-  '/api/propose-promotion': ESB2_URL,
-  '/api/prepare-instore': ESB2_URL,
-  '/api/update-physical-prices': ESB2_URL,
-  '/api/prepare-materials': ESB2_URL,
-  '/api/update-prices': ESB2_URL,
-  
-  // ESB1 - Stock Management
-  '/api/compute-replenishment': ESB1_URL,
-  '/api/analyze-replenishment': ESB1_URL,
-  
-  // ESB2 - Stock Management (Merchandising, Logistics, IT)
-  '/api/create-replenishment': ESB2_URL,
-  '/api/verify-stock': ESB2_URL,
-  '/api/process-replenishment': ESB2_URL,
-  '/api/check-delivery': ESB2_URL,
-  '/api/handle-return': ESB2_URL,
-  '/api/update-stock-systems': ESB2_URL
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const RETRY = {
+  attempts: Math.max(1, envInt('ESB_RETRY_ATTEMPTS', 3)),
+  baseDelayMs: envInt('ESB_RETRY_BASE_MS', 200),
+  maxDelayMs: envInt('ESB_RETRY_MAX_MS', 2000)
 };
 
+const BREAKER = {
+  failureThreshold: Math.max(1, envInt('ESB_BREAKER_THRESHOLD', 5)),
+  cooldownMs: envInt('ESB_BREAKER_COOLDOWN_MS', 30000)
+};
+
+// Endpoints that create an order or a return on the ESB side
+const nonIdempotentEndpoints = new Set([
+  '/api/process-replenishment',
+  '/api/handle-return'
+]);
+
+// Errors where the request never reached the ESB, safe to retry for any endpoint
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// The ESB is still handling the first call with the same Idempotency-Key
+const isInProgress = (error) =>
+  error.response?.status === 409 && error.response.data?.error === 'IDEMPOTENCY_IN_PROGRESS';
+
+/**
+ * Raised when an ESB can't be reached: retries exhausted or circuit open
+ */
+class EsbUnavailableError extends Error {
+  /**
+   * @param {string} esb - 'ESB1' or 'ESB2'
+   * @param {string} endpoint - The ESB endpoint
+   * @param {string} reason - Last failure, or why the call was not attempted
+   * @param {number} [retryAfterMs] - When the circuit lets calls through again
+   */
+  constructor(esb, endpoint, reason, retryAfterMs) {
+    super(`${esb} unavailable for ${endpoint}: ${reason}`);
+    this.name = 'EsbUnavailableError';
+    this.esb = esb;
+    this.endpoint = endpoint;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Circuit breaker for one ESB (closed → open → half-open → closed)
+ * @param {string} name - ESB name, for logs and status
+ * @returns {object} - { allowRequest, recordSuccess, recordFailure, isAvailable, status }
+ */
+function createCircuitBreaker(name) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const cooledDown = () => Date.now() - openedAt >= BREAKER.cooldownMs;
+
+  return {
+    allowRequest() {
+      if (state === 'open' && cooledDown()) {
+        state = 'half-open';
+      }
+      if (state === 'half-open') {
+        // A single trial call decides whether the ESB is back
+        if (trialInFlight) {
+          return false;
+        }
+        trialInFlight = true;
+        return true;
+      }
+      return state === 'closed';
+    },
+    recordSuccess() {
+      if (state !== 'closed') {
+        console.log(`[ESB Client] ✅ ${name} circuit closed`);
+      }
+      state = 'closed';
+      failures = 0;
+      trialInFlight = false;
+    },
+    recordFailure() {
+      failures++;
+      trialInFlight = false;
+      if (state === 'half-open' || (state === 'closed' && failures >= BREAKER.failureThreshold)) {
+        state = 'open';
+        openedAt = Date.now();
+        console.error(`[ESB Client] 🔌 ${name} circuit open after ${failures} failure(s), retrying in ${BREAKER.cooldownMs} ms`);
+      }
+    },
+    isAvailable: () => state !== 'open' || cooledDown(),
+    retryAfterMs: () => (state === 'open' ? Math.max(0, openedAt + BREAKER.cooldownMs - Date.now()) : 0),
+    status: () => ({ esb: name, state, consecutiveFailures: failures })
+  };
+}
+
+// One breaker per ESB instance (base URL)
+const breakers = new Map();
+
+function breakerFor(instance) {
+  if (!breakers.has(instance.url)) {
+    breakers.set(instance.url, { instance, breaker: createCircuitBreaker(`${instance.name}@${instance.url}`) });
+  }
+  return breakers.get(instance.url).breaker;
+}
+
+// ============================================================================
+// Endpoint resolution
+// ============================================================================
+
+const REGISTRY_URL = process.env.REGISTRY_URL;
+const REGISTRY_CACHE_MS = envInt('REGISTRY_CACHE_MS', 5000);
+
+// Used without a registry, or while it can't be reached: contracts say which ESB serves a path
+const staticUrls = { esb1: ESB1_URL, esb2: ESB2_URL };
+
+let routeCache = { routes: null, fetchedAt: 0 };
+const roundRobin = new Map(); // route -> next instance index
+
+async function registryRoutes() {
+  if (routeCache.routes && Date.now() - routeCache.fetchedAt < REGISTRY_CACHE_MS) {
+    return routeCache.routes;
+  }
+  try {
+    const { data } = await axios.get(`${REGISTRY_URL}/api/routes`, { timeout: 2000 });
+    routeCache = { routes: data.routes, fetchedAt: Date.now() };
+  } catch (error) {
+    // Keep routing with the last known table
+    console.error(`[ESB Client] Registry unreachable (${error.message})${routeCache.routes ? ', using cached routes' : ''}`);
+  }
+  return routeCache.routes;
+}
+
+function staticInstances(path) {
+  const contract = schemas[path];
+  return contract ? [{ name: contract.esb.toUpperCase(), url: staticUrls[contract.esb] }] : [];
+}
+
+/**
+ * Instances serving a route: from the registry when REGISTRY_URL is set,
+ * otherwise (or if the registry has never answered) from the contracts
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path (e.g. '/api/check-delivery')
+ * @returns {Promise<Array<object>>} - [{ name, url, version? }]
+ */
+async function resolveInstances(method, path) {
+  if (REGISTRY_URL) {
+    const routes = await registryRoutes();
+    if (routes) {
+      return routes[`${method} ${path}`] || [];
+    }
+  }
+  return staticInstances(path);
+}
+
+/**
+ * Next instance whose circuit lets the call through (round robin)
+ * @returns {object|null} - { instance, breaker }
+ */
+function pickInstance(route, instances) {
+  const start = roundRobin.get(route) || 0;
+  for (let i = 0; i < instances.length; i++) {
+    const instance = instances[(start + i) % instances.length];
+    const breaker = breakerFor(instance);
+    if (breaker.allowRequest()) {
+      roundRobin.set(route, (start + i + 1) % instances.length);
+      return { instance, breaker };
+    }
+  }
+  return null;
+}
+
+/**
+ * Base URL of an instance serving a route, for calls outside callESB
+ * @param {string} route - "METHOD /path" (e.g. 'GET /api/products')
+ * @returns {Promise<string>}
+ */
+async function resolveEsbUrl(route) {
+  const [method, path] = route.split(' ');
+  const instances = await resolveInstances(method, path);
+  if (instances.length === 0) {
+    throw new Error(`No ESB instance serves ${route}`);
+  }
+  const index = roundRobin.get(route) || 0;
+  roundRobin.set(route, (index + 1) % instances.length);
+  return instances[index % instances.length].url;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, timeouts and 5xx are worth retrying; 4xx are not
+function isTransient(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
 /**
- * Call ESB endpoint with automatic routing
+ * Call ESB endpoint, routed to one of the instances serving it
+ * The request and response are checked against the endpoint contract
+ * (contracts/schemas.js); violations throw a ContractError. An ESB that
+ * can't be reached throws an EsbUnavailableError.
  * @param {string} endpoint - The API endpoint (e.g., '/api/identify-products')
  * @param {object} data - The request body data
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key: repeats get the first response
  * @returns {Promise<object>} - The ESB response
  */
-async function callESB(endpoint, data) {
-  const baseUrl = endpointMapping[endpoint];
-  
-  if (!baseUrl) {
-    throw new Error(`Unknown ESB endpoint: ${endpoint}`);
-  }
+async function callESB(endpoint, data, { idempotencyKey } = {}) {
+  // Routes declared only in an ESB pipelines file have no contract and
+  // are found through the registry
+  const esb = schemas[endpoint] ? schemas[endpoint].esb.toUpperCase() : 'ESB';
+  const route = `POST ${endpoint}`;
 
-  const url = `${baseUrl}${endpoint}`;
-  
-  console.log(`[ESB Client] Calling ${url}`);
+  console.log(`[ESB Client] Calling ${route}`);
   console.log(`[ESB Client] Request data:`, JSON.stringify(data, null, 2));
 
-  try {
-    const response = await axios.post(url, data, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
-    });
-
-    console.log(`[ESB Client] Response:`, JSON.stringify(response.data, null, 2));
-    return response.data;
-  } catch (error) {
-    console.error(`[ESB Client] Error calling ${url}:`, error.message);
-    throw error;
+  // Validate what actually goes over the wire (undefined dropped, NaN -> null)
+  const requestErrors = validate(endpoint, 'request', JSON.parse(JSON.stringify(data)));
+  if (requestErrors.length > 0) {
+    throw new ContractError(endpoint, 'request', requestErrors);
+  }
+
+  let response;
+  for (let attempt = 1; !response; attempt++) {
+    const instances = await resolveInstances('POST', endpoint);
+    if (instances.length === 0) {
+      if (!schemas[endpoint] && !routeCache.routes) {
+        throw new Error(`Unknown ESB endpoint: ${endpoint}`);
+      }
+      throw new EsbUnavailableError(esb, endpoint, 'no registered instance');
+    }
+    const picked = pickInstance(route, instances);
+    if (!picked) {
+      const retryAfterMs = Math.min(...instances.map(instance => breakerFor(instance).retryAfterMs()));
+      throw new EsbUnavailableError(esb, endpoint, 'circuit open', retryAfterMs);
+    }
+    const { instance, breaker } = picked;
+    const url = `${instance.url}${endpoint}`;
+
+    try {
+      response = await axios.post(url, data, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+        },
+        timeout: 10000
+      });
+      breaker.recordSuccess();
+    } catch (error) {
+      console.error(`[ESB Client] Error calling ${url} (attempt ${attempt}/${RETRY.attempts}):`, error.message);
+      if (isInProgress(error) && attempt < RETRY.attempts) {
+        breaker.recordSuccess();
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+      if (!isTransient(error)) {
+        // The ESB answered, so it is up
+        breaker.recordSuccess();
+        if (error.response.status === 400 && error.response.data?.error === 'CONTRACT_VIOLATION') {
+          throw new ContractError(endpoint, 'request', error.response.data.errors);
+        }
+        throw error;
+      }
+
+      breaker.recordFailure();
+      const retryable = Boolean(idempotencyKey) || !nonIdempotentEndpoints.has(endpoint) || NOT_SENT_CODES.has(error.code);
+      if (!retryable || attempt >= RETRY.attempts) {
+        throw new EsbUnavailableError(esb, endpoint, error.message, breaker.retryAfterMs());
+      }
+      // The next attempt may go to another instance
+      await sleep(backoffDelay(attempt));
+    }
+  }
+
+  if (response.headers['idempotent-replayed']) {
+    console.log(`[ESB Client] ${route} already handled for Idempotency-Key ${idempotencyKey}, first response replayed`);
+  }
+  console.log(`[ESB Client] Response:`, JSON.stringify(response.data, null, 2));
+
+  const responseErrors = validate(endpoint, 'response', response.data);
+  if (responseErrors.length > 0) {
+    throw new ContractError(endpoint, 'response', responseErrors);
   }
+
+  return response.data;
+}
+
+/**
+ * Whether calls to an endpoint would go through right now, judged from
+ * the last known instances
+ * @param {string} endpoint - The API endpoint
+ * @returns {boolean} - false while every instance's circuit is open
+ */
+function isEsbAvailable(endpoint) {
+  const instances = (REGISTRY_URL && routeCache.routes?.[`POST ${endpoint}`]) || staticInstances(endpoint);
+  return instances.length === 0 || instances.some(instance => !breakers.has(instance.url) || breakers.get(instance.url).breaker.isAvailable());
+}
+
+/**
+ * @returns {Array<object>} - Circuit state per ESB instance called so far
+ */
+function esbStatus() {
+  return Array.from(breakers.values()).map(({ instance, breaker }) => ({
+    ...breaker.status(),
+    url: instance.url,
+    retryAfterMs: breaker.retryAfterMs()
+  }));
 }
 
 /**
@@ -86,7 +357,11 @@ async function checkHealth(esb) {
 
 module.exports = {
   callESB,
+  resolveEsbUrl,
   checkHealth,
+  isEsbAvailable,
+  esbStatus,
+  EsbUnavailableError,
   ESB1_URL,
   ESB2_URL
 };
@@ -0,0 +1,52 @@
+/**
+ * Form Value Helpers
+ * Convert HTML form strings into the types the ESB contracts expect.
+ * Blank or unparseable values become undefined so they are left out of
+ * the JSON body instead of being sent as null.
+ */
+
+/**
+ * @param {*} value - Form value
+ * @returns {number|undefined}
+ */
+function toInt(value) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * @param {*} value - Form value
+ * @returns {number|undefined}
+ */
+function toFloat(value) {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Checkboxes post 'on', radios and JSON bodies post 'true' / true
+ * @param {*} value - Form value
+ * @returns {boolean}
+ */
+function toBool(value) {
+  return value === true || value === 'true' || value === 'on';
+}
+
+/**
+ * @param {*} value - Form value
+ * @returns {string|undefined} - Trimmed string, undefined when blank
+ */
+function toText(value) {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const trimmed = value.trim();
+  return trimmed === '' ? undefined : trimmed;
+}
+
+module.exports = {
+  toInt,
+  toFloat,
+  toBool,
+  toText
+};
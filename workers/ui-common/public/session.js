@@ -0,0 +1,53 @@
+/**
+ * Signed-in user in the page header, shared by every department page and
+ * the escalation desk (served as /common/session.js).
+ *
+ * Shows who is signed in next to the connection status with a sign-out
+ * button, and sends the browser back to the login page when the session
+ * behind the socket has expired.
+ *
+ * Usage, once the socket exists: Session.watch(socket);
+ */
+
+(function () {
+  function renderUser(user) {
+    const status = document.getElementById('connection-status');
+    if (!status || !user) {
+      return;
+    }
+    const badge = document.createElement('div');
+    badge.className = 'flex items-center space-x-2 bg-white/10 px-3 py-1 rounded-full text-sm';
+    badge.title = 'Roles: ' + user.roles.join(', ');
+
+    const name = document.createElement('span');
+    name.textContent = '👤 ' + user.name;
+    badge.appendChild(name);
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = '/logout';
+    form.innerHTML = '<button type="submit" class="text-white/80 hover:text-white underline">Sign out</button>';
+    badge.appendChild(form);
+
+    status.parentElement.insertBefore(badge, status);
+  }
+
+  window.Session = {
+    /**
+     * Show the signed-in user and follow the session
+     * @param {object} socket - The page's socket.io connection
+     */
+    watch(socket) {
+      fetch('/api/me')
+        .then(res => (res.ok ? res.json() : null))
+        .then(data => renderUser(data && data.user))
+        .catch(() => {});
+
+      socket.on('connect_error', (error) => {
+        if (error.message === 'unauthorized') {
+          window.location.href = '/login?returnTo=' + encodeURIComponent(window.location.pathname);
+        }
+      });
+    }
+  };
+})();
@@ -0,0 +1,93 @@
+/**
+ * Task SLA highlighting, shared by every department page
+ * (served by the department server as /common/task-sla.js).
+ *
+ * Decorates the task cards (#task-<jobKey>) with the SLA status the server
+ * sends on 'initial-tasks', 'new-task', 'task-sla' and
+ * 'task-awaiting-approval' (a card re-rendered by the page): a yellow background
+ * and badge once a task is in its warning window, red once it is overdue,
+ * plus who it was reassigned to. The status is re-evaluated in the browser
+ * between server checks.
+ *
+ * Usage, after the page's own socket handlers: TaskSla.watch(socket);
+ */
+
+(function () {
+  const REFRESH_MS = 15000;
+  const BADGE_CLASS = 'task-sla-badge';
+  const STATE_CLASSES = ['bg-yellow-50', 'bg-red-50'];
+
+  const tracked = new Map();
+
+  function currentState(entry) {
+    if (entry.escalation) {
+      return 'escalated';
+    }
+    const now = Date.now();
+    if (now >= Date.parse(entry.sla.breachAt)) {
+      return 'breached';
+    }
+    return now >= Date.parse(entry.sla.warningAt) ? 'warning' : 'on-track';
+  }
+
+  function badge(text, classes) {
+    return '<span class="' + BADGE_CLASS + ' ' + classes + ' text-xs font-medium px-2.5 py-0.5 rounded ml-2">' + text + '</span>';
+  }
+
+  function decorate(jobKey) {
+    const entry = tracked.get(jobKey);
+    const card = document.getElementById('task-' + jobKey);
+    if (!entry || !card) {
+      return;
+    }
+    const state = currentState(entry);
+    card.classList.remove(...STATE_CLASSES);
+    card.querySelectorAll('.' + BADGE_CLASS).forEach(el => el.remove());
+
+    let html = '';
+    if (state === 'warning') {
+      card.classList.add('bg-yellow-50');
+      html += badge('⚠️ SLA warning', 'bg-yellow-100 text-yellow-800');
+    } else if (state === 'breached' || state === 'escalated') {
+      card.classList.add('bg-red-50');
+      html += badge('🚨 Overdue', 'bg-red-100 text-red-800');
+    }
+    if (entry.assignedTo) {
+      html += badge('👥 Reassigned to ' + entry.assignedTo, 'bg-purple-100 text-purple-800');
+    }
+    card.title = 'SLA: due ' + new Date(entry.sla.breachAt).toLocaleString();
+
+    // Next to the task type badge when the card has one
+    const anchor = card.querySelector('span.rounded') || card.firstElementChild;
+    if (html && anchor) {
+      anchor.insertAdjacentHTML('afterend', html);
+    }
+  }
+
+  function track(task) {
+    if (!task || !task.sla) {
+      return;
+    }
+    tracked.set(String(task.jobKey), { sla: task.sla, escalation: task.escalation, assignedTo: task.assignedTo });
+    decorate(String(task.jobKey));
+  }
+
+  function untrack(data) {
+    tracked.delete(String(data.jobKey));
+  }
+
+  window.TaskSla = {
+    /**
+     * Follow the SLA status of the tasks the page shows
+     * @param {object} socket - The page's socket.io connection
+     */
+    watch(socket) {
+      socket.on('initial-tasks', tasks => tasks.forEach(track));
+      socket.on('new-task', track);
+      socket.on('task-sla', track);
+      socket.on('task-awaiting-approval', track);
+      socket.on('task-completed', untrack);
+      setInterval(() => tracked.forEach((entry, jobKey) => decorate(jobKey)), REFRESH_MS);
+    }
+  };
+})();
@@ -0,0 +1,140 @@
+/**
+ * Human Task SLAs
+ * Service levels per job type from ui-common/task-slas.json (or
+ * TASK_SLAS_FILE): after `warning` a pending task is flagged, after
+ * `breach` it is overdue. Durations are ISO 8601 (PT8H, P2D).
+ *
+ * The breach is also a non-interrupting timer boundary event on the task in
+ * the BPMN files. When it fires, the escalation desk (escalation/index.js)
+ * publishes `task.overdue` and the department UI holding the task applies
+ * its `escalation`:
+ *   - notify      - the task is marked overdue, the desk lists it
+ *   - reassign    - the task is handed to the `reassignTo` group
+ *   - auto-decide - the task is completed with its handler's escalationForm(task)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { parseDuration } = require('../local-engine/feel');
+
+const SLAS_FILE = process.env.TASK_SLAS_FILE || path.join(__dirname, 'task-slas.json');
+
+const ESCALATIONS = ['notify', 'reassign', 'auto-decide'];
+
+const slasSchema = {
+  type: 'object',
+  required: ['version', 'tasks'],
+  properties: {
+    version: { type: 'string' },
+    description: { type: 'string' },
+    tasks: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['warning', 'breach', 'escalation'],
+        additionalProperties: false,
+        properties: {
+          warning: { type: 'string' },
+          breach: { type: 'string' },
+          escalation: { enum: ESCALATIONS },
+          reassignTo: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+const validateSlas = new Ajv({ allErrors: true }).compile(slasSchema);
+
+let current = null;
+
+/**
+ * Read and validate an SLA file
+ * @param {string} file - Path to the JSON SLA file
+ * @returns {object} - { version, tasks: { [jobType]: { ..., warningMs, breachMs } }, file }
+ */
+function loadSlas(file = SLAS_FILE) {
+  const slas = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!validateSlas(slas)) {
+    const problems = validateSlas.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join(', ');
+    throw new Error(`Invalid task SLAs in ${file}: ${problems}`);
+  }
+
+  const tasks = {};
+  for (const [taskType, sla] of Object.entries(slas.tasks)) {
+    const invalid = (message) => new Error(`Invalid task SLAs in ${file}: ${taskType} ${message}`);
+    let warningMs;
+    let breachMs;
+    try {
+      warningMs = parseDuration(sla.warning);
+      breachMs = parseDuration(sla.breach);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+    if (warningMs >= breachMs) {
+      throw invalid('warning must come before breach');
+    }
+    if (sla.escalation === 'reassign' && !sla.reassignTo) {
+      throw invalid('escalates by reassign but has no reassignTo');
+    }
+    tasks[taskType] = { ...sla, warningMs, breachMs };
+  }
+  return { version: slas.version, tasks, file };
+}
+
+/**
+ * Active SLAs, loaded on first use
+ * @returns {object} - See loadSlas()
+ */
+function getSlas() {
+  if (!current) {
+    current = loadSlas();
+  }
+  return current;
+}
+
+/**
+ * SLA of a job type
+ * @param {string} taskType - Job type
+ * @returns {object|null} - { warning, breach, escalation, reassignTo, warningMs, breachMs }
+ */
+function slaFor(taskType) {
+  return getSlas().tasks[taskType] || null;
+}
+
+/**
+ * Where a pending task stands against its SLA
+ * @param {object} task - Task store record (taskType, receivedAt, escalation)
+ * @param {number} [at] - Time to check at (ms)
+ * @returns {object|null} - { state, warningAt, breachAt, escalation } with state
+ *   'on-track', 'warning', 'breached' or 'escalated'; null without an SLA
+ */
+function slaStatus(task, at = Date.now()) {
+  const sla = slaFor(task.taskType);
+  if (!sla || !task.receivedAt) {
+    return null;
+  }
+  const received = Date.parse(task.receivedAt);
+  const warningAt = received + sla.warningMs;
+  const breachAt = received + sla.breachMs;
+  const state = task.escalation ? 'escalated'
+    : at >= breachAt ? 'breached'
+      : at >= warningAt ? 'warning'
+        : 'on-track';
+
+  return {
+    state,
+    warningAt: new Date(warningAt).toISOString(),
+    breachAt: new Date(breachAt).toISOString(),
+    escalation: sla.escalation
+  };
+}
+
+module.exports = {
+  ESCALATIONS,
+  loadSlas,
+  getSlas,
+  slaFor,
+  slaStatus
+};
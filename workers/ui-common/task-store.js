@@ -0,0 +1,124 @@
+/**
+ * Shared Task Store for Department UIs
+ * Keeps claimed Zeebe jobs across UI restarts so they can still be
+ * completed by job key once the server comes back up.
+ *
+ * Drivers (TASK_STORE env var):
+ *   - file   (default) - JSON file per department under TASK_STORE_DIR
+ *   - memory           - previous in-memory behaviour, lost on restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TASK_STORE_DIR = process.env.TASK_STORE_DIR || path.join(__dirname, '..', '.data');
+
+/**
+ * Build the persisted record for a claimed job
+ * @param {object} job - The Zeebe job handed to the worker
+ * @param {string} taskType - The job type the worker subscribed to
+ * @returns {object} - { key, taskType, processInstanceKey, variables, receivedAt, deadline }
+ */
+function taskFromJob(job, taskType) {
+  return {
+    key: job.key,
+    taskType,
+    processInstanceKey: job.processInstanceKey,
+    variables: job.variables,
+    receivedAt: new Date().toISOString(),
+    deadline: job.deadline ? new Date(Number(job.deadline)).toISOString() : null
+  };
+}
+
+/**
+ * In-memory driver
+ * @returns {object} - Map-like store
+ */
+function createMemoryStore() {
+  const tasks = new Map();
+
+  return {
+    get: (key) => tasks.get(key),
+    has: (key) => tasks.has(key),
+    set(key, task) {
+      tasks.set(key, task);
+      return this;
+    },
+    delete: (key) => tasks.delete(key),
+    values: () => tasks.values(),
+    get size() {
+      return tasks.size;
+    }
+  };
+}
+
+/**
+ * File driver - rewrites the whole JSON file on every change
+ * @param {string} filePath - Where the tasks are persisted
+ * @returns {object} - Map-like store
+ */
+function createFileStore(filePath) {
+  const store = createMemoryStore();
+
+  // Rehydrate tasks claimed before the last shutdown
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      saved.forEach(task => store.set(task.key, task));
+    } catch (error) {
+      console.error(`[Task Store] Could not read ${filePath}:`, error.message);
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(store.values()), null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    get: store.get,
+    has: store.has,
+    set(key, task) {
+      store.set(key, task);
+      persist();
+      return this;
+    },
+    delete(key) {
+      const deleted = store.delete(key);
+      if (deleted) persist();
+      return deleted;
+    },
+    values: store.values,
+    get size() {
+      return store.size;
+    }
+  };
+}
+
+/**
+ * Create the task store for a department
+ * @param {string} name - Department identifier (e.g. 'finance'), used as file name
+ * @param {object} [options]
+ * @param {string} [options.driver] - 'file' or 'memory' (defaults to TASK_STORE or 'file')
+ * @param {string} [options.dir] - Directory for the file driver
+ * @returns {object} - Map-like store of task records keyed by job key
+ */
+function createTaskStore(name, options = {}) {
+  const driver = options.driver || process.env.TASK_STORE || 'file';
+
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+  if (driver === 'file') {
+    return createFileStore(path.join(options.dir || TASK_STORE_DIR, `tasks-${name}.json`));
+  }
+
+  throw new Error(`Unknown task store driver: ${driver}`);
+}
+
+module.exports = {
+  createTaskStore,
+  taskFromJob
+};
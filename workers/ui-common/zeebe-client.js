@@ -0,0 +1,161 @@
+/**
+ * Zeebe Client Factory
+ * Returns the Camunda 8 gRPC client, or the in-process local engine when
+ * ZEEBE_ENGINE=local, so UIs and scripts run offline without code changes.
+ * The instance queries read the local engine or Camunda Operate.
+ */
+
+const { Camunda8 } = require('@camunda8/sdk');
+const { createLocalZeebeClient, getLocalEngine } = require('../local-engine');
+
+const OPERATE_PAGE_SIZE = 1000;
+
+let operate = null;
+
+/**
+ * @returns {string} - 'local' or 'camunda'
+ */
+function zeebeEngine() {
+  return process.env.ZEEBE_ENGINE === 'local' ? 'local' : 'camunda';
+}
+
+/**
+ * Create a Zeebe client for the configured engine
+ * @returns {object} - ZeebeGrpcClient or its local stand-in
+ */
+function createZeebeClient() {
+  if (zeebeEngine() === 'local') {
+    return createLocalZeebeClient();
+  }
+  const c8 = new Camunda8();
+  return c8.getZeebeGrpcApiClient();
+}
+
+function operateClient() {
+  if (!operate) {
+    operate = new Camunda8().getOperateApiClient();
+  }
+  return operate;
+}
+
+/**
+ * Running instances of a process with their current variables.
+ * Camunda 8 is queried through Operate (CAMUNDA_OPERATE_BASE_URL), which
+ * trails Zeebe by a few seconds, so very recent instances may be missing.
+ * @param {string} bpmnProcessId - Process to list (e.g. 'StockReplenishmentWorkflow')
+ * @returns {Promise<Array<object>>} - [{ processInstanceKey, variables }]
+ */
+async function listActiveInstances(bpmnProcessId) {
+  if (zeebeEngine() === 'local') {
+    return getLocalEngine().listInstances()
+      .filter(instance => instance.bpmnProcessId === bpmnProcessId && instance.state === 'ACTIVE')
+      .map(({ processInstanceKey, variables }) => ({ processInstanceKey, variables }));
+  }
+
+  const { items } = await operateClient().searchProcessInstances({
+    filter: { bpmnProcessId, state: 'ACTIVE' },
+    size: OPERATE_PAGE_SIZE
+  });
+  return Promise.all(items.map(async (instance) => ({
+    processInstanceKey: String(instance.key),
+    variables: await operateClient().getJSONVariablesforProcess(instance.key)
+  })));
+}
+
+// Operate flow node types as BPMN element types (SERVICE_TASK -> serviceTask)
+const toElementType = (type) => type.toLowerCase().replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Running and finished instances of a process, newest first, without their history
+ * @param {string} bpmnProcessId - Process to list
+ * @returns {Promise<Array<object>>} - [{ processInstanceKey, bpmnProcessId, version, state, startedAt, endedAt }]
+ */
+async function listProcessInstances(bpmnProcessId) {
+  if (zeebeEngine() === 'local') {
+    return getLocalEngine().listInstances()
+      .filter(instance => instance.bpmnProcessId === bpmnProcessId)
+      .map(({ processInstanceKey, version, state, startedAt, endedAt }) =>
+        ({ processInstanceKey, bpmnProcessId, version, state, startedAt, endedAt: endedAt || null }))
+      .reverse();
+  }
+
+  const { items } = await operateClient().searchProcessInstances({
+    filter: { bpmnProcessId },
+    size: OPERATE_PAGE_SIZE,
+    sort: [{ field: 'startDate', order: 'DESC' }]
+  });
+  return items.map(instance => ({
+    processInstanceKey: String(instance.key),
+    bpmnProcessId,
+    version: instance.processVersion,
+    state: instance.state,
+    startedAt: instance.startDate,
+    endedAt: instance.endDate || null
+  }));
+}
+
+/**
+ * One instance with the path it took.
+ * The local engine records every variable change; Operate only keeps the
+ * current values, so on Camunda 8 variableHistory holds a single entry.
+ * @param {string} processInstanceKey - Instance key
+ * @returns {Promise<object|null>} - { processInstanceKey, bpmnProcessId, version, state,
+ *   startedAt, endedAt, activeElementIds, history: [{ elementId, elementType, at }],
+ *   sequenceFlowIds, variables, variableHistory: [{ elementId, variables, at }], incident }
+ */
+async function getProcessInstance(processInstanceKey) {
+  if (zeebeEngine() === 'local') {
+    const instance = getLocalEngine().getInstance(processInstanceKey);
+    if (!instance) {
+      return null;
+    }
+    const { processDefinitionKey, endEventIds, history, ...details } = instance;
+    return {
+      ...details,
+      endedAt: details.endedAt || null,
+      incident: details.incident || null,
+      history: history.map(({ flowId, ...step }) => step),
+      sequenceFlowIds: history.map(step => step.flowId).filter(Boolean)
+    };
+  }
+
+  const client = operateClient();
+  let instance;
+  try {
+    instance = await client.getProcessInstance(processInstanceKey);
+  } catch (error) {
+    return null;
+  }
+  const [flowNodes, sequenceFlowIds, variables, incidents] = await Promise.all([
+    client.searchFlownodeInstances({ filter: { processInstanceKey }, size: OPERATE_PAGE_SIZE }),
+    client.getProcessInstanceSequenceFlows(processInstanceKey),
+    client.getJSONVariablesforProcess(processInstanceKey),
+    client.searchIncidents({ filter: { processInstanceKey, state: 'ACTIVE' } })
+  ]);
+  const nodes = flowNodes.items.sort((a, b) => Date.parse(a.startDate) - Date.parse(b.startDate));
+  const incident = incidents.items[0];
+  return {
+    processInstanceKey: String(instance.key),
+    bpmnProcessId: instance.bpmnProcessId,
+    version: instance.processVersion,
+    state: incident ? 'INCIDENT' : instance.state,
+    startedAt: instance.startDate,
+    endedAt: instance.endDate || null,
+    activeElementIds: nodes.filter(node => node.state === 'ACTIVE').map(node => node.flowNodeId),
+    history: nodes.map(node => ({ elementId: node.flowNodeId, elementType: toElementType(node.type), at: node.startDate })),
+    sequenceFlowIds,
+    variables,
+    variableHistory: [{ elementId: null, variables, at: instance.endDate || new Date().toISOString() }],
+    incident: incident
+      ? { elementId: nodes.find(node => node.incidentKey === String(incident.key))?.flowNodeId || null, message: incident.message, at: incident.creationTime }
+      : null
+  };
+}
+
+module.exports = {
+  zeebeEngine,
+  createZeebeClient,
+  listActiveInstances,
+  listProcessInstances,
+  getProcessInstance
+};
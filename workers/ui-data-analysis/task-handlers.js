@@ -0,0 +1,83 @@
+/**
+ * Data Analysis Department Task Handlers
+ * Maps the identification and replenishment forms to ESB1 calls and Zeebe variables.
+ */
+
+const { toInt, toFloat, toText } = require('../ui-common/form-values');
+
+module.exports = {
+  // Promotion workflow - identify target products
+  'identify-products': {
+    route: '/complete-task',
+    workflow: 'promotion',
+    esbEndpoint: '/api/identify-products',
+    toEsbRequest: ({ productIds, reason, urgency }) => ({
+      productIds,
+      reason: toText(reason),
+      urgency: toText(urgency)
+    }),
+    toVariables: ({ productIds, reason, urgency }, task, esbResponse, user) => {
+      const products = typeof productIds === 'string'
+        ? productIds.split(',').map(p => p.trim()).filter(p => p)
+        : productIds;
+
+      // Product details come from the ESB1 product catalog
+      return {
+        targetProducts: products,
+        productDetails: esbResponse.transformed.productDetails.map(product => ({
+          ...product,
+          reason: reason || 'General promotion'
+        })),
+        analysisTimestamp: new Date().toISOString(),
+        urgency: urgency || 'medium',
+        department: 'Data & Analysis',
+        analyst: user.username,
+        esbData: esbResponse.transformed
+      };
+    }
+  },
+
+  // Stock workflow - compute replenishment quantity
+  'compute-replenishment-quantity': {
+    route: '/complete-stock-task',
+    workflow: 'stock',
+    esbEndpoint: '/api/compute-replenishment',
+    toEsbRequest: ({ productId, productName, currentStock, avgDailySales, leadTimeDays, safetyStockDays, forecastMethod, serviceLevel }) => ({
+      // Required by the contract: a form without one is refused, not sent as a placeholder
+      productId: toText(productId),
+      productName: toText(productName),
+      currentStock: toInt(currentStock),
+      avgDailySales: toFloat(avgDailySales),
+      leadTimeDays: toInt(leadTimeDays),
+      safetyStockDays: toInt(safetyStockDays),
+      forecastMethod: toText(forecastMethod),
+      serviceLevel: toFloat(serviceLevel)
+    }),
+    // Stock and sales figures blank in the form are filled in by ESB1 from the catalog
+    toVariables: ({ safetyStockDays }, task, esbResponse) => {
+      const computed = esbResponse.transformed;
+
+      return {
+        productId: computed.productId,
+        productName: computed.productName ?? null,
+        productCategory: computed.category,
+        unitCost: computed.unitCost,
+        currentStock: computed.currentStock,
+        averageDailySales: computed.avgDailySales,
+        leadTimeDays: computed.leadTimeDays,
+        safetyStockDays: toInt(safetyStockDays),
+        reorderPoint: computed.reorderPoint,
+        recommendedQuantity: computed.recommendedQuantity,
+        recommendedSupplierId: computed.recommendedSupplier?.supplierId || null,
+        recommendedSupplierName: computed.recommendedSupplier?.name || null,
+        calculationMethod: computed.calculationMethod,
+        forecastMethod: computed.forecastMethod,
+        replenishmentForecast: computed.forecast,
+        dataSources: computed.dataSources,
+        analysisTimestamp: new Date().toISOString(),
+        department: 'Data & Analytics',
+        esbData: esbResponse.transformed
+      };
+    }
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Four-Eyes Approval
+ * High-value Finance approvals need a second, different approver: a
+ * replenishment order costing more than FOUR_EYES_MIN_ORDER_COST or without
+ * a unit cost, or a promotion ESB1 rates in one of FOUR_EYES_RISK_CATEGORIES
+ * (HIGH_RISK) on the approval policies' `assumptions`.
+ *
+ * The department server calls secondApproval() when a form approves; the
+ * first approval is then only recorded on the task, and the job completes
+ * when another Finance user signs it off (or overrules it by rejecting).
+ */
+
+const { callESB } = require('../ui-common/esb-client');
+const taskHandlers = require('./task-handlers');
+const { getPolicies } = require('./policies');
+
+const MIN_ORDER_COST = parseFloat(process.env.FOUR_EYES_MIN_ORDER_COST) || 1000;
+const RISK_CATEGORIES = (process.env.FOUR_EYES_RISK_CATEGORIES ?? 'HIGH_RISK')
+  .split(',')
+  .map(category => category.trim())
+  .filter(Boolean);
+
+/**
+ * Why an approval needs a second approver
+ * @param {object} task - Pending task
+ * @param {object} body - The approving form
+ * @returns {Promise<string|null>} - The reason, or null when one approver is enough
+ */
+async function secondApproval(task, body) {
+  const request = taskHandlers[task.taskType].toEsbRequest(body, task);
+
+  if (task.taskType === 'analyze-replenishment') {
+    // An order nobody priced could cost anything: ESB1 prices it on approval,
+    // too late for the limit, so a second approver confirms it instead
+    if (!Number.isFinite(request.unitCost) || !Number.isFinite(request.orderQuantity)) {
+      return `No unit cost is known for the order of ${request.orderQuantity ?? 'an unknown number of'} units of ${request.productId} - a second approver must confirm its cost`;
+    }
+    const orderCost = Math.round(request.unitCost * request.orderQuantity * 100) / 100;
+    return orderCost > MIN_ORDER_COST
+      ? `Order of ${request.orderQuantity} units costing ${orderCost} is above the ${MIN_ORDER_COST} four-eyes limit`
+      : null;
+  }
+
+  if (task.taskType === 'evaluate-profitability' && RISK_CATEGORIES.length > 0) {
+    // Rated on the policy file's assumptions, never on the approver's own
+    // (optimistic ones would talk the promotion out of four-eyes)
+    const { approved, ...projection } = taskHandlers[task.taskType].toEsbRequest(getPolicies().assumptions, task);
+    const { transformed } = await callESB('/api/evaluate-profitability/preview', projection);
+    return RISK_CATEGORIES.includes(transformed.riskCategory)
+      ? `ESB1 rates the promotion ${transformed.riskCategory}`
+      : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  MIN_ORDER_COST,
+  RISK_CATEGORIES,
+  secondApproval
+};
@@ -0,0 +1,260 @@
+/**
+ * Finance Approval Policies
+ * Loads the rules Finance lets the worker apply on its own from a JSON file
+ * (APPROVAL_POLICIES_FILE, defaults to ui-finance/approval-policies.json)
+ * and reloads it whenever the file changes.
+ *
+ * When a job arrives, the facts of its task type are gathered and the
+ * policies of that type are checked in order: the first one whose `when`
+ * conditions all hold approves or rejects the job, with its rationale.
+ * A job no policy decides waits in the UI like before.
+ *
+ * Facts per job type:
+ *   - analyze-replenishment: orderQuantity, unitCost, orderCost, category,
+ *     urgencyLevel, and the budget line from ESB1 (budgetLine, budgetAvailable,
+ *     budgetRemaining); orders without a unit cost are not checked
+ *   - evaluate-profitability: the ESB1 projection (grossMarginAfter,
+ *     profitImpact, breakEvenUplift, riskCategory, ...) for the file's
+ *     `assumptions`, plus discount, durationDays and productCount
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { callESB } = require('../ui-common/esb-client');
+const taskHandlers = require('./task-handlers');
+
+const POLICIES_FILE = process.env.APPROVAL_POLICIES_FILE || path.join(__dirname, 'approval-policies.json');
+const WATCH_INTERVAL = 1000;
+
+const condition = {
+  oneOf: [
+    { type: ['string', 'number', 'boolean'] },
+    {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: {
+        min: { type: 'number' },
+        max: { type: 'number' },
+        in: { type: 'array', minItems: 1, items: { type: ['string', 'number'] } }
+      }
+    }
+  ]
+};
+
+const policiesSchema = {
+  type: 'object',
+  required: ['version', 'policies'],
+  properties: {
+    version: { type: 'string' },
+    description: { type: 'string' },
+    assumptions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        expectedUplift: { type: 'number', minimum: -100 },
+        cannibalization: { type: 'number', minimum: 0, maximum: 100 },
+        riskLevel: { enum: ['low', 'medium', 'high'] }
+      }
+    },
+    policies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'taskType', 'decision', 'when', 'rationale'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          taskType: { enum: Object.keys(taskHandlers) },
+          decision: { enum: ['approve', 'reject'] },
+          enabled: { type: 'boolean' },
+          when: { type: 'object', minProperties: 1, additionalProperties: condition },
+          rationale: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+const DEFAULT_ASSUMPTIONS = { expectedUplift: 20, cannibalization: 20, riskLevel: 'medium' };
+
+const validatePolicies = new Ajv({ allErrors: true, strict: false }).compile(policiesSchema);
+
+let current = null;
+
+/**
+ * Read and validate a policies file
+ * @param {string} file - Path to the JSON policies file
+ * @returns {object} - Policies, with the file path and load time attached
+ */
+function loadPolicies(file = POLICIES_FILE) {
+  const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!validatePolicies(rules)) {
+    const problems = validatePolicies.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join(', ');
+    throw new Error(`Invalid approval policies in ${file}: ${problems}`);
+  }
+  const ids = rules.policies.map(policy => policy.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Invalid approval policies in ${file}: policy id "${duplicate}" is used twice`);
+  }
+  return {
+    ...rules,
+    assumptions: { ...DEFAULT_ASSUMPTIONS, ...rules.assumptions },
+    file,
+    loadedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Current policies, loaded on first use and kept in sync with the file.
+ * A broken edit is reported and the previous policies stay active.
+ * @returns {object} - Active policies
+ */
+function getPolicies() {
+  if (!current) {
+    current = loadPolicies();
+    fs.watchFile(POLICIES_FILE, { interval: WATCH_INTERVAL, persistent: false }, () => {
+      try {
+        current = loadPolicies();
+        console.log(`🔄 Approval policies reloaded (version ${current.version})`);
+      } catch (error) {
+        console.error(`⚠️  ${error.message} - keeping version ${current.version}`);
+      }
+    });
+  }
+  return current;
+}
+
+// Facts the conditions of each job type are checked against
+const factGatherers = {
+  'analyze-replenishment': async (task) => {
+    const { approved, ...request } = taskHandlers['analyze-replenishment'].toEsbRequest({}, task);
+    // Nobody decides on a price nobody gave: such orders wait for Finance
+    if (request.unitCost === undefined) {
+      throw new Error(`no unit cost is known for ${request.productId}`);
+    }
+    // Priced and checked against the budget line the way the approval will be
+    const { transformed } = await callESB('/api/analyze-replenishment/preview', request);
+    return {
+      orderQuantity: request.orderQuantity,
+      unitCost: transformed.unitCost,
+      orderCost: transformed.totalOrderCost,
+      budgetLine: transformed.budgetLine,
+      budgetAvailable: transformed.budgetAvailable,
+      budgetRemaining: transformed.budgetRemaining,
+      category: request.category ?? null,
+      urgencyLevel: task.variables.urgencyLevel ?? null
+    };
+  },
+
+  'evaluate-profitability': async (task, { expectedUplift, cannibalization, riskLevel }) => {
+    const { approved, ...request } = taskHandlers['evaluate-profitability'].toEsbRequest(
+      { expectedUplift, cannibalization, riskLevel }, task);
+    const response = await callESB('/api/evaluate-profitability/preview', request);
+    const { products, assumptions, unknownProducts, evaluatedAt, ...projection } = response.transformed;
+    return {
+      ...projection,
+      discount: request.discount,
+      durationDays: request.durationDays,
+      productCount: products.length
+    };
+  }
+};
+
+/**
+ * Check one condition of a policy against a fact
+ * @param {*} value - Fact value (undefined or null never matches)
+ * @param {*} expected - A value to equal, or { min, max, in }
+ * @returns {boolean}
+ */
+function holds(value, expected) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (typeof expected !== 'object') {
+    return value === expected;
+  }
+  return (expected.min === undefined || value >= expected.min)
+    && (expected.max === undefined || value <= expected.max)
+    && (expected.in === undefined || expected.in.includes(value));
+}
+
+// "{fact}" in a rationale is replaced by that fact's value
+function renderRationale(template, facts) {
+  return template.replace(/\{(\w+)\}/g, (_, fact) => (facts[fact] === undefined || facts[fact] === null ? '?' : String(facts[fact])));
+}
+
+/**
+ * First policy deciding a job, given its facts
+ * @param {string} taskType - Job type
+ * @param {object} facts - Facts gathered for the job
+ * @param {object} policies - Policies (defaults to the active ones)
+ * @returns {object|null} - { policy, rationale } or null
+ */
+function matchPolicy(taskType, facts, policies = getPolicies()) {
+  const policy = policies.policies.find(candidate => candidate.taskType === taskType
+    && candidate.enabled !== false
+    && Object.entries(candidate.when).every(([fact, expected]) => holds(facts[fact], expected)));
+  return policy ? { policy, rationale: renderRationale(policy.rationale, facts) } : null;
+}
+
+// The form a Finance user would have submitted for the decision
+function decisionForm(taskType, approve, assumptions, rationale) {
+  if (taskType === 'evaluate-profitability') {
+    return {
+      expectedUplift: String(assumptions.expectedUplift),
+      cannibalization: String(assumptions.cannibalization),
+      riskLevel: assumptions.riskLevel,
+      approved: String(approve)
+    };
+  }
+  return { budgetApproved: String(approve), budgetAmount: '', priorityLevel: 'medium', notes: rationale };
+}
+
+/**
+ * Decide a Finance job from the approval policies (department server `autoDecide`)
+ * @param {object} task - Task store record of the new job
+ * @returns {Promise<object|null>} - { body, variables, rationale } to complete it,
+ *   { reason } to leave it to a user, null when its job type has no policies
+ */
+async function autoDecide(task) {
+  const policies = getPolicies();
+  const applicable = policies.policies.filter(policy => policy.taskType === task.taskType && policy.enabled !== false);
+  if (applicable.length === 0 || !factGatherers[task.taskType]) {
+    return null;
+  }
+
+  let facts;
+  try {
+    facts = await factGatherers[task.taskType](task, policies.assumptions);
+  } catch (error) {
+    return { reason: `Approval policies not checked: ${error.response?.data?.message || error.message}` };
+  }
+
+  const match = matchPolicy(task.taskType, facts, policies);
+  if (!match) {
+    return { reason: `No approval policy applies (${applicable.map(policy => policy.id).join(', ')})` };
+  }
+
+  const approve = match.policy.decision === 'approve';
+  return {
+    body: decisionForm(task.taskType, approve, policies.assumptions, match.rationale),
+    rationale: `${match.policy.id}: ${match.rationale}`,
+    variables: {
+      approvedBy: `Approval policy ${match.policy.id}`,
+      decisionPolicy: match.policy.id,
+      decisionRationale: match.rationale,
+      policiesVersion: policies.version,
+      ...(task.taskType === 'evaluate-profitability' ? { financialSummary: `${approve ? 'Promotion approved' : 'Promotion rejected'} by policy: ${match.rationale}.` } : {})
+    }
+  };
+}
+
+module.exports = {
+  loadPolicies,
+  getPolicies,
+  matchPolicy,
+  autoDecide
+};
@@ -0,0 +1,110 @@
+/**
+ * Finance Department Task Handlers
+ * Maps the approval forms to ESB1 calls and Zeebe variables.
+ */
+
+const { toFloat, toBool, toText } = require('../ui-common/form-values');
+
+/**
+ * Profitability model inputs: the promotion from the Commercial step and
+ * Finance's uplift and cannibalization assumptions
+ * @param {object} body - Form values (expectedUplift, cannibalization, riskLevel)
+ * @param {object} task - Pending task
+ * @returns {object} - Request for /api/evaluate-profitability(/preview)
+ */
+function profitabilityRequest({ expectedUplift, cannibalization, riskLevel }, task) {
+  return {
+    productIds: task.variables.targetProducts,
+    discount: task.variables.discountPercentage,
+    durationDays: task.variables.durationDays,
+    expectedUplift: toFloat(expectedUplift),
+    cannibalization: toFloat(cannibalization),
+    riskLevel: toText(riskLevel)
+  };
+}
+
+module.exports = {
+
+  // Product Promotion workflow - approve or reject the promotion
+  'evaluate-profitability': {
+    route: '/complete-task',
+    workflow: 'promotion',
+    esbEndpoint: '/api/evaluate-profitability',
+    toEsbRequest: (body, task) => ({
+      ...profitabilityRequest(body, task),
+      approved: toBool(body.approved)
+    }),
+    // Nobody evaluated it within its SLA: rejected, projected on neutral assumptions
+    escalationForm: () => ({ expectedUplift: '20', cannibalization: '20', riskLevel: 'high', approved: 'false' }),
+    approves: ({ approved }) => toBool(approved),
+    toVariables: ({ riskLevel, approved }, task, esbResponse, user) => {
+      const isApproved = toBool(approved);
+      const projection = esbResponse.transformed;
+
+      return {
+        approved: isApproved,
+        marginAfterPromo: projection.grossMarginAfter,
+        originalMargin: projection.grossMarginBefore,
+        revenueImpact: `${projection.revenueImpact > 0 ? '+' : ''}${projection.revenueImpact}%`,
+        projectedRevenue: projection.projectedRevenue,
+        profitImpact: projection.profitImpact,
+        breakEvenUplift: projection.breakEvenUplift,
+        expectedUplift: projection.assumptions.expectedUplift,
+        cannibalization: projection.assumptions.cannibalization,
+        riskCategory: projection.riskCategory,
+        riskLevel: riskLevel || 'medium',
+        financialSummary: isApproved
+          ? 'Promotion approved by Finance department. Proceed with marketing and implementation.'
+          : 'Promotion rejected by Finance department. Financial metrics do not meet requirements.',
+        analysisTimestamp: new Date().toISOString(),
+        department: 'Finance & Accounting',
+        approvedBy: user.username,
+        esbData: esbResponse.transformed
+      };
+    }
+  },
+
+  // Stock Replenishment workflow - approve or deny the budget
+  'analyze-replenishment': {
+    route: '/complete-stock-task',
+    workflow: 'stock',
+    esbEndpoint: '/api/analyze-replenishment',
+    toEsbRequest: ({ budgetApproved, budgetAmount }, task) => ({
+      productId: task.variables.productId,
+      category: toText(task.variables.productCategory),
+      orderQuantity: task.variables.recommendedQuantity,
+      // Priced by ESB1 from the catalog or supplier prices when unknown
+      unitCost: toFloat(task.variables.unitCost),
+      budget: toFloat(budgetAmount),
+      reservationId: toText(task.variables.budgetReservationId),
+      approved: toBool(budgetApproved)
+    }),
+    escalationForm: () => ({ budgetApproved: 'false', budgetAmount: '', priorityLevel: 'low', notes: 'Budget review not done within its SLA - refused by escalation.' }),
+    approves: ({ budgetApproved }) => toBool(budgetApproved),
+    toVariables: ({ budgetApproved, budgetAmount, priorityLevel, notes }, task, esbResponse, user) => {
+      const isApproved = toBool(budgetApproved);
+
+      return {
+        financeApproved: isApproved,  // Required by BPMN gateway condition
+        budgetApproved: isApproved,
+        // Finance's cap when one was typed in, else what the order costs
+        budgetAllocated: toFloat(budgetAmount) ?? esbResponse.transformed.totalOrderCost,
+        orderCost: esbResponse.transformed.totalOrderCost,
+        unitCost: esbResponse.transformed.unitCost,
+        financialScore: esbResponse.transformed.financialScore,
+        // Passed on to ESB2 with the purchase order, which commits it on the budget ledger
+        budgetReservationId: esbResponse.transformed?.reservationId || null,
+        budgetLine: esbResponse.transformed?.budgetLine,
+        budgetRemaining: esbResponse.transformed?.budgetRemaining,
+        priorityLevel: priorityLevel || 'medium',
+        financeNotes: notes || (isApproved
+          ? 'Budget approved for stock replenishment order.'
+          : 'Budget request denied. Insufficient funds or low priority.'),
+        analysisTimestamp: new Date().toISOString(),
+        department: 'Finance & Accounting',
+        approvedBy: user.username,
+        esbData: esbResponse.transformed
+      };
+    }
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * IT Department Task Handlers
+ * Maps the system update forms to ESB2 calls and Zeebe variables.
+ */
+
+const { toInt, toBool } = require('../ui-common/form-values');
+
+module.exports = {
+  // Product Promotion workflow - push promotional prices to systems
+  'update-system-prices': {
+    route: '/complete-task',
+    workflow: 'promotion',
+    esbEndpoint: '/api/update-prices',
+    toEsbRequest: ({ posUpdated, terminalCount, erpUpdated, ecomUpdated, inventoryUpdated }) => ({
+      posUpdated: toBool(posUpdated),
+      terminalCount: toInt(terminalCount),
+      erpUpdated: toBool(erpUpdated),
+      ecomUpdated: toBool(ecomUpdated),
+      inventoryUpdated: toBool(inventoryUpdated)
+    }),
+    toVariables: ({ posUpdated, erpUpdated, ecomUpdated, inventoryUpdated }, task, esbResponse) => {
+      const targetProducts = task.variables.targetProducts || [];
+      const pos = esbResponse.transformed.systemStatuses.find(status => status.system === 'POS');
+
+      return {
+        systemUpdateStatus: 'success',
+        systemsUpdated: {
+          pos: {
+            status: toBool(posUpdated) ? 'updated' : 'pending',
+            terminalsAffected: pos.terminals,
+            updateTime: '0.3s'
+          },
+          erp: {
+            status: toBool(erpUpdated) ? 'updated' : 'pending',
+            module: 'SAP_MM',
+            priceListVersion: `PL-${Date.now()}`
+          },
+          ecommerce: {
+            status: toBool(ecomUpdated) ? 'updated' : 'pending',
+            platforms: ['website', 'mobile_app'],
+            productsUpdated: targetProducts.length
+          },
+          inventory: {
+            status: toBool(inventoryUpdated) ? 'updated' : 'pending',
+            flaggedForPromotion: targetProducts.length,
+            alertsConfigured: true
+          }
+        },
+        productsUpdated: targetProducts,
+        newDiscount: `${task.variables.discountPercentage || 0}%`,
+        updateTimestamp: new Date().toISOString(),
+        department: 'IT',
+        esbData: esbResponse.transformed
+      };
+    }
+  },
+
+  // Stock Replenishment workflow - record received stock in systems
+  'update-stock-systems': {
+    route: '/complete-stock-task',
+    workflow: 'stock',
+    esbEndpoint: '/api/update-stock-systems',
+    toEsbRequest: ({ erpUpdated, wmsUpdated, posUpdated }, task) => {
+      // Left out when unknown, so the contract turns the request down
+      const previousStock = toInt(task.variables.currentStock);
+      const quantityAdded = toInt(task.variables.quantityReceived ?? task.variables.orderQuantity);
+      const newStockLevel = previousStock !== undefined && quantityAdded !== undefined ? previousStock + quantityAdded : undefined;
+
+      return {
+        purchaseOrderNumber: task.variables.orderId,
+        productId: task.variables.productId,
+        erpUpdated: toBool(erpUpdated),
+        wmsUpdated: toBool(wmsUpdated),
+        posUpdated: toBool(posUpdated),
+        previousStock,
+        quantityAdded,
+        newStockLevel
+      };
+    },
+    toVariables: ({ erpUpdated, wmsUpdated, posUpdated, notes }, task, esbResponse) => ({
+      stockSystemsUpdated: true,
+      systemsUpdated: {
+        erp: {
+          status: toBool(erpUpdated) ? 'updated' : 'skipped',
+          module: 'SAP_MM_STOCK',
+          timestamp: new Date().toISOString()
+        },
+        wms: {
+          status: toBool(wmsUpdated) ? 'updated' : 'skipped',
+          warehouseId: 'WH-001',
+          binLocation: esbResponse.transformed.binLocation ?? null
+        },
+        pos: {
+          status: toBool(posUpdated) ? 'updated' : 'skipped',
+          newStockLevel: esbResponse.transformed.stockLevels.newStockLevel
+        }
+      },
+      productId: task.variables.productId,
+      quantityAdded: esbResponse.transformed.stockLevels.quantityAdded,
+      updateNotes: notes || 'Stock systems updated successfully',
+      updateTimestamp: new Date().toISOString(),
+      department: 'IT',
+      esbData: esbResponse.transformed
+    })
+  }
+};
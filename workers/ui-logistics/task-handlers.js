@@ -0,0 +1,104 @@
+/**
+ * Logistics Department Task Handlers
+ * Maps the order, delivery and return forms to ESB2 calls and Zeebe variables.
+ */
+
+const { toInt, toBool, toText } = require('../ui-common/form-values');
+
+module.exports = {
+  // Process replenishment order
+  'process-replenishment': {
+    route: '/complete-replenishment',
+    workflow: 'stock',
+    esbEndpoint: '/api/process-replenishment',
+    toEsbRequest: ({ supplierId, orderQuantity, expedited }, task) => {
+      const quantity = toInt(orderQuantity) ?? task.variables.recommendedQuantity;
+
+      return {
+        productId: task.variables.productId,
+        // A blank supplier means the one ESB1 ranked first; without one the contract refuses the order.
+        // ESB2 takes its name and lead time from the supplier directory.
+        supplierId: toText(supplierId) ?? toText(task.variables.recommendedSupplierId),
+        orderQuantity: quantity,
+        totalCost: task.variables.unitCost ? task.variables.unitCost * quantity : undefined,
+        shippingMethod: toBool(expedited) ? 'express' : 'standard',
+        budgetReservationId: toText(task.variables.budgetReservationId)
+      };
+    },
+    // The order as ESB2 issued it
+    toVariables: ({ notes }, task, esbResponse, user, request) => ({
+      orderPlaced: true,
+      orderId: esbResponse.transformed.purchaseOrderNumber,
+      supplierId: esbResponse.transformed.supplierId,
+      supplierName: esbResponse.transformed.supplierName,
+      orderQuantity: esbResponse.transformed.orderQuantity,
+      expedited: request.shippingMethod === 'express',
+      estimatedDelivery: esbResponse.transformed.estimatedDeliveryDate,
+      orderNotes: notes || 'Order placed via Logistics Web UI',
+      processedAt: new Date().toISOString(),
+      department: 'Logistics',
+      esbData: esbResponse.transformed
+    })
+  },
+
+  // Check delivery status
+  'check-delivery': {
+    route: '/complete-delivery',
+    workflow: 'stock',
+    esbEndpoint: '/api/check-delivery',
+    toEsbRequest: ({ deliveryStatus, quantityReceived, damagedQty, damageReport }, task) => ({
+      purchaseOrderNumber: task.variables.orderId,
+      receivedQty: toInt(quantityReceived),
+      damagedQty: toInt(damagedQty),
+      conforming: deliveryStatus === 'delivered' && !toText(damageReport)
+    }),
+    toVariables: ({ deliveryStatus, damageReport, notes }, task, esbResponse, user) => {
+      const isDelivered = deliveryStatus === 'delivered';
+      const hasDamage = Boolean(damageReport && damageReport.trim() !== '');
+      const isConforming = isDelivered && !hasDamage;
+
+      return {
+        deliveryConforming: isConforming,  // Required by BPMN gateway condition
+        deliveryStatus,
+        deliveryComplete: isDelivered,
+        quantityReceived: esbResponse.transformed.quantityReceived,
+        quantityExpected: task.variables.orderQuantity ?? null,
+        quantityDamaged: esbResponse.transformed.quantityDamaged,
+        hasDamage,
+        damageReport: damageReport || null,
+        requiresReturn: hasDamage,
+        checkedAt: new Date().toISOString(),
+        checkedBy: user.username,
+        deliveryNotes: notes || (isDelivered ? 'Delivery received and verified' : 'Delivery pending'),
+        department: 'Logistics',
+        esbData: esbResponse.transformed
+      };
+    }
+  },
+
+  // Handle return
+  'handle-return': {
+    route: '/complete-return',
+    workflow: 'stock',
+    esbEndpoint: '/api/handle-return',
+    toEsbRequest: ({ returnQuantity, returnReason, replacementRequested, notes }, task) => ({
+      purchaseOrderNumber: task.variables.orderId,
+      quantityReturned: toInt(returnQuantity),
+      returnReason: toText(returnReason),
+      replacementRequested: toBool(replacementRequested),
+      notes: toText(notes)
+    }),
+    toVariables: ({ notes }, task, esbResponse) => ({
+      returnProcessed: true,
+      returnId: esbResponse.transformed.rmaNumber,
+      returnQuantity: esbResponse.transformed.quantityReturned,
+      returnReason: esbResponse.transformed.returnReason,
+      replacementRequested: esbResponse.transformed.replacementRequested,
+      replacementOrderId: esbResponse.transformed?.replacementOrderId || null,
+      returnNotes: notes || 'Return processed via Logistics Web UI',
+      processedAt: new Date().toISOString(),
+      department: 'Logistics',
+      esbData: esbResponse.transformed
+    })
+  }
+};
@@ -5,165 +5,19 @@
  */
 
 require('dotenv').config({ path: '../.env' });
-const express = require('express');
-const http = require('http');
-const { Server } = require('socket.io');
-const path = require('path');
-const { Camunda8 } = require('@camunda8/sdk');
-const { callESB } = require('../ui-common/esb-client');
+const { createDepartmentServer } = require('../ui-common/department-server');
+const taskHandlers = require('./task-handlers');
 
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server);
-const PORT = process.env.UI_MARKETING_PORT || 4004;
-
-// Zeebe client
-const c8 = new Camunda8();
-const zeebe = c8.getZeebeGrpcApiClient();
-
-// In-memory task queue
-const pendingTasks = new Map();
-
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, 'public')));
-
-// View engine setup
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
-
-// Routes
-app.get('/', (req, res) => {
-  res.render('index', {
+createDepartmentServer({
+  dept: {
+    id: 'marketing',
     title: 'Marketing',
     deptName: 'Marketing Department',
     deptIcon: '📢',
     deptColor: 'pink',
-    tasks: Array.from(pendingTasks.values())
-  });
-});
-
-app.get('/api/tasks', (req, res) => {
-  res.json(Array.from(pendingTasks.values()));
-});
-
-app.post('/complete-task', async (req, res) => {
-  const { jobKey, flyerQty, digitalChannels, posterQty, headline } = req.body;
-  
-  try {
-    const task = pendingTasks.get(jobKey);
-    if (!task) {
-      return res.status(404).json({ error: 'Task not found' });
-    }
-
-    // Parse digital channels (may come as array or comma-separated string)
-    let channels = [];
-    if (Array.isArray(digitalChannels)) {
-      channels = digitalChannels;
-    } else if (typeof digitalChannels === 'string') {
-      channels = digitalChannels.split(',').map(c => c.trim()).filter(c => c);
-    }
-
-    // Call ESB to transform data
-    const esbResponse = await callESB('/api/prepare-materials', {
-      flyerQty: parseInt(flyerQty),
-      digitalChannels: channels,
-      posterQty: parseInt(posterQty),
-      headline
-    });
-
-    const result = {
-      communicationStatus: 'published',
-      channels: {
-        flyers: {
-          status: 'printed',
-          quantity: parseInt(flyerQty) || 1000,
-          distributionDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-        },
-        digital: {
-          status: 'live',
-          platforms: channels.length > 0 ? channels : ['website', 'email'],
-          impressions: 0
-        },
-        inStore: {
-          status: 'deployed',
-          posters: parseInt(posterQty) || 50,
-          shelfTalkers: Math.floor((parseInt(posterQty) || 50) * 2)
-        }
-      },
-      campaignId: esbResponse.transformed?.campaignId || `PROMO-${Date.now()}`,
-      headline: headline || task.job.variables.promotionText || 'Special Promotion!',
-      publishTimestamp: new Date().toISOString(),
-      department: 'Marketing',
-      esbData: esbResponse.transformed
-    };
-
-    await task.job.complete(result);
-    pendingTasks.delete(jobKey);
-    io.emit('task-completed', { jobKey, result });
-    res.json({ success: true, result });
-  } catch (error) {
-    console.error('Error completing task:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  socket.emit('initial-tasks', Array.from(pendingTasks.values()).map(t => ({
-    jobKey: t.job.key,
-    variables: t.job.variables,
-    taskType: 'prepare-promotion-material'
-  })));
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
-
-// Zeebe worker
-const worker = zeebe.createWorker({
-  taskType: 'prepare-promotion-material',
-  taskHandler: async (job) => {
-    console.log(`\n📥 New task received: ${job.key}`);
-    console.log(`   Variables:`, JSON.stringify(job.variables, null, 2));
-    
-    pendingTasks.set(job.key, {
-      job,
-      receivedAt: new Date().toISOString()
-    });
-    
-    io.emit('new-task', {
-      jobKey: job.key,
-      variables: job.variables,
-      taskType: 'prepare-promotion-material'
-    });
-    
-    return job.forward();
-  }
-});
-
-// Start server
-server.listen(PORT, () => {
-  console.log('');
-  console.log('╔══════════════════════════════════════════════════════════════╗');
-  console.log('║         📢 MARKETING DEPARTMENT - Web UI                     ║');
-  console.log('╠══════════════════════════════════════════════════════════════╣');
-  console.log(`║  Server running on http://localhost:${PORT}                    ║`);
-  console.log('║  Job Type: prepare-promotion-material                        ║');
-  console.log('╚══════════════════════════════════════════════════════════════╝');
-  console.log('');
-  console.log('⏳ Waiting for tasks...\n');
-});
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n\n🛑 Shutting down Marketing UI...');
-  await worker.close();
-  await zeebe.close();
-  server.close();
-  process.exit(0);
+    dir: __dirname
+  },
+  port: process.env.UI_MARKETING_PORT || 4004,
+  taskHandlers,
+  events: ['prices.synced']
 });
@@ -0,0 +1,61 @@
+/**
+ * Marketing Department Task Handlers
+ * Maps the materials form to ESB2 calls and Zeebe variables.
+ */
+
+const { toInt, toText } = require('../ui-common/form-values');
+
+// Digital channels may come as array or comma-separated string
+function parseChannels(digitalChannels) {
+  if (Array.isArray(digitalChannels)) {
+    return digitalChannels;
+  }
+  if (typeof digitalChannels === 'string') {
+    return digitalChannels.split(',').map(c => c.trim()).filter(c => c);
+  }
+  return [];
+}
+
+module.exports = {
+  'prepare-promotion-material': {
+    route: '/complete-task',
+    workflow: 'promotion',
+    esbEndpoint: '/api/prepare-materials',
+    toEsbRequest: ({ flyerQty, digitalChannels, posterQty, headline }) => ({
+      flyerQty: toInt(flyerQty),
+      digitalChannels: parseChannels(digitalChannels),
+      posterQty: toInt(posterQty),
+      headline: toText(headline)
+    }),
+    // Quantities and channels as ESB2 planned the campaign
+    toVariables: (body, task, esbResponse, user, request) => {
+      const { materialsSummary } = esbResponse.transformed;
+
+      return {
+        communicationStatus: 'published',
+        channels: {
+          flyers: {
+            status: 'printed',
+            quantity: materialsSummary.flyerCount,
+            distributionDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+          },
+          digital: {
+            status: 'live',
+            platforms: request.digitalChannels,
+            impressions: 0
+          },
+          inStore: {
+            status: 'deployed',
+            posters: materialsSummary.posterCount,
+            shelfTalkers: materialsSummary.posterCount * 2
+          }
+        },
+        campaignId: esbResponse.transformed.campaignId,
+        headline: request.headline || task.variables.promotionText || esbResponse.transformed.headline,
+        publishTimestamp: new Date().toISOString(),
+        department: 'Marketing',
+        esbData: esbResponse.transformed
+      };
+    }
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Merchandising Department Task Handlers
+ * Maps the request and verification forms to ESB2 calls and Zeebe variables.
+ */
+
+const { toInt, toText } = require('../ui-common/form-values');
+
+module.exports = {
+  // Create replenishment request
+  'create-replenishment-request': {
+    route: '/complete-request',
+    workflow: 'stock',
+    esbEndpoint: '/api/create-replenishment',
+    toEsbRequest: ({ urgencyLevel, requestedQuantity, notes }, task) => ({
+      productId: task.variables.productId,
+      productName: task.variables.productName,
+      orderQuantity: toInt(requestedQuantity),
+      priority: toText(urgencyLevel),
+      notes: toText(notes)
+    }),
+    // The request as ESB2 registered it
+    toVariables: ({ notes }, task, esbResponse, user) => ({
+      requestCreated: true,
+      requestId: esbResponse.transformed.requestId,
+      productId: task.variables.productId,
+      productName: task.variables.productName ?? null,
+      currentStock: task.variables.currentStock ?? null,
+      requestedQuantity: esbResponse.transformed.orderQuantity,
+      urgencyLevel: esbResponse.transformed.priority,
+      requestNotes: notes || 'Replenishment request created via Merchandising Web UI',
+      createdAt: new Date().toISOString(),
+      createdBy: user.username,
+      department: 'Merchandising',
+      esbData: esbResponse.transformed
+    })
+  },
+
+  // Verify stock levels after replenishment
+  'verify-stock': {
+    route: '/complete-verify',
+    workflow: 'stock',
+    esbEndpoint: '/api/verify-stock',
+    toEsbRequest: ({ verifiedStock, stockStatus, shelfLocation }, task) => ({
+      productId: task.variables.productId,
+      physicalCount: toInt(verifiedStock),
+      currentStock: task.variables.expectedStock ||
+                    (task.variables.currentStock || 0) + (task.variables.quantityReceived || 0),
+      location: toText(shelfLocation),
+      verified: stockStatus === 'correct' || stockStatus === 'overstocked'
+    }),
+    // The counts ESB2 compared
+    toVariables: ({ stockStatus, notes }, task, esbResponse, user, request) => {
+      const isVerified = request.verified;
+      const { physicalStockCount, systemStockCount } = esbResponse.transformed;
+
+      return {
+        stockVerified: isVerified,
+        verifiedStock: physicalStockCount,
+        expectedStock: systemStockCount,
+        stockStatus: toText(stockStatus) ?? null,
+        discrepancy: physicalStockCount - systemStockCount,
+        shelfLocation: request.location ?? null,
+        verificationNotes: notes || (isVerified
+          ? 'Stock levels verified and correct'
+          : 'Discrepancy found - investigation required'),
+        verifiedAt: new Date().toISOString(),
+        verifiedBy: user.username,
+        department: 'Merchandising',
+        workflowComplete: true,
+        esbData: esbResponse.transformed
+      };
+    }
+  }
+};